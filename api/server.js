@@ -4,6 +4,7 @@ import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
 import dotenv from 'dotenv';
+import { createHash } from 'crypto';
 import { BedrockRuntimeClient, InvokeModelCommand } from "@aws-sdk/client-bedrock-runtime";
 
 // Load environment variables
@@ -14,7 +15,7 @@ const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(morgan('combined'));
 app.use(express.json());
 
@@ -48,6 +49,7 @@ const setupCollections = async () => {
     await textAgentAnalytics.createIndex({ sessionId: 1 });
     await textAgentAnalytics.createIndex({ agentId: 1 });
     await textAgentAnalytics.createIndex({ instanceId: 1 });
+    await textAgentAnalytics.createIndex({ journeyId: 1 });
     await textAgentAnalytics.createIndex({ event: 1 });
     await textAgentAnalytics.createIndex({ timestamp: -1 });
     await textAgentAnalytics.createIndex({ agentDuration: 1 });
@@ -63,6 +65,7 @@ const setupCollections = async () => {
     await walkthroughAnalytics.createIndex({ walkthroughId: 1 });
     await walkthroughAnalytics.createIndex({ stepId: 1 });
     await walkthroughAnalytics.createIndex({ instanceId: 1 });
+    await walkthroughAnalytics.createIndex({ journeyId: 1 });
     await walkthroughAnalytics.createIndex({ event: 1 });
     await walkthroughAnalytics.createIndex({ timestamp: -1 });
     await walkthroughAnalytics.createIndex({ agentDuration: 1 });
@@ -93,6 +96,10 @@ const setupCollections = async () => {
     await searchBedrockQueries.createIndex({ 'output.searchTopic': 1 });
     await searchBedrockQueries.createIndex({ sessionId: 1, timestamp: -1 });
 
+    // Walkthrough / text agent manifests, one per client key
+    const manifests = db.collection('manifests');
+    await manifests.createIndex({ clientKey: 1 }, { unique: true });
+
   } catch (error) {
     throw error;
   }
@@ -357,7 +364,10 @@ const validateTextAgentAnalytics = (data) => {
 // Validate walkthrough analytics data
 const validateWalkthroughAnalytics = (data) => {
   const required = ['event', 'walkthroughId', 'stepIndex', 'stepId'];
-  const validEvents = ['start', 'next', 'end', 'step_executed', 'step_error'];
+  const validEvents = [
+    'start', 'next', 'previous', 'end', 'step_executed', 'step_error',
+    'recovery_shown', 'recovery_retry', 'recovery_skip', 'recovery_navigate', 'recovery_end'
+  ];
 
   for (const field of required) {
     if (!data[field] && data[field] !== 0) { // Allow 0 for stepIndex
@@ -452,6 +462,55 @@ app.get('/api/keys/:clientKey', async (req, res) => {
   }
 });
 
+// Get the walkthrough and text agent manifest for a client key
+app.get('/api/manifest/:clientKey', async (req, res) => {
+  try {
+    const { clientKey } = req.params;
+
+    if (!clientKey) {
+      return res.status(400).json({ error: 'Client API key is required' });
+    }
+
+    // Ensure database connection is established
+    const database = await connectToMongoDB();
+
+    const keyMapping = await database.collection('keys').findOne({
+      clientKey: clientKey,
+    });
+
+    if (!keyMapping) {
+      return res.status(404).json({ error: 'Invalid or inactive API key' });
+    }
+
+    const manifest = await database.collection('manifests').findOne({
+      clientKey: clientKey,
+    });
+
+    const data = {
+      version: manifest?.version ?? null,
+      walkthroughs: manifest?.walkthroughs || {},
+      textAgents: manifest?.textAgents || {},
+      updatedAt: manifest?.updatedAt || null
+    };
+
+    // Clients send the ETag back in If-None-Match and get a 304 when nothing changed
+    const etag = `"${createHash('sha1').update(JSON.stringify(data)).digest('hex')}"`;
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'no-cache');
+
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch manifest' });
+  }
+});
+
 // Text Agent Analytics Logging
 app.post('/api/analytics/text-agent', async (req, res) => {
   try {
@@ -460,6 +519,7 @@ app.post('/api/analytics/text-agent', async (req, res) => {
       agentId,
       stepId,
       instanceId,
+      journeyId,
       stepDuration,
       agentDuration,
       sessionId,
@@ -483,6 +543,7 @@ app.post('/api/analytics/text-agent', async (req, res) => {
       agentId,
       stepId: stepId || null,
       instanceId: instanceId || null,
+      journeyId: journeyId || null,
       stepDuration: stepDuration !== undefined ? stepDuration : null,
       agentDuration: agentDuration !== undefined ? agentDuration : null,
       sessionId: finalSessionId,
@@ -599,6 +660,7 @@ app.post('/api/analytics/walkthrough', async (req, res) => {
       stepId,
       stepSelector,
       instanceId,
+      journeyId,
       stepDuration,
       agentDuration,
       sessionId,
@@ -624,6 +686,7 @@ app.post('/api/analytics/walkthrough', async (req, res) => {
       stepId: stepId || null,
       stepSelector: stepSelector || null,
       instanceId: instanceId || null,
+      journeyId: journeyId || null,
       stepDuration: stepDuration !== undefined ? stepDuration : null,
       agentDuration: agentDuration !== undefined ? agentDuration : null,
       sessionId: finalSessionId,
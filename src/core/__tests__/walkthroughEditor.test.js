@@ -0,0 +1,56 @@
+import { SableSmartLinks } from '../../index.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const tooltipText = () => {
+  const tooltip = document.querySelector('.sable-tooltip');
+  return tooltip ? tooltip.textContent : null;
+};
+
+describe('walkthrough editor preview', () => {
+  let smartLinks;
+
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    document.body.innerHTML = '<button id="save">Save</button>';
+    global.fetch = jest.fn(async () => ({ ok: true, text: async () => '', json: async () => ({ success: true, id: 'analytics-id' }) }));
+
+    smartLinks = new SableSmartLinks({ walkthrough: { autoStart: false, stepDelay: 0 } });
+    smartLinks.registerWalkthrough('edited', [{ stepId: 'edited', selector: '#save', tooltip: 'Edited step' }]);
+    smartLinks.registerWalkthrough('tour', [{ stepId: 'tour', selector: '#save', tooltip: 'Tour step' }]);
+  });
+
+  afterEach(() => {
+    smartLinks.destroy();
+    delete global.fetch;
+  });
+
+  test('closing the editor removes its preview', () => {
+    smartLinks.editWalkthrough('edited');
+    expect(tooltipText()).toContain('Edited step');
+
+    smartLinks.closeEditor();
+    expect(tooltipText()).toBeNull();
+  });
+
+  test('closing the editor leaves a walkthrough started meanwhile alone', async () => {
+    smartLinks.editWalkthrough('edited');
+    smartLinks.startWalkthrough('tour');
+    await wait(100);
+    expect(tooltipText()).toContain('Tour step');
+
+    smartLinks.closeEditor();
+    expect(tooltipText()).toContain('Tour step');
+    expect(smartLinks.walkthroughEngine.isRunning).toBe(true);
+  });
+
+  test('closing an editor that shows nothing leaves a running walkthrough alone', async () => {
+    smartLinks.editWalkthrough('edited');
+    smartLinks.closeEditor();
+    smartLinks.startWalkthrough('tour');
+    await wait(100);
+
+    smartLinks.closeEditor();
+    expect(tooltipText()).toContain('Tour step');
+  });
+});
@@ -0,0 +1,127 @@
+import { WalkthroughEngine } from '../walkthroughEngine.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('end and complete events', () => {
+  let engine;
+  let events;
+
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    document.body.innerHTML = '';
+    global.fetch = jest.fn(async () => ({ ok: true, text: async () => '', json: async () => ({ success: true, id: 'analytics-id' }) }));
+
+    engine = new WalkthroughEngine({ autoStart: false, stepDelay: 0 });
+    engine.register('tour', [{ stepId: 'welcome', tooltip: 'Welcome' }]);
+    engine.register('other', [{ stepId: 'other', tooltip: 'Other' }]);
+
+    events = [];
+    ['end', 'complete'].forEach(name => engine.on(name, detail => events.push({ name, ...detail })));
+  });
+
+  afterEach(() => {
+    engine.destroy();
+    delete global.fetch;
+  });
+
+  const startTour = async () => {
+    engine.start('tour');
+    await wait(50);
+  };
+
+  test('completing a walkthrough emits end and complete with the completed reason', async () => {
+    const windowEvents = [];
+    const listener = event => windowEvents.push(event.detail);
+    window.addEventListener('sable:walkthroughComplete', listener);
+
+    await startTour();
+    engine.next();
+
+    window.removeEventListener('sable:walkthroughComplete', listener);
+    expect(events.map(({ name, reason }) => [name, reason])).toEqual([
+      ['end', 'completed'],
+      ['complete', 'completed']
+    ]);
+    expect(events[1]).toMatchObject({ walkthroughId: 'tour', stepId: 'welcome', totalSteps: 1 });
+    expect(windowEvents).toHaveLength(1);
+    expect(windowEvents[0]).toMatchObject({ walkthroughId: 'tour', reason: 'completed' });
+  });
+
+  test.each([
+    ['closed', () => engine.end()],
+    ['skipped', () => engine.end('skipped')],
+    ['replaced', () => engine.start('other')],
+    ['destroyed', () => engine.destroy()]
+  ])('ending with %s emits end but not complete', async (reason, endTour) => {
+    await startTour();
+    endTour();
+
+    expect(events.map(({ name, reason: eventReason }) => [name, eventReason])).toEqual([['end', reason]]);
+  });
+
+  test('only closed and skipped walkthroughs are recorded as dismissed', async () => {
+    await startTour();
+    engine.start('other');
+    expect(engine.getStatus('tour').dismissedAt).toBeNull();
+
+    engine.start('tour');
+    await wait(50);
+    engine.end('skipped');
+    expect(engine.getStatus('tour').dismissedAt).toEqual(expect.any(Number));
+  });
+});
+
+describe('step actions', () => {
+  let engine;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    sessionStorage.clear();
+    document.body.innerHTML = '<div id="source">Drag me</div><div id="drop">Drop here</div><div id="editor" contenteditable="true"></div>';
+    global.fetch = jest.fn(async () => ({ ok: true, text: async () => '', json: async () => ({ success: true, id: 'analytics-id' }) }));
+
+    engine = new WalkthroughEngine({ autoStart: false, stepDelay: 0 });
+    engine.register('tour', [{ stepId: 'welcome', tooltip: 'Welcome' }]);
+    engine.start('tour');
+    await wait(50);
+  });
+
+  afterEach(() => {
+    engine.destroy();
+    delete global.fetch;
+  });
+
+  test('input sets the value of elements that are not form controls', async () => {
+    const editor = document.getElementById('editor');
+    const inputs = [];
+    editor.addEventListener('input', () => inputs.push(editor.value));
+
+    await engine.performAction(editor, { type: 'input', value: 'Hello' });
+
+    expect(editor.value).toBe('Hello');
+    expect(inputs).toEqual(['Hello']);
+  });
+
+  test('pausing the walkthrough pauses a drag', async () => {
+    const source = document.getElementById('source');
+    let moves = 0;
+    source.addEventListener('mousemove', () => moves++);
+
+    let dropped = false;
+    const drag = engine.performAction(source, { type: 'drag', to: '#drop', steps: 5 }).then(() => {
+      dropped = true;
+    });
+    await wait(30);
+    engine.pause();
+    const movesWhenPaused = moves;
+    await wait(150);
+
+    expect(moves).toBe(movesWhenPaused);
+    expect(dropped).toBe(false);
+
+    engine.resume();
+    await drag;
+    expect(dropped).toBe(true);
+  });
+});
@@ -0,0 +1,32 @@
+import { validateWalkthroughSteps } from '../walkthroughSchema.js';
+import { WalkthroughEngine } from '../walkthroughEngine.js';
+
+const stepWithTarget = target => [{ stepId: 'step', target, tooltip: 'Tooltip' }];
+
+describe('target strategies', () => {
+  test.each([
+    ['css', { css: 'li', index: 2 }],
+    ['xpath', { xpath: '//li', index: 2 }],
+    ['text', { text: 'Save', index: 2 }],
+    ['role', { role: 'button', name: 'Save', index: 2 }],
+    ['data', { data: { testid: 'item' }, index: 2 }],
+    ['ancestor', { ancestor: 'nav', selector: 'a', index: 2 }]
+  ])('%s strategies accept an index', (name, strategy) => {
+    expect(validateWalkthroughSteps(stepWithTarget([strategy]))).toEqual({ valid: true, errors: [] });
+  });
+
+  test('an index must be a non-negative integer', () => {
+    const { valid } = validateWalkthroughSteps(stepWithTarget({ xpath: '//li', index: -1 }));
+    expect(valid).toBe(false);
+  });
+
+  test('unknown keys are rejected', () => {
+    const { valid } = validateWalkthroughSteps(stepWithTarget({ xpath: '//li', nth: 2 }));
+    expect(valid).toBe(false);
+  });
+
+  test('strict registration accepts an xpath strategy with an index', () => {
+    const engine = new WalkthroughEngine({ autoStart: false, validation: 'strict' });
+    expect(() => engine.register('tour', stepWithTarget({ xpath: '//li', index: 2 }))).not.toThrow();
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Manifest Loader
+ * Fetches walkthrough and text agent definitions from a remote JSON manifest
+ * and caches them in localStorage
+ */
+
+import { isBrowser } from '../utils/browserAPI.js';
+
+// localStorage key of the cached manifest
+const MANIFEST_CACHE_KEY = 'sable_manifest_cache';
+
+// Default interval between background refreshes (ms)
+const DEFAULT_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+export class ManifestLoader {
+  /**
+   * Create a new ManifestLoader
+   * @param {Object} config - Configuration options
+   * @param {string} config.url - URL of the manifest
+   * @param {number} [config.refreshInterval=300000] - Background refresh interval in ms (0 disables it)
+   * @param {Function} config.onManifest - Called with the manifest whenever a new one is loaded;
+   *   returns false if the manifest couldn't be applied completely, so it isn't cached
+   * @param {boolean} [config.debug=false] - Enable debug logging
+   */
+  constructor(config) {
+    this.config = {
+      refreshInterval: DEFAULT_REFRESH_INTERVAL,
+      debug: false,
+      ...config
+    };
+
+    this.cache = null; // { url, etag, version, manifest, fetchedAt }
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Apply the cached manifest, if there is one for this URL
+   * @returns {boolean} Whether a cached manifest was applied
+   */
+  loadCached() {
+    if (!isBrowser) return false;
+
+    try {
+      const cached = JSON.parse(localStorage.getItem(MANIFEST_CACHE_KEY));
+      if (!cached || cached.url !== this.config.url || !cached.manifest) {
+        return false;
+      }
+
+      this.cache = cached;
+      if (this.config.debug) {
+        console.log(`[SableManifest] Using cached manifest version ${cached.version}`);
+      }
+      if (this.config.onManifest(cached.manifest) === false) {
+        // Fetch it again instead of serving it from the cache
+        this.cache = null;
+        localStorage.removeItem(MANIFEST_CACHE_KEY);
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Fetch the manifest, applying it if it changed since the cached copy
+   * @returns {Promise<boolean>} Whether a new manifest was applied
+   */
+  async refresh() {
+    if (!isBrowser) return false;
+
+    try {
+      const headers = { Accept: 'application/json' };
+      if (this.cache && this.cache.etag) {
+        headers['If-None-Match'] = this.cache.etag;
+      }
+
+      const response = await fetch(this.config.url, { headers });
+
+      if (response.status === 304) {
+        return false;
+      }
+      if (!response.ok) {
+        throw new Error(`Manifest request failed: ${response.status} ${response.statusText}`);
+      }
+
+      // The Sable API wraps the manifest in { success, data }; static files can serve it directly
+      const body = await response.json();
+      const manifest = body && body.data && !body.walkthroughs && !body.textAgents ? body.data : body;
+      const etag = response.headers.get('ETag');
+      const version = manifest.version !== undefined ? manifest.version : null;
+
+      // Same version under a different ETag (e.g. a re-deployed static file) changes nothing
+      const unchanged = this.cache && version !== null && this.cache.version === version;
+
+      if (!unchanged) {
+        if (this.config.debug) {
+          console.log(`[SableManifest] Loaded manifest version ${version}`);
+        }
+        // A manifest that failed to apply isn't cached, so it isn't served again from the cache
+        if (this.config.onManifest(manifest) === false) {
+          return true;
+        }
+      }
+
+      this.cache = {
+        url: this.config.url,
+        etag,
+        version,
+        manifest,
+        fetchedAt: Date.now()
+      };
+      try {
+        localStorage.setItem(MANIFEST_CACHE_KEY, JSON.stringify(this.cache));
+      } catch (error) {
+        // Storage full or unavailable; the manifest still applies for this page
+      }
+
+      return !unchanged;
+    } catch (error) {
+      if (this.config.debug) {
+        console.warn('[SableManifest] Failed to load manifest:', error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Refresh the manifest periodically in the background
+   */
+  startBackgroundRefresh() {
+    this.stopBackgroundRefresh();
+    if (!isBrowser || !this.config.refreshInterval) return;
+
+    this.refreshTimer = setInterval(() => {
+      this.refresh();
+    }, this.config.refreshInterval);
+  }
+
+  /**
+   * Stop refreshing the manifest in the background
+   */
+  stopBackgroundRefresh() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+}
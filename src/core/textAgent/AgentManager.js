@@ -27,13 +27,15 @@ export class AgentManager {
         autoStart: config.autoStart !== undefined ? config.autoStart : true,
         autoStartOnce: config.autoStartOnce !== undefined ? config.autoStartOnce : true,
         beforeStart: config.beforeStart,
-        requiredSelector: config.requiredSelector
+        requiredSelector: config.requiredSelector,
+        onEnd: config.onEnd
       },
       state: {
         isRunning: false,
         currentStepIndex: -1,
         hasRenderedOnce: false,
-        activePopupManager: null
+        activePopupManager: null,
+        breakpoints: '' // Breakpoints of the current step's `responsive` map that matched when it rendered
       }
     });
   }
@@ -3,10 +3,17 @@
  * Handles auto-start logic and DOM observation for agents
  */
 
+import { findElement } from '../../utils/elementSelector.js';
+
+// How often agents whose required selector reaches into iframes or shadow roots
+// are checked, since mutations there don't reach the observer (ms)
+const PIERCE_POLL_INTERVAL = 500;
+
 export class AutoStartManager {
   constructor(config = {}) {
     this.config = config;
     this.observer = null;
+    this.pollTimer = null;
     this.onAgentStart = null; // Callback to start agent
     this.onAgentEnd = null; // Callback to end agent
     this.agents = null; // Reference to agents map
@@ -43,6 +50,8 @@ export class AutoStartManager {
       subtree: true
     });
 
+    this._updatePolling();
+
     // Initial check
     this._checkAgentTriggers();
   }
@@ -91,11 +100,45 @@ export class AutoStartManager {
     }
   }
 
+  /**
+   * Whether any agent's required selector reaches into an iframe or shadow root
+   */
+  _hasPiercingSelectors() {
+    if (!this.agents) return false;
+    for (const { config } of this.agents.values()) {
+      if (config.requiredSelector && config.requiredSelector.includes('>>>')) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Poll only while some agent's required selector reaches into an iframe or shadow root
+   */
+  _updatePolling() {
+    const needsPolling = !!this.observer && this._hasPiercingSelectors();
+
+    if (needsPolling && !this.pollTimer) {
+      this.pollTimer = setInterval(() => {
+        if (this._hasPiercingSelectors()) {
+          this._checkAgentTriggers();
+        } else {
+          this._updatePolling();
+        }
+      }, PIERCE_POLL_INTERVAL);
+    } else if (!needsPolling && this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
   /**
    * Update the agents map reference (call this after registration or agent changes)
    */
   updateAgents(agents) {
     this.agents = agents;
+    this._updatePolling();
     this._checkAgentTriggers();
   }
 
@@ -112,19 +155,10 @@ export class AutoStartManager {
   }
 
   /**
-   * Find element by selector (supports CSS and XPath)
+   * Find element by selector (supports CSS, XPath and `>>>` into iframes and shadow roots)
    */
   _findElement(selector) {
-    if (selector.startsWith('//')) {
-      return document.evaluate(
-        selector,
-        document,
-        null,
-        XPathResult.FIRST_ORDERED_NODE_TYPE,
-        null
-      ).singleNodeValue;
-    }
-    return document.querySelector(selector);
+    return findElement(selector);
   }
 
   /**
@@ -135,5 +169,9 @@ export class AutoStartManager {
       this.observer.disconnect();
       this.observer = null;
     }
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
   }
 }
@@ -5,6 +5,7 @@
 
 import { safeDocument } from '../../utils/browserAPI.js';
 import { waitForElement } from '../../utils/elementSelector.js';
+import { getElementRect } from '../../utils/positioning.js';
 import globalPopupManager from '../../ui/GlobalPopupManager.js';
 
 export class PopupRenderer {
@@ -130,6 +131,20 @@ export class PopupRenderer {
     return popupManager;
   }
 
+  /**
+   * Position a step's popup again, e.g. after its `responsive` overrides changed
+   */
+  repositionPopup(popupManager, step) {
+    if (!step.targetElement?.selector || !step.targetElement.position) {
+      return;
+    }
+
+    const targetElement = this._findElement(step.targetElement.selector);
+    if (targetElement) {
+      this._positionPopup(popupManager, targetElement, step.targetElement.position);
+    }
+  }
+
   /**
    * Position popup relative to target element
    */
@@ -138,7 +153,7 @@ export class PopupRenderer {
       return;
     }
 
-    const elementRect = targetElement.getBoundingClientRect();
+    const elementRect = getElementRect(targetElement);
     const popupRect = popupManager.container.getBoundingClientRect();
     const margin = 10;
 
@@ -9,6 +9,8 @@ import { TriggerManager } from './TriggerManager.js';
 import { PopupRenderer } from './PopupRenderer.js';
 import { AutoStartManager } from './AutoStartManager.js';
 import globalPopupManager from '../../ui/GlobalPopupManager.js';
+import { debounce } from '../../utils/events.js';
+import { resolveResponsive, getMatchingBreakpoints } from '../../utils/responsive.js';
 import {
   logTextAgentStart,
   logTextAgentNext,
@@ -16,7 +18,9 @@ import {
   logTextAgentEnd,
   logTextAgentRestart,
   logTextAgentStepRendered,
-  updateTextAgentEventDuration
+  updateTextAgentEventDuration,
+  startJourney,
+  getJourneyId
 } from '../../utils/analytics.js';
 
 // Singleton instance
@@ -47,6 +51,9 @@ export class TextAgentEngine {
     this.popupRenderer = new PopupRenderer(this.config);
     this.autoStartManager = new AutoStartManager(this.config);
 
+    // Called with (agentId, { onEnd, journeyId }) when an agent's last step is finished
+    this.onAgentComplete = null;
+
     // Set up popup state listener for step duration tracking
     this._setupPopupStateListener();
 
@@ -108,14 +115,14 @@ export class TextAgentEngine {
 
     // Listen for sable:textAgentStart events
     this._textAgentStartHandler = (event) => {
-      const { agentId, stepId, skipTrigger } = event.detail || {};
+      const { agentId, stepId, skipTrigger, journeyId } = event.detail || {};
 
       if (this.config.debug) {
-        console.log('[SableTextAgent] DEBUG: Received sable:textAgentStart event:', { agentId, stepId, skipTrigger });
+        console.log('[SableTextAgent] DEBUG: Received sable:textAgentStart event:', { agentId, stepId, skipTrigger, journeyId });
       }
 
       if (agentId && this.agentManager.hasAgent(agentId)) {
-        this.start(agentId, stepId, skipTrigger);
+        this.start(agentId, stepId, skipTrigger, false, { journeyId });
       } else if (agentId) {
         if (this.config.debug) {
           console.warn(`[SableTextAgent] Agent "${agentId}" not found when handling sable:textAgentStart event`);
@@ -136,8 +143,40 @@ export class TextAgentEngine {
       }
     };
 
+    // Switch running agents' responsive steps to another variant when the viewport is resized
+    this._resizeHandler = debounce(() => this._applyResponsiveVariants(), 150);
+
     window.addEventListener('sable:textAgentStart', this._textAgentStartHandler);
     window.addEventListener('sable:textAgentEnd', this._textAgentEndHandler);
+    window.addEventListener('resize', this._resizeHandler);
+  }
+
+  /**
+   * Re-evaluate the `responsive` overrides of each running agent's current step.
+   * A step that is now skipped moves on, otherwise its popup is positioned again.
+   */
+  _applyResponsiveVariants() {
+    for (const [agentId, agent] of this.agentManager.getAllAgents().entries()) {
+      const { steps, state } = agent;
+      const rawStep = steps[state.currentStepIndex];
+      if (!state.isRunning || !rawStep || !rawStep.responsive) continue;
+
+      const breakpoints = getMatchingBreakpoints(rawStep.responsive).join('|');
+      if (breakpoints === state.breakpoints) continue;
+      state.breakpoints = breakpoints;
+
+      const step = resolveResponsive(rawStep);
+
+      if (this.config.debug) {
+        console.log(`[SableTextAgent] Step "${step.id}" of agent "${agentId}" switched to breakpoints "${breakpoints}"`);
+      }
+
+      if (step.skip) {
+        this.next(agentId);
+      } else if (state.activePopupManager) {
+        this.popupRenderer.repositionPopup(state.activePopupManager, step);
+      }
+    }
   }
 
   /**
@@ -178,8 +217,11 @@ export class TextAgentEngine {
 
   /**
    * Start a specific agent
+   * @param {Object} [options] - Start options
+   * @param {string} [options.journeyId] - Journey to continue in analytics, e.g. when chained from a
+   *   walkthrough or another agent. A new journey is started by default.
    */
-  async start(agentId, stepId = null, skipTrigger = false, isAutoStart = false) {
+  async start(agentId, stepId = null, skipTrigger = false, isAutoStart = false, options = {}) {
     if (!this.agentManager.hasAgent(agentId)) {
       if (this.config.debug) {
         console.warn(`[SableTextAgent] Agent "${agentId}" not registered`);
@@ -266,6 +308,7 @@ export class TextAgentEngine {
 
     // Create new instance
     const { instanceId } = this.agentManager.createInstance(agentId);
+    startJourney(instanceId, options.journeyId);
 
     // Update state
     state.currentStepIndex = stepId ?
@@ -341,7 +384,17 @@ export class TextAgentEngine {
       return;
     }
 
-    const step = steps[state.currentStepIndex];
+    // The step's variant for the current viewport size
+    const step = resolveResponsive(steps[state.currentStepIndex]);
+    state.breakpoints = getMatchingBreakpoints(steps[state.currentStepIndex].responsive).join('|');
+
+    if (step.skip) {
+      if (this.config.debug) {
+        console.log(`[SableTextAgent] Skipping step "${step.id}" of agent "${agentId}" at this viewport size`);
+      }
+      this.next(agentId);
+      return;
+    }
 
     // Set startTime and log start event only on first render
     if (!state.hasRenderedOnce) {
@@ -444,11 +497,12 @@ export class TextAgentEngine {
       this._renderCurrentStep(agentId, false);
     } else {
       // End of steps - end the agent
+      const instanceId = this.agentManager.getInstance(agentId)?.instanceId;
       if (currentStep) {
         await logTextAgentEnd(
           agentId,
           currentStep.id,
-          this.agentManager.getInstance(agentId)?.instanceId,
+          instanceId,
           {
             stepsCompleted: steps.length,
             completionReason: 'user_finished'
@@ -458,6 +512,10 @@ export class TextAgentEngine {
       }
 
       this._endAgent(agentId);
+
+      if (typeof this.onAgentComplete === 'function') {
+        this.onAgentComplete(agentId, { onEnd: agent.config.onEnd, journeyId: getJourneyId(instanceId) });
+      }
     }
   }
 
@@ -651,6 +709,11 @@ export class TextAgentEngine {
       this._textAgentEndHandler = null;
     }
 
+    if (this._resizeHandler && typeof window !== 'undefined') {
+      window.removeEventListener('resize', this._resizeHandler);
+      this._resizeHandler = null;
+    }
+
     // Remove popup state listener
     if (this._popupStateHandler) {
       globalPopupManager.removeListener(this._popupStateHandler);
@@ -667,6 +730,7 @@ export class TextAgentEngine {
     // Destroy managers
     this.autoStartManager.destroy();
     this.agentManager.clear();
+    this.onAgentComplete = null;
 
     _instance = null;
   }
@@ -4,6 +4,7 @@
  */
 
 import { addEvent, debounce } from '../../utils/events.js';
+import { findElement, findElements } from '../../utils/elementSelector.js';
 
 export class TriggerManager {
   constructor(config = {}) {
@@ -72,7 +73,7 @@ export class TriggerManager {
     const { selector, event = 'click', delay = 0 } = step.triggerOnButtonPress;
 
     const checkAndSetup = () => {
-      const elements = document.querySelectorAll(selector);
+      const elements = findElements(selector);
       if (elements.length === 0) {
         setTimeout(checkAndSetup, 500);
         return;
@@ -104,19 +105,10 @@ export class TriggerManager {
   }
 
   /**
-   * Find element by selector (supports CSS and XPath)
+   * Find element by selector (supports CSS, XPath and `>>>` into iframes and shadow roots)
    */
   _findElement(selector) {
-    if (selector.startsWith('//')) {
-      return document.evaluate(
-        selector,
-        document,
-        null,
-        XPathResult.FIRST_ORDERED_NODE_TYPE,
-        null
-      ).singleNodeValue;
-    }
-    return document.querySelector(selector);
+    return findElement(selector);
   }
 
   /**
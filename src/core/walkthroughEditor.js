@@ -0,0 +1,455 @@
+/**
+ * Walkthrough Editor
+ * Edits a registered walkthrough in place: numbers each step's target on the page,
+ * previews the selected step and saves the edited steps
+ */
+
+import { isBrowser } from '../utils/browserAPI.js';
+import { debounce } from '../utils/events.js';
+import { findTarget } from '../utils/elementSelector.js';
+import { getElementPosition, createPositionObserver, removePositionObserver } from '../utils/positioning.js';
+import { showTooltip, hideTooltip } from '../ui/tooltip.js';
+import { highlightElements, removeHighlight } from '../ui/highlight.js';
+import { createSpotlight, removeSpotlights } from '../ui/spotlight.js';
+import { EditorPanel } from '../ui/components/EditorPanel.js';
+import { WalkthroughValidationError } from './walkthroughSchema.js';
+
+const BADGE_CLASS = 'sable-editor-badge';
+
+// Delay before the preview follows edits (ms), so it isn't rebuilt on every keystroke
+const PREVIEW_DELAY = 150;
+
+export class WalkthroughEditor {
+  /**
+   * Create a new WalkthroughEditor
+   * @param {Object} [config] - Configuration options
+   * @param {string|null} [config.saveUrl=null] - Endpoint the edited walkthrough is POSTed to;
+   *   without one it is downloaded as a JSON file
+   * @param {Function} [config.onSave] - Called with (walkthroughId, steps) before the steps are saved;
+   *   throwing, e.g. a WalkthroughValidationError, shows the error and cancels saving
+   * @param {Function} [config.isWalkthroughRunning] - Whether a walkthrough is running; its tooltip,
+   *   spotlight and highlight are then left alone instead of being previewed over or removed
+   * @param {boolean} [config.debug=false] - Enable debug logging
+   */
+  constructor(config = {}) {
+    this.config = {
+      saveUrl: null,
+      onSave: null,
+      isWalkthroughRunning: () => false,
+      debug: false,
+      ...config
+    };
+
+    this.walkthroughId = null;
+    this.steps = [];
+    this.selectedIndex = 0;
+    this.panel = null;
+    this.badges = []; // { element: HTMLElement, observerId: string|null }
+    this.previewShown = false;
+    this.schedulePreview = debounce(() => this._preview(), PREVIEW_DELAY);
+  }
+
+  /**
+   * Whether the editor is open
+   * @returns {boolean}
+   */
+  get isOpen() {
+    return !!this.panel;
+  }
+
+  /**
+   * Open a walkthrough in the editor
+   * @param {string} walkthroughId - ID of the walkthrough
+   * @param {Array<Object>} steps - The walkthrough's steps; they are copied, not edited directly
+   */
+  open(walkthroughId, steps) {
+    if (!isBrowser) return;
+
+    this.close();
+
+    this.walkthroughId = walkthroughId;
+    this.steps = steps.map(step => this._copyStep(step));
+    this.selectedIndex = 0;
+
+    this.panel = new EditorPanel({
+      onSelect: index => this.select(index),
+      onMove: (from, to) => this.moveStep(from, to),
+      onChange: (field, value) => this._updateStep(field, value),
+      onSave: () => this.save(),
+      onClose: () => this.close()
+    }, {
+      title: `Editing "${walkthroughId}"`,
+      saveButtonText: this.config.saveUrl ? 'Save' : 'Download JSON'
+    });
+
+    this._renderSteps();
+    this.panel.renderForm(this._getFormValues());
+    this._preview();
+
+    if (this.config.debug) {
+      console.log(`[SableEditor] Editing walkthrough "${walkthroughId}" with ${this.steps.length} steps`);
+    }
+  }
+
+  /**
+   * Close the editor, discarding unsaved edits
+   */
+  close() {
+    this._removeBadges();
+    this._clearPreview();
+
+    if (this.panel) {
+      this.panel.destroy();
+      this.panel = null;
+    }
+  }
+
+  /**
+   * Get the edited steps
+   * @returns {Array<Object>}
+   */
+  getSteps() {
+    return this.steps.map(step => this._copyStep(step));
+  }
+
+  /**
+   * Edit and preview another step
+   * @param {number} index - Index of the step
+   */
+  select(index) {
+    if (!this.steps[index]) return;
+
+    this.selectedIndex = index;
+    this._renderSteps();
+    this.panel.renderForm(this._getFormValues());
+    this._preview();
+  }
+
+  /**
+   * Move a step to another position
+   * @param {number} from - Current index of the step
+   * @param {number} to - Index to move it to
+   */
+  moveStep(from, to) {
+    if (!this.steps[from] || to < 0 || to >= this.steps.length) return;
+
+    const selectedStep = this.steps[this.selectedIndex];
+    const [step] = this.steps.splice(from, 1);
+    this.steps.splice(to, 0, step);
+    this.selectedIndex = this.steps.indexOf(selectedStep);
+
+    this._renderSteps();
+  }
+
+  /**
+   * Save the edited steps to the save URL, or download them as JSON
+   * @returns {Promise<boolean>} Whether the steps were saved
+   */
+  async save() {
+    const steps = this.getSteps();
+
+    // JSON has no functions, and RegExps are saved as their source
+    let hasFunctions = false;
+    const json = JSON.stringify(steps, (key, value) => {
+      if (typeof value === 'function') {
+        hasFunctions = true;
+        return undefined;
+      }
+      return value instanceof RegExp ? value.source : value;
+    }, 2);
+
+    if (hasFunctions && this.config.debug) {
+      console.warn('[SableEditor] Callbacks, hooks and other functions are not included in the saved steps');
+    }
+
+    try {
+      // Register the edited steps first, so steps that fail strict validation aren't saved
+      if (typeof this.config.onSave === 'function') {
+        this.config.onSave(this.walkthroughId, steps);
+      }
+
+      if (this.config.saveUrl) {
+        const response = await fetch(this.config.saveUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ walkthroughId: this.walkthroughId, steps: JSON.parse(json) })
+        });
+        if (!response.ok) {
+          throw new Error(`Save request failed: ${response.status} ${response.statusText}`);
+        }
+      } else {
+        this._download(`${this.walkthroughId}.json`, json);
+      }
+    } catch (error) {
+      if (this.config.debug) {
+        console.warn('[SableEditor] Could not save the walkthrough:', error);
+      }
+      if (this.panel) {
+        this.panel.showStatus(error instanceof WalkthroughValidationError ? error.message : 'Saving failed');
+      }
+      return false;
+    }
+
+    if (this.panel) {
+      this.panel.showStatus(this.config.saveUrl ? 'Saved' : 'Downloaded');
+    }
+    return true;
+  }
+
+  /**
+   * Offer a file for download
+   * @param {string} filename - Name of the file
+   * @param {string} content - File content
+   * @private
+   */
+  _download(filename, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Copy a step and the option objects the editor changes, keeping functions and RegExps as they are
+   * @param {Object} step - Step definition
+   * @returns {Object}
+   * @private
+   */
+  _copyStep(step) {
+    const copy = { ...step };
+    ['tooltip', 'highlight', 'spotlight'].forEach(option => {
+      if (copy[option] && typeof copy[option] === 'object') {
+        copy[option] = { ...copy[option] };
+      }
+    });
+    return copy;
+  }
+
+  /**
+   * Apply an edit from the panel to the selected step
+   * @param {string} field - Option edited, e.g. 'tooltip.title', or 'spotlight' to switch the spotlight on or off
+   * @param {*} value - New value; empty values remove the option
+   * @private
+   */
+  _updateStep(field, value) {
+    const step = this.steps[this.selectedIndex];
+    if (!step) return;
+
+    const [option, key] = field.split('.');
+
+    if (!key) {
+      // Switching an option on or off
+      if (value) {
+        step[option] = step[option] || true;
+      } else {
+        delete step[option];
+      }
+      this.panel.renderForm(this._getFormValues());
+      this._preview();
+      return;
+    }
+
+    let options = step[option];
+    if (typeof options === 'string') {
+      options = { content: options };
+    } else if (!options || typeof options !== 'object') {
+      options = {};
+    }
+
+    // Tooltip content is required, so it stays even when empty
+    if ((value === undefined || value === '' || Number.isNaN(value)) && key !== 'content') {
+      delete options[key];
+    } else {
+      options[key] = value;
+    }
+
+    // Keep definitions as short as the author would write them
+    const keys = Object.keys(options);
+    if (option === 'tooltip' && keys.length === 1 && keys[0] === 'content') {
+      step.tooltip = options.content;
+    } else if (option !== 'tooltip' && keys.length === 0) {
+      step[option] = true;
+    } else {
+      step[option] = options;
+    }
+
+    this.schedulePreview();
+  }
+
+  /**
+   * Get the selected step's options as shown in the form
+   * @returns {{tooltip: Object, spotlight: Object|null, highlight: Object|null}}
+   * @private
+   */
+  _getFormValues() {
+    const step = this.steps[this.selectedIndex] || {};
+    const asObject = value => (value && typeof value === 'object' ? value : {});
+
+    return {
+      tooltip: typeof step.tooltip === 'string' ? { content: step.tooltip } : asObject(step.tooltip),
+      spotlight: step.spotlight ? asObject(step.spotlight) : null,
+      highlight: step.highlight ? asObject(step.highlight) : null
+    };
+  }
+
+  /**
+   * Find the elements of a step on the current page
+   * @param {Object} step - Step definition
+   * @returns {Array<Element>} The step's elements with the primary one first, or an empty array
+   * @private
+   */
+  _findStepElements(step) {
+    if (step.selectors) {
+      const elements = step.selectors.map(target => {
+        const match = findTarget(target);
+        return match ? match.element : null;
+      });
+      const primary = elements[step.primary || 0];
+      return [primary, ...elements.filter(element => element !== primary)].filter(Boolean);
+    }
+
+    const target = step.target || step.selector;
+    const match = target ? findTarget(target) : null;
+    return match ? [match.element] : [];
+  }
+
+  /**
+   * Show the step list and the badges
+   * @private
+   */
+  _renderSteps() {
+    this.panel.renderSteps(this.steps.map(step => ({
+      stepId: step.stepId,
+      // Steps without a target show a centered tooltip, so they are always on the page
+      found: (!step.selector && !step.target && !step.selectors) || this._findStepElements(step).length > 0
+    })), this.selectedIndex);
+    this._renderBadges();
+  }
+
+  /**
+   * Number each step's element on the page
+   * @private
+   */
+  _renderBadges() {
+    this._removeBadges();
+    if (!this.panel) return;
+
+    this.steps.forEach((step, index) => {
+      const [element] = this._findStepElements(step);
+      if (!element) return;
+
+      const badge = document.createElement('button');
+      badge.type = 'button';
+      badge.className = BADGE_CLASS;
+      badge.textContent = String(index + 1);
+      badge.setAttribute('aria-label', `Edit step ${index + 1}`);
+      Object.assign(badge.style, {
+        position: 'absolute',
+        zIndex: '2147483646',
+        width: '22px',
+        height: '22px',
+        padding: '0',
+        borderRadius: '50%',
+        border: '2px solid #FFFFFF',
+        background: index === this.selectedIndex ? '#E67E22' : '#3498DB',
+        color: '#FFFFFF',
+        fontSize: '12px',
+        fontWeight: '600',
+        lineHeight: '18px',
+        cursor: 'pointer',
+        boxShadow: '0 1px 4px rgba(0,0,0,0.4)'
+      });
+      badge.addEventListener('click', event => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.select(index);
+      });
+
+      // Sit on the element's top-left corner
+      const updateBadgePosition = (targetElement, uiElement) => {
+        const position = getElementPosition(targetElement);
+        if (!position) return;
+        uiElement.style.left = `${position.left - 11}px`;
+        uiElement.style.top = `${position.top - 11}px`;
+      };
+      updateBadgePosition(element, badge);
+      document.body.appendChild(badge);
+
+      this.badges.push({ element: badge, observerId: createPositionObserver(element, badge, updateBadgePosition) });
+    });
+  }
+
+  /**
+   * Remove the badges
+   * @private
+   */
+  _removeBadges() {
+    this.badges.forEach(({ element, observerId }) => {
+      removePositionObserver(observerId);
+      if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    });
+    this.badges = [];
+  }
+
+  /**
+   * Show the selected step's highlight, spotlight and tooltip as the walkthrough would
+   * @private
+   */
+  _preview() {
+    this._clearPreview();
+
+    const step = this.steps[this.selectedIndex];
+    if (!step || !this.panel || this.config.isWalkthroughRunning()) return;
+    this.previewShown = true;
+
+    const elements = this._findStepElements(step);
+    const element = elements[0] || null;
+
+    if (element && step.highlight) {
+      highlightElements(elements, typeof step.highlight === 'object' ? step.highlight : {});
+    }
+
+    if (step.spotlight) {
+      const spotlightOptions = typeof step.spotlight === 'object' ? step.spotlight : {};
+      createSpotlight(elements, { ...spotlightOptions, animate: false });
+    }
+
+    if (step.tooltip) {
+      const tooltipContent = typeof step.tooltip === 'object' ? step.tooltip : { content: step.tooltip };
+      showTooltip(element, tooltipContent, {
+        position: tooltipContent.position || 'bottom',
+        className: tooltipContent.className,
+        showNavigation: tooltipContent.showNavigation,
+        nextButtonText: tooltipContent.nextButtonText,
+        prevButtonText: tooltipContent.prevButtonText,
+        onNext: () => this.select(Math.min(this.selectedIndex + 1, this.steps.length - 1)),
+        onPrev: this.selectedIndex > 0 ? () => this.select(this.selectedIndex - 1) : undefined,
+        // Keep focus in the field being edited
+        autoFocus: false
+      });
+    }
+  }
+
+  /**
+   * Remove the preview. The tooltip, spotlight and highlight are shared with walkthroughs,
+   * so nothing is removed unless the preview is what's showing.
+   * @private
+   */
+  _clearPreview() {
+    if (!this.previewShown) return;
+    this.previewShown = false;
+
+    // A walkthrough started since has replaced the preview with its own step
+    if (this.config.isWalkthroughRunning()) return;
+
+    hideTooltip();
+    removeSpotlights();
+    removeHighlight();
+  }
+}
@@ -3,21 +3,45 @@
  * Core functionality for managing and executing walkthroughs
  */
 
-import { waitForElement } from '../utils/elementSelector.js';
-import { highlightElement, removeHighlight } from '../ui/highlight.js';
+import { waitForTarget, findElement, describeTarget } from '../utils/elementSelector.js';
+import { addEvent, debounce } from '../utils/events.js';
+import { highlightElements, removeHighlight } from '../ui/highlight.js';
 import { showTooltip, hideTooltip } from '../ui/tooltip.js';
 import { createSpotlight, removeSpotlights } from '../ui/spotlight.js';
 import { isBrowser, safeWindow, safeDocument } from '../utils/browserAPI.js';
+import { scrollElementIntoView } from '../utils/positioning.js';
+import { resolveResponsive, getMatchingBreakpoints } from '../utils/responsive.js';
 import { EndTourButton } from '../ui/components/EndTourButton.js';
+import ElementInteractor from '../interactor';
+import { validateWalkthroughSteps, formatValidationError, WalkthroughValidationError } from './walkthroughSchema.js';
 import {
   logWalkthroughStart,
   logWalkthroughNext,
+  logWalkthroughPrevious,
   logWalkthroughEnd,
   logWalkthroughStepExecuted,
   logWalkthroughStepError,
-  updateWalkthroughEventDuration
+  logWalkthroughRecovery,
+  updateWalkthroughEventDuration,
+  startJourney,
+  getJourneyId
 } from '../utils/analytics.js';
 
+// sessionStorage key used to resume a walkthrough after a reload or navigation
+const WALKTHROUGH_STATE_KEY = 'sable_walkthrough_state';
+
+// Saved state older than this is ignored (ms)
+const WALKTHROUGH_STATE_MAX_AGE = 30 * 60 * 1000;
+
+// localStorage key of the per-walkthrough start, completion and dismissal records
+const WALKTHROUGH_STATUS_KEY = 'sable_walkthrough_status';
+
+// How often a step waiting for its urlPattern re-checks the URL (ms)
+const URL_PATTERN_POLL_INTERVAL = 100;
+
+// Lifecycle events that can be subscribed to with on()/off()
+const WALKTHROUGH_EVENTS = ['start', 'stepShown', 'stepError', 'next', 'previous', 'end', 'complete'];
+
 export class WalkthroughEngine {
   /**
    * Create a new WalkthroughEngine
@@ -29,6 +53,14 @@ export class WalkthroughEngine {
       debug: false,
       autoStart: true,
       stepDelay: 500,
+      validation: 'lenient',
+      recovery: false,
+      autoStartOnce: false,
+      skipIfCompleted: false,
+      skipIfDismissed: false,
+      scrollOffsetTop: 0,
+      scrollBehavior: 'smooth',
+      scrollBlock: 'center',
       ...config
     };
 
@@ -37,10 +69,16 @@ export class WalkthroughEngine {
     }
 
     this.walkthroughs = {};
+    this.walkthroughOptions = {}; // Walkthrough-level options by ID, e.g. onComplete
     this.currentWalkthrough = null;
     this.currentStep = 0;
     this.isRunning = false;
+    this.stepHistory = []; // Indices of visited steps, used by previous()
+    this.stepTimeouts = []; // Pending timers owned by the current step, frozen while paused
+    this.stepCleanups = []; // Listener cleanup functions owned by the current step
     this.activeElements = {
+      target: null,
+      targets: [], // All of a step's elements when it has several `selectors`, primary first
       highlighted: null,
       tooltip: null,
       overlay: null
@@ -55,6 +93,32 @@ export class WalkthroughEngine {
     this.currentStepStartTime = null; // Timestamp when current step started
     this.lastExecutedStepIndex = null; // Track last executed step to prevent duplicates
 
+    // Pausing
+    this.isPaused = false;
+    this.pausedAt = null; // Timestamp when the current pause started
+    this.stepPausedDuration = 0; // Paused time to exclude from the current step's duration (ms)
+    this.currentStepShown = false; // Whether processStep() ran for the current step
+    this.retryStepOnResume = false; // Element lookup timed out while paused
+    this.recoveryShown = false; // Whether the missing-element recovery prompt is showing
+
+    // Responsive variants
+    this.currentStepVariant = null; // The current step with its matching `responsive` overrides applied
+    this.currentStepBreakpoints = ''; // Breakpoints of the current step that matched when it ran
+
+    // The beforeStep or afterStep hook being awaited, if any
+    this.activeStepHook = null;
+
+    // State persistence
+    this.currentStepActionPerformed = false; // Whether the current step's action already ran
+    this.isReplayingSetup = false; // Whether setup actions for a deep-linked step are running
+    this.pendingRestore = null; // Saved state waiting for its walkthrough to be registered
+
+    // Lifecycle event subscribers, keyed by event name
+    this.eventListeners = {};
+
+    // Element that had focus before the walkthrough, restored when it ends
+    this.previouslyFocusedElement = null;
+
     // Initialize end tour button
     this.endTourButton = null;
     if (isBrowser) {
@@ -63,6 +127,7 @@ export class WalkthroughEngine {
 
     // Bind methods to ensure correct 'this' context
     this.next = this.next.bind(this);
+    this.previous = this.previous.bind(this);
     this.end = this.end.bind(this);
   }
 
@@ -111,9 +176,11 @@ export class WalkthroughEngine {
     }
 
     if (this.currentStepAnalyticsId && this.currentStepStartTime) {
-      const stepDuration = Date.now() - this.currentStepStartTime;
+      // Paused time doesn't count towards the step
+      const pausedDuration = this._getStepPausedDuration();
+      const stepDuration = Date.now() - this.currentStepStartTime - pausedDuration;
       if (this.config.debug) {
-        console.log(`[SableWalkthrough] DEBUG: Calculating step duration: ${Date.now()} - ${this.currentStepStartTime} = ${stepDuration}ms`);
+        console.log(`[SableWalkthrough] DEBUG: Calculating step duration: ${Date.now()} - ${this.currentStepStartTime} - ${pausedDuration} (paused) = ${stepDuration}ms`);
       }
       updateWalkthroughEventDuration(this.currentStepAnalyticsId, stepDuration);
 
@@ -129,197 +196,1458 @@ export class WalkthroughEngine {
     // Reset tracking
     this.currentStepAnalyticsId = null;
     this.currentStepStartTime = null;
+    this.stepPausedDuration = 0;
     this.lastExecutedStepIndex = null;
   }
 
+  /**
+   * Start tracking the current step's duration once its analytics record exists
+   * @param {string} analyticsId - ID of the step_executed analytics record
+   * @private
+   */
+  _startStepDurationTracking(analyticsId) {
+    this.currentStepAnalyticsId = analyticsId;
+    this.currentStepStartTime = Date.now();
+    this.stepPausedDuration = 0;
+    if (this.isPaused) {
+      this.pausedAt = this.currentStepStartTime;
+    }
+    this._saveState();
+
+    if (this.config.debug) {
+      console.log(`[SableWalkthrough] Started tracking step duration for analytics ID: ${analyticsId}`);
+    }
+  }
+
+  /**
+   * Time the current step has spent paused, including an ongoing pause
+   * @returns {number} Paused duration in ms
+   * @private
+   */
+  _getStepPausedDuration() {
+    const ongoing = this.isPaused && this.pausedAt ? Date.now() - this.pausedAt : 0;
+    return this.stepPausedDuration + ongoing;
+  }
+
+  /**
+   * Schedule a timer that belongs to the current step.
+   * Pending step timers are cleared when the step is cleaned up, so stale
+   * auto-advances can't fire after the user navigates away.
+   * @private
+   */
+  _setStepTimeout(callback, delay) {
+    const timer = { callback, remaining: delay, startedAt: null, timeoutId: null };
+    this.stepTimeouts.push(timer);
+    if (!this.isPaused) {
+      this._runStepTimer(timer);
+    }
+    return timer;
+  }
+
+  /**
+   * Start (or restart after a pause) the countdown of a step timer
+   * @param {Object} timer - Timer created by _setStepTimeout
+   * @private
+   */
+  _runStepTimer(timer) {
+    timer.startedAt = Date.now();
+    timer.timeoutId = setTimeout(() => {
+      this.stepTimeouts = this.stepTimeouts.filter(t => t !== timer);
+      timer.callback();
+    }, timer.remaining);
+  }
+
+  /**
+   * Wait on a step timer, so the wait is frozen while paused and abandoned
+   * (never resolves) when the step is cleaned up
+   * @param {number} delay - Time to wait (ms)
+   * @returns {Promise<void>}
+   * @private
+   */
+  _waitStep(delay) {
+    return new Promise(resolve => this._setStepTimeout(resolve, delay));
+  }
+
+  /**
+   * Settle with a promise only while the current step is active, so work
+   * that finishes after the user moved on is ignored
+   * @param {Promise} promise - Promise to follow
+   * @returns {Promise}
+   * @private
+   */
+  _whileStepActive(promise) {
+    let active = true;
+    this.stepCleanups.push(() => {
+      active = false;
+    });
+
+    return new Promise((resolve, reject) => {
+      Promise.resolve(promise).then(
+        value => active && resolve(value),
+        error => active && reject(error)
+      );
+    });
+  }
+
+  /**
+   * Cancel a single step timer
+   * @param {Object} timer - Timer returned by _setStepTimeout
+   * @private
+   */
+  _clearStepTimeout(timer) {
+    if (!timer) return;
+    clearTimeout(timer.timeoutId);
+    this.stepTimeouts = this.stepTimeouts.filter(t => t !== timer);
+  }
+
+  /**
+   * Clear all pending timers of the current step
+   * @private
+   */
+  _clearStepTimeouts() {
+    this.stepTimeouts.forEach(timer => clearTimeout(timer.timeoutId));
+    this.stepTimeouts = [];
+  }
+
+  /**
+   * Subscribe to a walkthrough lifecycle event
+   * @param {string} eventName - One of start, stepShown, stepError, next, previous, end, complete
+   * @param {Function} handler - Called with the event detail
+   * @returns {Function} Function that removes the subscription
+   */
+  on(eventName, handler) {
+    if (!WALKTHROUGH_EVENTS.includes(eventName) || typeof handler !== 'function') {
+      if (this.config.debug) {
+        console.warn(`[SableWalkthrough] Cannot subscribe to unknown event "${eventName}"`);
+      }
+      return () => {};
+    }
+
+    if (!this.eventListeners[eventName]) {
+      this.eventListeners[eventName] = new Set();
+    }
+    this.eventListeners[eventName].add(handler);
+
+    return () => this.off(eventName, handler);
+  }
+
+  /**
+   * Unsubscribe from a walkthrough lifecycle event
+   * @param {string} eventName - Name of the event
+   * @param {Function} handler - The handler passed to on()
+   */
+  off(eventName, handler) {
+    if (this.eventListeners[eventName]) {
+      this.eventListeners[eventName].delete(handler);
+    }
+  }
+
+  /**
+   * Notify subscribers and dispatch the matching `sable:walkthrough*` window event
+   * @param {string} eventName - Name of the event
+   * @param {Object} [detail] - Event-specific data, merged over the current step info
+   * @private
+   */
+  _emit(eventName, detail = {}) {
+    const steps = this.walkthroughs[this.currentWalkthrough] || [];
+    const step = steps[this.currentStep];
+    const eventDetail = {
+      walkthroughId: this.currentWalkthrough,
+      instanceId: this.currentInstanceId,
+      journeyId: getJourneyId(this.currentInstanceId),
+      stepIndex: this.currentStep,
+      stepId: step ? step.stepId : null,
+      totalSteps: steps.length,
+      ...detail
+    };
+
+    const listeners = this.eventListeners[eventName];
+    if (listeners) {
+      listeners.forEach(listener => {
+        try {
+          listener(eventDetail);
+        } catch (error) {
+          if (this.config.debug) {
+            console.warn(`[SableWalkthrough] "${eventName}" listener threw:`, error);
+          }
+        }
+      });
+    }
+
+    if (isBrowser) {
+      const windowEventName = `sable:walkthrough${eventName.charAt(0).toUpperCase()}${eventName.slice(1)}`;
+      window.dispatchEvent(new CustomEvent(windowEventName, { detail: eventDetail }));
+    }
+  }
+
   /**
    * Register a new walkthrough
    * @param {string} id - Unique identifier for the walkthrough
    * @param {Array} steps - Array of step objects defining the walkthrough
+   * @param {Object} [options] - Walkthrough-level options
+   * @param {Object} [options.onComplete] - What to start when the walkthrough is completed:
+   *   `{ startWalkthrough | startTextAgent, stepId, delay }`
+   * @returns {{valid: boolean, errors: Array<Object>}} Validation result; in strict mode invalid steps throw instead
    */
-  register(id, steps) {
+  register(id, steps, options = {}) {
+    const validation = this._validateSteps(id, steps);
+
     if (!Array.isArray(steps) || steps.length === 0) {
-      return;
+      return validation;
     }
 
     // Validate that all steps have stepId
     for (let i = 0; i < steps.length; i++) {
       const step = steps[i];
       if (!step.stepId) {
-        return;
+        return validation;
       }
     }
 
     this.walkthroughs[id] = steps;
+    this.walkthroughOptions[id] = options || {};
+
+    // Resume a walkthrough that was interrupted before it was registered
+    if (this.pendingRestore && this.pendingRestore.walkthroughId === id) {
+      const state = this.pendingRestore;
+      this.pendingRestore = null;
+      this._resumeFromState(state);
+    }
+
+    return validation;
   }
 
   /**
-   * Start a walkthrough by ID
-   * @param {string} walkthroughId - ID of the walkthrough to start
-   * @returns {boolean} - Success status
+   * Validate step definitions according to the `validation` mode:
+   * 'strict' throws, 'lenient' warns, false skips validation
+   * @param {string} id - ID of the walkthrough
+   * @param {Array} steps - Step definitions
+   * @returns {{valid: boolean, errors: Array<Object>}} The validation result
+   * @private
    */
-  start(walkthroughId) {
-    if (!this.walkthroughs[walkthroughId]) {
-      return false;
+  _validateSteps(id, steps) {
+    if (!this.config.validation) {
+      return { valid: true, errors: [] };
     }
 
-    // End any currently running walkthrough
-    if (this.isRunning) {
-      this.end();
+    const validation = validateWalkthroughSteps(steps);
+    if (validation.valid) {
+      return validation;
     }
 
-    this.currentWalkthrough = walkthroughId;
-    this.currentStep = 0;
-    this.isRunning = true;
+    if (this.config.validation === 'strict') {
+      throw new WalkthroughValidationError(id, validation.errors);
+    }
 
-    // Generate a new instance ID for the walkthrough
-    this.currentInstanceId = this._generateInstanceId();
-    this.currentInstanceStartTime = Date.now();
+    console.warn(`[SableWalkthrough] Walkthrough "${id}" has invalid steps:\n${validation.errors.map(formatValidationError).join('\n')}`);
+    return validation;
+  }
 
-    // Log analytics for walkthrough start
-    const steps = this.walkthroughs[walkthroughId];
-    const currentStep = steps[this.currentStep];
-    logWalkthroughStart(
-      walkthroughId,
-      this.currentStep,
-      currentStep.stepId,
-      this.currentInstanceId,
-      {
-        totalSteps: steps.length,
-        walkthroughType: 'tutorial'
-      },
-      null // walkthroughDuration is null for start event since instance hasn't started yet
-    );
+  /**
+   * Save the current walkthrough state to sessionStorage
+   * @private
+   */
+  _saveState() {
+    if (!isBrowser || !this.isRunning || !this.currentWalkthrough) return;
+
+    const state = {
+      walkthroughId: this.currentWalkthrough,
+      currentStep: this.currentStep,
+      stepHistory: this.stepHistory,
+      instanceId: this.currentInstanceId,
+      instanceStartTime: this.currentInstanceStartTime,
+      stepAnalyticsId: this.currentStepAnalyticsId,
+      stepStartTime: this.currentStepStartTime,
+      stepPausedDuration: this._getStepPausedDuration(),
+      actionPerformed: this.currentStepActionPerformed,
+      isRunning: this.isRunning,
+      timestamp: Date.now()
+    };
 
-    // Show end tour button
-    if (this.endTourButton) {
-      this.endTourButton.show();
+    try {
+      sessionStorage.setItem(WALKTHROUGH_STATE_KEY, JSON.stringify(state));
+    } catch (e) {
+      // sessionStorage not available
     }
+  }
 
-    // Execute the first step
-    this.executeStep();
+  /**
+   * Load saved walkthrough state from sessionStorage
+   * @returns {Object|null} The saved state, or null if there is none or it is stale
+   * @private
+   */
+  _loadState() {
+    if (!isBrowser) return null;
+
+    try {
+      const raw = sessionStorage.getItem(WALKTHROUGH_STATE_KEY);
+      if (!raw) return null;
+
+      const state = JSON.parse(raw);
+      if (!state || !state.walkthroughId || !state.isRunning) {
+        return null;
+      }
+
+      if (Date.now() - state.timestamp > WALKTHROUGH_STATE_MAX_AGE) {
+        this._clearState();
+        return null;
+      }
+
+      return state;
+    } catch (e) {
+      this._clearState();
+      return null;
+    }
+  }
+
+  /**
+   * Remove saved walkthrough state from sessionStorage
+   * @private
+   */
+  _clearState() {
+    if (!isBrowser) return;
+
+    try {
+      sessionStorage.removeItem(WALKTHROUGH_STATE_KEY);
+    } catch (e) {
+      // sessionStorage not available
+    }
+  }
+
+  /**
+   * Read the status records of all walkthroughs from localStorage
+   * @returns {Object} Records keyed by walkthrough ID
+   * @private
+   */
+  _loadStatusRecords() {
+    if (!isBrowser) return {};
+
+    try {
+      return JSON.parse(localStorage.getItem(WALKTHROUGH_STATUS_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Merge changes into a walkthrough's status record
+   * @param {string} walkthroughId - ID of the walkthrough
+   * @param {Object} changes - Fields to set
+   * @private
+   */
+  _updateStatusRecord(walkthroughId, changes) {
+    if (!isBrowser) return;
+
+    const records = this._loadStatusRecords();
+    records[walkthroughId] = { ...records[walkthroughId], ...changes };
+
+    try {
+      localStorage.setItem(WALKTHROUGH_STATUS_KEY, JSON.stringify(records));
+    } catch (e) {
+      // localStorage not available
+    }
+  }
+
+  /**
+   * Get what the user has done with a walkthrough so far
+   * @param {string} walkthroughId - ID of the walkthrough
+   * @returns {{status: string, completedAt: number|null, dismissedAt: number|null, lastStartedAt: number|null, autoStartedAt: number|null}}
+   *   `status` is 'completed', 'dismissed', 'started' or 'not_started'
+   */
+  getStatus(walkthroughId) {
+    const record = this._loadStatusRecords()[walkthroughId] || {};
+
+    let status = 'not_started';
+    if (record.completedAt) {
+      status = 'completed';
+    } else if (record.dismissedAt) {
+      status = 'dismissed';
+    } else if (record.lastStartedAt) {
+      status = 'started';
+    }
+
+    return {
+      status,
+      completedAt: record.completedAt || null,
+      dismissedAt: record.dismissedAt || null,
+      lastStartedAt: record.lastStartedAt || null,
+      autoStartedAt: record.autoStartedAt || null
+    };
+  }
+
+  /**
+   * Forget a walkthrough's status so it auto-starts again
+   * @param {string} [walkthroughId] - ID of the walkthrough; all walkthroughs if omitted
+   */
+  resetStatus(walkthroughId) {
+    if (!isBrowser) return;
+
+    try {
+      if (walkthroughId === undefined) {
+        localStorage.removeItem(WALKTHROUGH_STATUS_KEY);
+        return;
+      }
+      const records = this._loadStatusRecords();
+      delete records[walkthroughId];
+      localStorage.setItem(WALKTHROUGH_STATUS_KEY, JSON.stringify(records));
+    } catch (e) {
+      // localStorage not available
+    }
+  }
+
+  /**
+   * Whether a walkthrough may be started automatically (e.g. from a URL parameter),
+   * given the `autoStartOnce`, `skipIfCompleted` and `skipIfDismissed` options
+   * @param {string} walkthroughId - ID of the walkthrough
+   * @returns {boolean}
+   */
+  canAutoStart(walkthroughId) {
+    const status = this.getStatus(walkthroughId);
 
+    if (this.config.autoStartOnce && status.autoStartedAt) return false;
+    if (this.config.skipIfCompleted && status.completedAt) return false;
+    if (this.config.skipIfDismissed && status.dismissedAt) return false;
     return true;
   }
 
   /**
-   * Go to the next step in the current walkthrough
+   * Start a walkthrough automatically, unless its status rules it out
+   * @param {string} walkthroughId - ID of the walkthrough to start
+   * @param {Object} [options] - Start options (see start)
+   * @returns {boolean} Whether the walkthrough started
    */
-  next() {
-    if (!this.isRunning) return;
+  autoStart(walkthroughId, options = {}) {
+    if (!this.canAutoStart(walkthroughId)) {
+      if (this.config.debug) {
+        console.log(`[SableWalkthrough] Not auto-starting "${walkthroughId}" (status: ${this.getStatus(walkthroughId).status})`);
+      }
+      return false;
+    }
 
-    // Get current step info before cleanup for analytics
-    const steps = this.walkthroughs[this.currentWalkthrough];
-    const currentStep = steps[this.currentStep];
+    if (!this.start(walkthroughId, options)) {
+      return false;
+    }
 
-    // Update previous step duration before cleanup
-    this._updatePreviousStepDuration();
+    this._updateStatusRecord(walkthroughId, { autoStartedAt: Date.now() });
+    return true;
+  }
 
-    // Clean up current step
-    this.cleanupCurrentStep();
+  /**
+   * Save state one last time when the page is being unloaded, and switch
+   * responsive steps to another variant when the viewport is resized
+   * @private
+   */
+  _setupNavigationHandling() {
+    this._cleanupNavigationHandling();
 
-    // Move to next step
-    this.currentStep++;
+    const handlePageHide = () => this._saveState();
+    safeWindow.addEventListener('pagehide', handlePageHide);
 
-    // Check if we've reached the end of the walkthrough
-    if (this.currentStep >= steps.length) {
-      // Log analytics for walkthrough end (completed all steps)
-      const lastStep = steps[this.currentStep - 1];
-      logWalkthroughEnd(
-        this.currentWalkthrough,
-        this.currentStep - 1, // Use the last completed step index
-        lastStep.stepId,
-        this.currentInstanceId,
-        {
-          totalSteps: steps.length,
-          stepsCompleted: steps.length,
-          completionReason: 'completed'
-        },
-        this._calculateWalkthroughDuration()
-      );
-      this.end();
+    const handleResize = debounce(() => this._applyResponsiveVariant(), 150);
+    safeWindow.addEventListener('resize', handleResize);
+
+    this._cleanupFn = () => {
+      safeWindow.removeEventListener('pagehide', handlePageHide);
+      safeWindow.removeEventListener('resize', handleResize);
+      this._cleanupFn = null;
+    };
+  }
+
+  /**
+   * Re-evaluate the current step's `responsive` overrides after a resize. A step that is now
+   * skipped moves on, a step whose target changed runs again and otherwise its UI is shown again.
+   * @private
+   */
+  _applyResponsiveVariant() {
+    if (!this.isRunning || this.isPaused) return;
+
+    const rawStep = this.walkthroughs[this.currentWalkthrough][this.currentStep];
+    if (!rawStep || !rawStep.responsive) return;
+
+    const breakpoints = getMatchingBreakpoints(rawStep.responsive).join('|');
+    if (breakpoints === this.currentStepBreakpoints) return;
+
+    const previousStep = this.currentStepVariant;
+    const step = resolveResponsive(rawStep);
+
+    if (this.config.debug) {
+      console.log(`[SableWalkthrough] Step "${step.stepId}" switched to breakpoints "${breakpoints}"`);
+    }
+
+    // Skipped at this size: don't run afterStep or return to it with previous()
+    if (step.skip) {
+      this._advance(null, { skipCurrent: true });
       return;
     }
 
-    // Log analytics for next step
-    const nextStep = steps[this.currentStep];
-    if (nextStep) {
-      logWalkthroughNext(
-        this.currentWalkthrough,
-        this.currentStep,
-        nextStep.stepId,
-        this.currentInstanceId,
-        {
-          previousStepIndex: this.currentStep - 1,
-          totalSteps: steps.length,
-          isLastStep: this.currentStep === steps.length - 1
-        },
-        this._calculateWalkthroughDuration()
-      );
+    const sameTarget = previousStep && ['selector', 'target', 'selectors', 'primary'].every(key => previousStep[key] === step[key]);
+    if (this.currentStepShown && sameTarget) {
+      this.currentStepBreakpoints = breakpoints;
+      this.currentStepVariant = step;
+      if (this.activeElements.highlighted) {
+        removeHighlight();
+        this.activeElements.highlighted = null;
+      }
+      hideTooltip();
+      removeSpotlights();
+      this._showStepUI(step, this.activeElements.target, this.activeElements.targets);
+      return;
+    }
+
+    // Look for the new target
+    this.cleanupCurrentStep();
+    this.lastExecutedStepIndex = null;
+    this.executeStep();
+  }
+
+  /**
+   * Resume a walkthrough from saved state, if there is any.
+   * If the walkthrough isn't registered yet, it is resumed as soon as it is.
+   * @returns {boolean} Whether a saved walkthrough was found
+   * @private
+   */
+  _restoreWalkthrough() {
+    const state = this._loadState();
+    if (!state) return false;
+
+    if (this.config.debug) {
+      console.log(`[SableWalkthrough] DEBUG: Restoring walkthrough "${state.walkthroughId}" at step ${state.currentStep}`);
+    }
+
+    if (!this.walkthroughs[state.walkthroughId]) {
+      this.pendingRestore = state;
+      return true;
+    }
+
+    this._resumeFromState(state);
+    return true;
+  }
+
+  /**
+   * Continue a walkthrough instance from saved state
+   * @param {Object} state - State previously written by _saveState()
+   * @private
+   */
+  _resumeFromState(state) {
+    const steps = this.walkthroughs[state.walkthroughId];
+    const savedStep = steps && steps[state.currentStep];
+
+    if (!savedStep || this.isRunning) {
+      this._clearState();
+      return;
+    }
+
+    // Continue the same instance so walkthrough duration and analytics stay continuous
+    this.currentWalkthrough = state.walkthroughId;
+    this.currentStep = state.currentStep;
+    this.stepHistory = Array.isArray(state.stepHistory) ? state.stepHistory : [];
+    this.currentInstanceId = state.instanceId;
+    this.currentInstanceStartTime = state.instanceStartTime;
+    this.currentStepAnalyticsId = state.stepAnalyticsId;
+    this.currentStepStartTime = state.stepStartTime;
+    this.stepPausedDuration = state.stepPausedDuration || 0;
+    this.isRunning = true;
+
+    // Show end tour button
+    if (this.endTourButton) {
+      this.endTourButton.show();
+    }
+
+    this._setupNavigationHandling();
+
+    // If the step already ran an action that navigated away (e.g. clicking a link)
+    // and was going to advance anyway, continue with the following step
+    const advancesAfterAction = savedStep.autoAdvance || savedStep.advanceOn || (savedStep.action && savedStep.action.autoAdvance);
+    if (state.actionPerformed && advancesAfterAction) {
+      this.next();
+      return;
+    }
+
+    // Otherwise close out the interrupted step's duration and run it again
+    this._updatePreviousStepDuration();
+    this.executeStep();
+  }
+
+  /**
+   * Start a walkthrough by ID
+   * @param {string} walkthroughId - ID of the walkthrough to start
+   * @param {Object} [options] - Start options
+   * @param {string} [options.stepId] - Step to start at, e.g. from a deep link. The actions of earlier
+   *   steps marked `replayOnDeepLink` run silently first.
+   * @param {string} [options.journeyId] - Journey to continue in analytics, e.g. when chained from an
+   *   earlier walkthrough or text agent. A new journey is started by default.
+   * @returns {boolean} - Success status
+   */
+  start(walkthroughId, options = {}) {
+    if (!this.walkthroughs[walkthroughId]) {
+      return false;
+    }
+
+    // End any currently running walkthrough
+    if (this.isRunning) {
+      this.end('replaced');
+    }
+
+    this.currentWalkthrough = walkthroughId;
+
+    let entryStepIndex = 0;
+    if (options.stepId) {
+      entryStepIndex = this._getStepIndex(options.stepId);
+      if (entryStepIndex === -1) {
+        if (this.config.debug) {
+          console.warn(`[SableWalkthrough] Step "${options.stepId}" not found in walkthrough "${walkthroughId}", starting at the first step`);
+        }
+        entryStepIndex = 0;
+      }
+    }
+    const isDeepLink = entryStepIndex > 0;
+
+    // Skip leading steps whose skipIf predicate holds
+    const { index: firstStepIndex, skippedStepIds } = this._applySkipConditions(entryStepIndex);
+    if (firstStepIndex >= this.walkthroughs[walkthroughId].length) {
+      this.currentWalkthrough = null;
+      return false;
+    }
+
+    this.currentStep = firstStepIndex;
+    this.stepHistory = [];
+    this.isRunning = true;
+
+    // Tooltips take focus; remember where it was so it can be given back
+    this.previouslyFocusedElement = isBrowser && document.activeElement !== document.body ? document.activeElement : null;
+
+    // Generate a new instance ID for the walkthrough
+    this.currentInstanceId = this._generateInstanceId();
+    this.currentInstanceStartTime = Date.now();
+    startJourney(this.currentInstanceId, options.journeyId);
+
+    // Setup actions the deep-linked step relies on, e.g. opening the menu it is in.
+    // Setup for another page can't be replayed here.
+    const steps = this.walkthroughs[walkthroughId];
+    const setupSteps = isDeepLink
+      ? steps.slice(0, entryStepIndex).filter(step => step.action && step.action.replayOnDeepLink &&
+        (!step.urlPattern || this._matchesUrlPattern(step.urlPattern)))
+      : [];
+    const deepLinkDetail = isDeepLink
+      ? { deepLinkStepId: steps[entryStepIndex].stepId, replayedStepIds: setupSteps.map(step => step.stepId) }
+      : {};
+
+    // Log analytics for walkthrough start
+    const currentStep = steps[this.currentStep];
+    logWalkthroughStart(
+      walkthroughId,
+      this.currentStep,
+      currentStep.stepId,
+      this.currentInstanceId,
+      {
+        totalSteps: steps.length,
+        walkthroughType: 'tutorial',
+        skippedStepIds,
+        deepLink: isDeepLink,
+        ...deepLinkDetail
+      },
+      null // walkthroughDuration is null for start event since instance hasn't started yet
+    );
+
+    // Show end tour button
+    if (this.endTourButton) {
+      this.endTourButton.show();
+    }
+
+    this._updateStatusRecord(walkthroughId, { lastStartedAt: Date.now() });
+
+    // Starting a walkthrough supersedes any pending restore
+    this.pendingRestore = null;
+    this._setupNavigationHandling();
+
+    this._emit('start', { skippedStepIds, ...deepLinkDetail });
+
+    if (setupSteps.length > 0) {
+      this._replaySetupSteps(setupSteps).then(() => {
+        if (this.isRunning && this.currentWalkthrough === walkthroughId) {
+          this.executeStep();
+        }
+      });
+      return true;
+    }
+
+    // Execute the first step
+    this.executeStep();
+
+    return true;
+  }
+
+  /**
+   * Silently perform the actions of steps before a deep-linked step, without showing them.
+   * A setup step that fails is logged and skipped, so the deep-linked step is still shown.
+   * @param {Array<Object>} setupSteps - Steps whose actions are marked `replayOnDeepLink`
+   * @returns {Promise<void>} Resolves when the actions have run; never settles if the
+   *   walkthrough ends first
+   * @private
+   */
+  async _replaySetupSteps(setupSteps) {
+    this.isReplayingSetup = true;
+
+    for (const step of setupSteps) {
+      try {
+        const { element } = await this._whileStepActive(this._waitForStepElements(step));
+        await this.performAction(element, step.action);
+      } catch (error) {
+        if (this.config.debug) {
+          console.warn(`[SableWalkthrough] Could not replay the setup action of step "${step.stepId}":`, error);
+        }
+      }
+    }
+
+    this.isReplayingSetup = false;
+  }
+
+  /**
+   * Get the index of a step in the current walkthrough
+   * @param {string} stepId - ID of the step
+   * @returns {number} The step index, or -1 if not found
+   * @private
+   */
+  _getStepIndex(stepId) {
+    const steps = this.walkthroughs[this.currentWalkthrough] || [];
+    return steps.findIndex(step => step.stepId === stepId);
+  }
+
+  /**
+   * Work out which step follows a given step, honouring its `next` branch
+   * @param {number} stepIndex - Index of the step we're leaving
+   * @param {Element|null} element - The step's target element (passed to `next` functions)
+   * @param {string} [targetStepId] - Explicit step to jump to, overrides the step's branch
+   * @returns {{index: number, branchType: string}} Index of the following step and how it was chosen
+   * @private
+   */
+  _resolveNextStepIndex(stepIndex, element, targetStepId = null) {
+    const steps = this.walkthroughs[this.currentWalkthrough];
+    const step = steps[stepIndex];
+    let nextStepId = null;
+    let branchType = 'sequential';
+
+    if (targetStepId) {
+      nextStepId = targetStepId;
+      branchType = 'explicit';
+    } else if (typeof step.next === 'function') {
+      try {
+        nextStepId = step.next(element, this);
+        branchType = 'function';
+      } catch (error) {
+        if (this.config.debug) {
+          console.warn(`[SableWalkthrough] next() of step "${step.stepId}" threw, continuing in order:`, error);
+        }
+      }
+    } else if (typeof step.next === 'string') {
+      nextStepId = step.next;
+      branchType = 'static';
+    }
+
+    if (nextStepId) {
+      const index = this._getStepIndex(nextStepId);
+      if (index !== -1) {
+        return { index, branchType };
+      }
+      if (this.config.debug) {
+        console.warn(`[SableWalkthrough] Step "${nextStepId}" not found in walkthrough "${this.currentWalkthrough}", continuing in order`);
+      }
+    }
+
+    return { index: stepIndex + 1, branchType: 'sequential' };
+  }
+
+  /**
+   * Build the progress display for the current step's tooltip.
+   * Counts the steps with tooltips on the path taken so far plus the steps
+   * still ahead, leaving out steps whose skipIf currently holds. Function
+   * branches can't be known before their element exists, so the path ahead
+   * follows them in order.
+   * @param {Object} tooltipContent - The step's tooltip configuration
+   * @returns {Object|undefined} Progress options for showTooltip, or undefined when disabled
+   * @private
+   */
+  _getProgress(tooltipContent) {
+    const setting = tooltipContent.progress !== undefined ? tooltipContent.progress : this.config.progress;
+    if (!setting) return undefined;
+
+    const progressConfig = typeof setting === 'object'
+      ? setting
+      : { style: typeof setting === 'string' ? setting : 'text' };
+    const steps = this.walkthroughs[this.currentWalkthrough];
+    const items = [];
+
+    // Steps already visited, which can be jumped back to
+    this.stepHistory.forEach((stepIndex, historyPosition) => {
+      if (steps[stepIndex].tooltip) {
+        items.push({ status: 'completed', onSelect: () => this._goBackTo(historyPosition) });
+      }
+    });
+
+    items.push({ status: 'current' });
+
+    // Steps still ahead
+    let index = this.currentStep;
+    for (let guard = 0; guard < steps.length; guard++) {
+      const step = steps[index];
+      let nextIndex = typeof step.next === 'string' ? this._getStepIndex(step.next) : -1;
+      if (nextIndex === -1) nextIndex = index + 1;
+
+      // Follow skipped steps' own branches, as _applySkipConditions does
+      while (nextIndex < steps.length && this._shouldSkipStep(steps[nextIndex]) && guard < steps.length) {
+        const skippedStep = steps[nextIndex];
+        const branchIndex = typeof skippedStep.next === 'string' ? this._getStepIndex(skippedStep.next) : -1;
+        nextIndex = branchIndex === -1 ? nextIndex + 1 : branchIndex;
+        guard++;
+      }
+
+      if (nextIndex >= steps.length || nextIndex === this.currentStep) break;
+      if (steps[nextIndex].tooltip) {
+        items.push({ status: 'upcoming' });
+      }
+      index = nextIndex;
+    }
+
+    return {
+      style: progressConfig.style || 'text',
+      label: progressConfig.label,
+      clickable: progressConfig.clickable !== false,
+      current: items.findIndex(item => item.status === 'current') + 1,
+      total: items.length,
+      items
+    };
+  }
+
+  /**
+   * Check a step's skipIf predicate
+   * @param {Object} step - The step configuration
+   * @returns {boolean} Whether the step should be skipped
+   * @private
+   */
+  _shouldSkipStep(step) {
+    // Skipped at this viewport size
+    if (resolveResponsive(step).skip) return true;
+
+    if (typeof step.skipIf !== 'function') return false;
+
+    try {
+      return !!step.skipIf(this);
+    } catch (error) {
+      if (this.config.debug) {
+        console.warn(`[SableWalkthrough] skipIf of step "${step.stepId}" threw, showing the step:`, error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Starting from a step index, move past any steps whose skipIf predicate holds
+   * @param {number} index - Index of the first candidate step
+   * @returns {{index: number, skippedStepIds: string[]}} Index of the first step to show and the skipped steps
+   * @private
+   */
+  _applySkipConditions(index) {
+    const steps = this.walkthroughs[this.currentWalkthrough];
+    const skippedStepIds = [];
+
+    // Bounded by the number of steps so branches that loop back can't spin forever
+    while (index < steps.length && skippedStepIds.length < steps.length) {
+      const step = steps[index];
+      if (!this._shouldSkipStep(step)) break;
+
+      skippedStepIds.push(step.stepId);
+      index = this._resolveNextStepIndex(index, null).index;
+    }
+
+    return { index, skippedStepIds };
+  }
+
+  /**
+   * Go to the next step in the current walkthrough, after the current step's afterStep hook finishes
+   * @param {string} [targetStepId] - Optional step ID to jump to instead of the step's `next` branch
+   */
+  next(targetStepId) {
+    if (!this.isRunning) return;
+
+    const explicitStepId = typeof targetStepId === 'string' ? targetStepId : null;
+    const currentStep = this.walkthroughs[this.currentWalkthrough][this.currentStep];
+
+    // Steps that were never shown (e.g. skipped after an error) don't run afterStep
+    if (typeof currentStep.afterStep !== 'function' || !this.currentStepShown) {
+      this._advance(explicitStepId);
+      return;
+    }
+
+    // Ignore repeated Next clicks while the hook runs
+    if (this.activeStepHook && this.activeStepHook.hookName === 'afterStep') return;
+
+    this._runStepHook(currentStep, 'afterStep', result => {
+      this._advance(result.goTo || explicitStepId, { skipFollowing: !!result.skip });
+    });
+  }
+
+  /**
+   * Await a step's beforeStep or afterStep hook. Its result is passed on only if the
+   * walkthrough is still at the step; a hook that throws ends the walkthrough with an error.
+   * @param {Object} step - The step configuration
+   * @param {string} hookName - 'beforeStep' or 'afterStep'
+   * @param {Function} onResult - Called with the hook's result ({ skip, goTo }, or an empty object)
+   * @private
+   */
+  _runStepHook(step, hookName, onResult) {
+    const instanceId = this.currentInstanceId;
+    const stepIndex = this.currentStep;
+    const hook = { hookName };
+    this.activeStepHook = hook;
+
+    // Whether the hook's outcome still applies; also marks the hook as finished
+    const finish = () => {
+      if (this.activeStepHook !== hook) return false;
+      this.activeStepHook = null;
+      return this.isRunning && this.currentInstanceId === instanceId && this.currentStep === stepIndex;
+    };
+
+    Promise.resolve()
+      .then(() => step[hookName](this))
+      .then(result => {
+        if (!finish()) return;
+        onResult(result && typeof result === 'object' ? result : {});
+      }, error => {
+        if (!finish()) return;
+
+        if (this.config.debug) {
+          console.warn(`[SableWalkthrough] ${hookName} of step "${step.stepId}" threw, ending walkthrough:`, error);
+        }
+
+        this._emit('stepError', {
+          errorType: 'hook_failed',
+          errorMessage: error && error.message ? error.message : String(error),
+          continueOnError: false
+        });
+        this._endWithError(step, error, 'hook_failed');
+      });
+  }
+
+  /**
+   * Leave the current step for the step its branch (or targetStepId) leads to
+   * @param {string|null} targetStepId - Step ID to jump to instead of the step's `next` branch
+   * @param {Object} [options]
+   * @param {boolean} [options.skipFollowing=false] - Also skip the step that would follow
+   * @param {boolean} [options.skipCurrent=false] - The current step was never shown; count it as
+   *   skipped and leave it out of the history used by previous()
+   * @private
+   */
+  _advance(targetStepId, { skipFollowing = false, skipCurrent = false } = {}) {
+    if (!this.isRunning) return;
+
+    // Get current step info before cleanup for analytics
+    const steps = this.walkthroughs[this.currentWalkthrough];
+    const currentStepIndex = this.currentStep;
+    const currentStep = steps[currentStepIndex];
+
+    // Resolve the branch while the step's element is still known
+    const { index: branchIndex, branchType } = this._resolveNextStepIndex(
+      currentStepIndex,
+      this.activeElements.target,
+      targetStepId
+    );
+    const { index: firstIndex, skippedStepIds } = this._applySkipConditions(branchIndex);
+    let nextStepIndex = firstIndex;
+
+    if (skipCurrent) {
+      skippedStepIds.unshift(currentStep.stepId);
+    }
+
+    // An afterStep hook asked to skip the step that would follow
+    if (skipFollowing && nextStepIndex < steps.length) {
+      skippedStepIds.push(steps[nextStepIndex].stepId);
+      const following = this._applySkipConditions(this._resolveNextStepIndex(nextStepIndex, null).index);
+      nextStepIndex = following.index;
+      skippedStepIds.push(...following.skippedStepIds);
+    }
+
+    // Moving on implicitly resumes a paused walkthrough
+    this._endPause();
+    if (this.endTourButton) {
+      this.endTourButton.show();
+    }
+
+    // Update previous step duration before cleanup
+    this._updatePreviousStepDuration();
+
+    // Clean up current step
+    this.cleanupCurrentStep();
+
+    // Check if we've reached the end of the walkthrough
+    if (nextStepIndex >= steps.length) {
+      // Log analytics for walkthrough end (completed all steps)
+      logWalkthroughEnd(
+        this.currentWalkthrough,
+        currentStepIndex, // Use the last completed step index
+        currentStep.stepId,
+        this.currentInstanceId,
+        {
+          totalSteps: steps.length,
+          stepsCompleted: steps.length,
+          completionReason: 'completed',
+          branchType,
+          skippedStepIds
+        },
+        this._calculateWalkthroughDuration()
+      );
+      this.end('completed');
+      return;
+    }
+
+    // Remember where we came from so previous() can return here
+    if (!skipCurrent) {
+      this.stepHistory.push(currentStepIndex);
+    }
+
+    // Move to next step
+    this.currentStep = nextStepIndex;
+
+    // Log analytics for next step, including which branch was taken
+    const nextStep = steps[this.currentStep];
+    logWalkthroughNext(
+      this.currentWalkthrough,
+      this.currentStep,
+      nextStep.stepId,
+      this.currentInstanceId,
+      {
+        previousStepIndex: currentStepIndex,
+        previousStepId: currentStep.stepId,
+        totalSteps: steps.length,
+        isLastStep: this.currentStep === steps.length - 1,
+        branchType,
+        skippedStepIds
+      },
+      this._calculateWalkthroughDuration()
+    );
+
+    this._emit('next', {
+      previousStepIndex: currentStepIndex,
+      previousStepId: currentStep.stepId,
+      branchType,
+      skippedStepIds
+    });
+
+    // Execute the next step
+    this._setStepTimeout(() => {
+      this.executeStep();
+    }, this.config.stepDelay || 500);
+  }
+
+  /**
+   * Go back to the previously visited step in the current walkthrough
+   */
+  previous() {
+    this._goBackTo(this.stepHistory.length - 1);
+  }
+
+  /**
+   * Return to an earlier visited step, forgetting the history after it
+   * @param {number} historyPosition - Position of the step in stepHistory
+   * @private
+   */
+  _goBackTo(historyPosition) {
+    if (!this.isRunning || historyPosition < 0 || historyPosition >= this.stepHistory.length) return;
+
+    // Get current step info before cleanup for analytics
+    const steps = this.walkthroughs[this.currentWalkthrough];
+    const currentStep = steps[this.currentStep];
+    const currentStepIndex = this.currentStep;
+
+    // Moving back implicitly resumes a paused walkthrough
+    this._endPause();
+    if (this.endTourButton) {
+      this.endTourButton.show();
+    }
+
+    // Update the duration of the step we're leaving before cleanup
+    this._updatePreviousStepDuration();
+
+    // Clean up current step
+    this.cleanupCurrentStep();
+
+    // Move back to the visited step
+    this.currentStep = this.stepHistory[historyPosition];
+    this.stepHistory = this.stepHistory.slice(0, historyPosition);
+
+    // Log analytics for previous step
+    const previousStep = steps[this.currentStep];
+    logWalkthroughPrevious(
+      this.currentWalkthrough,
+      this.currentStep,
+      previousStep.stepId,
+      this.currentInstanceId,
+      {
+        nextStepIndex: currentStepIndex,
+        nextStepId: currentStep?.stepId,
+        totalSteps: steps.length
+      },
+      this._calculateWalkthroughDuration()
+    );
+
+    this._emit('previous', {
+      nextStepIndex: currentStepIndex,
+      nextStepId: currentStep?.stepId
+    });
+
+    // Re-run the earlier step
+    this._setStepTimeout(() => {
+      this.executeStep();
+    }, this.config.stepDelay || 500);
+  }
+
+  /**
+   * Pause the running walkthrough without ending it, e.g. while the app shows a modal.
+   * Step timers are frozen, the step's UI is hidden and paused time is left out of step durations.
+   */
+  pause() {
+    if (!this.isRunning || this.isPaused) return;
+
+    this.isPaused = true;
+    this.pausedAt = Date.now();
+
+    // Freeze timers, keeping the time each one has left
+    this.stepTimeouts.forEach(timer => {
+      if (timer.startedAt !== null) {
+        clearTimeout(timer.timeoutId);
+        timer.remaining = Math.max(0, timer.remaining - (this.pausedAt - timer.startedAt));
+        timer.startedAt = null;
+      }
+    });
+
+    // Hide the step's UI
+    if (this.activeElements.highlighted) {
+      removeHighlight();
+      this.activeElements.highlighted = null;
+    }
+    hideTooltip();
+    removeSpotlights();
+    if (this.endTourButton) {
+      this.endTourButton.hide();
+    }
+
+    // Look for the missing element again on resume, prompting again if it's still missing
+    if (this.recoveryShown) {
+      this.recoveryShown = false;
+      this.retryStepOnResume = true;
+    }
+
+    if (this.config.debug) {
+      console.log(`[SableWalkthrough] Paused walkthrough "${this.currentWalkthrough}" at step ${this.currentStep}`);
+    }
+  }
+
+  /**
+   * Resume a paused walkthrough at the same step
+   */
+  resume() {
+    if (!this.isRunning || !this.isPaused) return;
+
+    this._endPause();
+
+    if (this.endTourButton) {
+      this.endTourButton.show();
+    }
+
+    // The element wasn't found while paused; look for it again
+    if (this.retryStepOnResume) {
+      this.retryStepOnResume = false;
+      this.lastExecutedStepIndex = null;
+      this.executeStep();
+      return;
+    }
+
+    // Restore the step's UI if it was already shown; the page may have scrolled meanwhile
+    if (this.currentStepShown) {
+      const step = this.currentStepVariant || this.walkthroughs[this.currentWalkthrough][this.currentStep];
+      const { target, targets } = this.activeElements;
+      this._whileStepActive(this._scrollToStep(step, targets)).then(() => {
+        if (!this.isPaused) {
+          this._showStepUI(step, target, targets);
+        }
+      });
+    }
+
+    // Restart frozen timers with the time they had left
+    this.stepTimeouts.forEach(timer => this._runStepTimer(timer));
+
+    if (this.config.debug) {
+      console.log(`[SableWalkthrough] Resumed walkthrough "${this.currentWalkthrough}" at step ${this.currentStep}`);
+    }
+  }
+
+  /**
+   * Leave the paused state, adding the pause to the step's paused time
+   * @private
+   */
+  _endPause() {
+    if (!this.isPaused) return;
+
+    this.stepPausedDuration = this._getStepPausedDuration();
+    this.isPaused = false;
+    this.pausedAt = null;
+  }
+
+  /**
+   * Execute the current step in the walkthrough
+   * @param {string} [stepId] - Optional step ID to jump to before executing
+   */
+  executeStep(stepId) {
+    if (!this.isRunning) return;
+
+    if (stepId) {
+      const stepIndex = this._getStepIndex(stepId);
+      if (stepIndex === -1) {
+        if (this.config.debug) {
+          console.warn(`[SableWalkthrough] Step "${stepId}" not found in walkthrough "${this.currentWalkthrough}"`);
+        }
+        return;
+      }
+      this.currentStep = stepIndex;
+    }
+
+    const steps = this.walkthroughs[this.currentWalkthrough];
+    // The step's variant for the current viewport size
+    const step = resolveResponsive(steps[this.currentStep]);
+
+    // Check if we're already executing this step to prevent duplicates
+    if (this.lastExecutedStepIndex === this.currentStep && this.currentWalkthrough) {
+      if (this.config.debug) {
+        console.log(`[SableWalkthrough] DEBUG: Step ${this.currentStep} is already being executed, skipping duplicate`);
+      }
+      return;
+    }
+
+    // Update last executed step tracking
+    this.lastExecutedStepIndex = this.currentStep;
+    this.currentStepActionPerformed = false;
+    this.currentStepVariant = step;
+    this.currentStepBreakpoints = getMatchingBreakpoints(steps[this.currentStep].responsive).join('|');
+
+    // Skipped at this viewport size, e.g. when resuming after the window was resized
+    if (step.skip) {
+      this._advance(null, { skipCurrent: true });
+      return;
+    }
+
+    // Set instance start time on first step execution if not already set
+    if (!this.currentInstanceStartTime) {
+      this.currentInstanceStartTime = Date.now();
+      if (this.config.debug) {
+        console.log(`[SableWalkthrough] DEBUG: Set currentInstanceStartTime to ${this.currentInstanceStartTime} for first step execution`);
+      }
+    }
+
+    // Persist progress so the walkthrough can resume after a reload
+    this._saveState();
+
+    const stepIndex = this.currentStep;
+    const walkthroughId = this.currentWalkthrough;
+
+    // Route to the step's page first; the router may finish asynchronously
+    if (step.navigate) {
+      Promise.resolve()
+        .then(() => this._navigate(step.navigate))
+        .catch(error => {
+          if (this.config.debug) {
+            console.warn(`[SableWalkthrough] Navigation failed for step "${step.stepId}":`, error);
+          }
+        })
+        .then(() => {
+          if (!this.isRunning || this.currentWalkthrough !== walkthroughId || this.currentStep !== stepIndex) {
+            return;
+          }
+          this._executeStepOnRoute(step, stepIndex, walkthroughId);
+        });
+      return;
+    }
+
+    this._executeStepOnRoute(step, stepIndex, walkthroughId);
+  }
+
+  /**
+   * Run a step once the current route matches its `urlPattern`
+   * @param {Object} step - The step configuration
+   * @param {number} stepIndex - Index of the step
+   * @param {string} walkthroughId - ID of the walkthrough the step belongs to
+   * @private
+   */
+  _executeStepOnRoute(step, stepIndex, walkthroughId) {
+    if (!step.urlPattern || this._matchesUrlPattern(step.urlPattern)) {
+      this._executeStepOnPage(step, stepIndex, walkthroughId);
+      return;
+    }
+
+    if (this.config.debug) {
+      console.log(`[SableWalkthrough] Step "${step.stepId}" waiting for route ${step.urlPattern}`);
+    }
+
+    // Routers change the URL with pushState, which fires no event, so poll as well
+    const listenerCleanups = [];
+    let pollTimeout = null;
+    const checkRoute = () => {
+      if (!this.isRunning || this.currentWalkthrough !== walkthroughId || this.currentStep !== stepIndex) {
+        return;
+      }
+      if (this._matchesUrlPattern(step.urlPattern)) {
+        listenerCleanups.forEach(cleanup => cleanup());
+        listenerCleanups.length = 0;
+        this._executeStepOnPage(step, stepIndex, walkthroughId);
+        return;
+      }
+      pollTimeout = this._setStepTimeout(checkRoute, URL_PATTERN_POLL_INTERVAL);
+    };
+
+    const handleRouteEvent = () => {
+      this._clearStepTimeout(pollTimeout);
+      checkRoute();
+    };
+    listenerCleanups.push(addEvent(isBrowser ? window : null, 'popstate', handleRouteEvent));
+    listenerCleanups.push(addEvent(isBrowser ? window : null, 'hashchange', handleRouteEvent));
+    this.stepCleanups.push(...listenerCleanups);
+
+    pollTimeout = this._setStepTimeout(checkRoute, URL_PATTERN_POLL_INTERVAL);
+  }
+
+  /**
+   * Whether the current URL matches a step's `urlPattern`
+   * @param {string|RegExp|Function} pattern - Path pattern with `*` and `:param` wildcards,
+   * a RegExp tested against path + query + hash, or a predicate receiving `window.location`
+   * @returns {boolean}
+   * @private
+   */
+  _matchesUrlPattern(pattern) {
+    if (!isBrowser) return false;
+
+    const location = window.location;
+    if (typeof pattern === 'function') {
+      return !!pattern(location);
+    }
+    if (pattern instanceof RegExp) {
+      return pattern.test(location.pathname + location.search + location.hash);
+    }
+    if (typeof pattern !== 'string') {
+      return true;
+    }
+
+    // Match full URLs against href, patterns with a query against path + query, others against the path
+    let subject = location.pathname;
+    if (pattern.includes('://')) {
+      subject = location.href;
+    } else if (pattern.includes('?')) {
+      subject = location.pathname + location.search;
+    }
+
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\?]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/:[A-Za-z_][A-Za-z0-9_]*/g, '[^/]+');
+    return new RegExp(`^${source}/?$`).test(subject);
+  }
+
+  /**
+   * Navigate to a step's URL using the configured router or the History API
+   * @param {Object} navigate - The step's navigate configuration
+   * @returns {*} Whatever the router returns (awaited if it is a promise)
+   * @private
+   */
+  _navigate(navigate) {
+    if (!isBrowser) return;
+
+    const url = typeof navigate.url === 'function' ? navigate.url(this) : navigate.url;
+    if (!url) return;
+
+    // Already there (e.g. the step is re-run after a reload)
+    const target = new URL(url, window.location.href);
+    if (target.href === window.location.href) return;
+
+    if (typeof this.config.router === 'function') {
+      return this.config.router(url, { replace: !!navigate.replace });
+    }
+
+    if (navigate.replace) {
+      safeWindow.history.replaceState(null, '', url);
+    } else {
+      safeWindow.history.pushState(null, '', url);
     }
 
-    // Execute the next step
-    setTimeout(() => {
-      this.executeStep();
-    }, this.config.stepDelay || 500);
+    // Let client-side routers that listen for popstate render the new route
+    window.dispatchEvent(new PopStateEvent('popstate', { state: null }));
   }
 
   /**
-   * Execute the current step in the walkthrough
+   * Run a step's beforeStep hook, then show the step unless the hook skips it or jumps elsewhere
+   * @param {Object} step - The step configuration
+   * @param {number} stepIndex - Index of the step
+   * @param {string} walkthroughId - ID of the walkthrough the step belongs to
+   * @private
    */
-  executeStep() {
-    if (!this.isRunning) return;
-
-    const steps = this.walkthroughs[this.currentWalkthrough];
-    const step = steps[this.currentStep];
-
-    // Check if we're already executing this step to prevent duplicates
-    if (this.lastExecutedStepIndex === this.currentStep && this.currentWalkthrough) {
-      if (this.config.debug) {
-        console.log(`[SableWalkthrough] DEBUG: Step ${this.currentStep} is already being executed, skipping duplicate`);
-      }
+  _executeStepOnPage(step, stepIndex, walkthroughId) {
+    if (typeof step.beforeStep !== 'function') {
+      this._showStepOnPage(step, stepIndex, walkthroughId);
       return;
     }
 
-    // Update last executed step tracking
-    this.lastExecutedStepIndex = this.currentStep;
-
-    // Set instance start time on first step execution if not already set
-    if (!this.currentInstanceStartTime) {
-      this.currentInstanceStartTime = Date.now();
-      if (this.config.debug) {
-        console.log(`[SableWalkthrough] DEBUG: Set currentInstanceStartTime to ${this.currentInstanceStartTime} for first step execution`);
+    this._runStepHook(step, 'beforeStep', result => {
+      if (result.goTo || result.skip) {
+        this._advance(result.goTo || null, { skipCurrent: true });
+        return;
       }
-    }
+      this._showStepOnPage(step, stepIndex, walkthroughId);
+    });
+  }
+
+  /**
+   * Find a step's element and process the step
+   * @param {Object} step - The step configuration
+   * @param {number} stepIndex - Index of the step
+   * @param {string} walkthroughId - ID of the walkthrough the step belongs to
+   * @private
+   */
+  _showStepOnPage(step, stepIndex, walkthroughId) {
+    const steps = this.walkthroughs[walkthroughId];
+    const target = step.selectors || step.target || step.selector;
+
+    // Wait for element to be available in the DOM, trying the target's strategies in order
+    if (target) {
+      this._whileStepActive(this._waitForStepElements(step))
+        .then(async ({ element, elements, strategy, strategyIndex, description, matches }) => {
+          // Ignore if the user navigated away while we were waiting
+          if (!this.isRunning || this.currentWalkthrough !== walkthroughId || this.currentStep !== stepIndex) {
+            return;
+          }
+
+          if (this.config.debug) {
+            matches.filter(match => match.strategyIndex > 0).forEach(match => {
+              console.warn(`[SableWalkthrough] Step ${step.stepId} matched fallback strategy ${match.strategyIndex} (${match.strategy}): ${match.description}`);
+            });
+          }
 
-    // Wait for element to be available in the DOM
-    if (step.selector) {
-      waitForElement(step.selector, {
-        timeout: step.timeout || 10000
-      })
-        .then(async element => {
-          // Log analytics for step executed and store tracking info (non-blocking)
-          logWalkthroughStepExecuted(
+          // Log analytics for step executed and store tracking info (non-blocking). Once the
+          // step is left, its analytics ID is dropped so it can't be timed as a later step.
+          this._whileStepActive(logWalkthroughStepExecuted(
             this.currentWalkthrough,
             this.currentStep,
             step.stepId,
-            step.selector,
+            description,
             this.currentInstanceId,
             {
               stepType: this._getStepType(step),
               hasElement: !!element,
-              totalSteps: steps.length
+              totalSteps: steps.length,
+              matchedStrategy: strategy,
+              matchedStrategyIndex: strategyIndex,
+              ...(step.selectors ? { elementCount: elements.length } : {})
             },
             this._calculateWalkthroughDuration()
-          ).then(analyticsId => {
+          )).then(analyticsId => {
             // Store tracking info for step duration
             if (analyticsId) {
-              this.currentStepAnalyticsId = analyticsId;
-              this.currentStepStartTime = Date.now();
-
-              if (this.config.debug) {
-                console.log(`[SableWalkthrough] Started tracking step duration for analytics ID: ${analyticsId}`);
-              }
+              this._startStepDurationTracking(analyticsId);
             }
           }).catch(error => {
             if (this.config.debug) {
@@ -327,17 +1655,32 @@ export class WalkthroughEngine {
             }
           });
 
+          // Bring the target into view first, clear of sticky headers and inside scrolled panels.
+          // While paused, it is scrolled to on resume.
+          if (!this.isPaused) {
+            await this._whileStepActive(this._scrollToStep(step, elements));
+          }
+
           // Process step immediately without waiting for analytics
-          this.processStep(step, element);
+          this.processStep(step, element, elements);
         })
         .catch(error => {
+          if (!this.isRunning || this.currentWalkthrough !== walkthroughId || this.currentStep !== stepIndex) {
+            return;
+          }
+
+          // The element may be behind whatever caused the pause; look again on resume
+          if (this.isPaused) {
+            this.retryStepOnResume = true;
+            return;
+          }
 
           // Log analytics for step error
           logWalkthroughStepError(
             this.currentWalkthrough,
             this.currentStep,
             step.stepId,
-            step.selector,
+            this._describeStepTarget(step),
             this.currentInstanceId,
             {
               errorType: 'element_not_found',
@@ -349,33 +1692,32 @@ export class WalkthroughEngine {
             this._calculateWalkthroughDuration()
           );
 
-          // If configured to continue on error, go to next step
+          this._emit('stepError', {
+            errorType: 'element_not_found',
+            errorMessage: error.message,
+            continueOnError: !!step.continueOnError
+          });
+
+          // Let the user decide how to recover
+          const recovery = this._getRecoveryOptions(step);
+          if (recovery) {
+            this._showRecovery(step, stepIndex, walkthroughId, recovery, error);
+            return;
+          }
+
+          // If configured to continue on error, go to next step. The step was never shown,
+          // so it doesn't run afterStep and previous() doesn't return to it.
           if (step.continueOnError) {
-            this.next();
+            this._advance(null, { skipCurrent: true });
           } else {
-            // Otherwise end the walkthrough
-            // Log analytics for walkthrough end due to error
-            logWalkthroughEnd(
-              this.currentWalkthrough,
-              this.currentStep,
-              step.stepId,
-              this.currentInstanceId,
-              {
-                totalSteps: steps.length,
-                stepsCompleted: this.currentStep,
-                completionReason: 'error',
-                errorType: 'element_not_found',
-                errorMessage: error.message
-              },
-              this._calculateWalkthroughDuration()
-            );
-            this.end();
+            this._endWithError(step, error);
           }
         });
     } else {
       // Handle steps without selectors (e.g., modal dialogs)
-      // Log analytics for step executed (no selector) (non-blocking)
-      logWalkthroughStepExecuted(
+      // Log analytics for step executed (no selector) (non-blocking), dropping the
+      // analytics ID if the step is left before it arrives
+      this._whileStepActive(logWalkthroughStepExecuted(
         this.currentWalkthrough,
         this.currentStep,
         step.stepId,
@@ -387,15 +1729,10 @@ export class WalkthroughEngine {
           totalSteps: steps.length
         },
         this._calculateWalkthroughDuration()
-      ).then(analyticsId => {
+      )).then(analyticsId => {
         // Store tracking info for step duration
         if (analyticsId) {
-          this.currentStepAnalyticsId = analyticsId;
-          this.currentStepStartTime = Date.now();
-
-          if (this.config.debug) {
-            console.log(`[SableWalkthrough] Started tracking step duration for analytics ID: ${analyticsId}`);
-          }
+          this._startStepDurationTracking(analyticsId);
         }
       }).catch(error => {
         if (this.config.debug) {
@@ -408,30 +1745,309 @@ export class WalkthroughEngine {
     }
   }
 
+  /**
+   * Wait for a step's element, or for every element of its `selectors`
+   * @param {Object} step - The step configuration
+   * @returns {Promise<Object>} The primary element's match (see findTarget), plus `elements`,
+   *   all of the step's elements with the primary one first, and `matches`, every element's match
+   * @private
+   */
+  _waitForStepElements(step) {
+    const options = { timeout: step.timeout || 10000 };
+
+    if (!step.selectors) {
+      return waitForTarget(step.target || step.selector, options)
+        .then(match => ({ ...match, elements: [match.element], matches: [match] }));
+    }
+
+    return Promise.all(step.selectors.map(target => waitForTarget(target, options)))
+      .then(matches => {
+        const primary = matches[step.primary || 0];
+        return {
+          ...primary,
+          description: this._describeStepTarget(step),
+          elements: [primary.element, ...matches.filter(match => match !== primary).map(match => match.element)],
+          matches
+        };
+      });
+  }
+
+  /**
+   * Describe a step's target for logs and analytics
+   * @param {Object} step - The step configuration
+   * @returns {string}
+   * @private
+   */
+  _describeStepTarget(step) {
+    if (step.selectors) {
+      return step.selectors.map(describeTarget).join(', ');
+    }
+    return describeTarget(step.target || step.selector);
+  }
+
+  /**
+   * End the walkthrough because a step failed
+   * @param {Object} step - The step configuration
+   * @param {Error} error - The lookup error, or whatever a hook threw
+   * @param {string} [errorType='element_not_found'] - Kind of failure, recorded in analytics
+   * @private
+   */
+  _endWithError(step, error, errorType = 'element_not_found') {
+    logWalkthroughEnd(
+      this.currentWalkthrough,
+      this.currentStep,
+      step.stepId,
+      this.currentInstanceId,
+      {
+        totalSteps: this.walkthroughs[this.currentWalkthrough].length,
+        stepsCompleted: this.currentStep,
+        completionReason: 'error',
+        errorType,
+        errorMessage: error && error.message ? error.message : String(error)
+      },
+      this._calculateWalkthroughDuration()
+    );
+    this.end('error');
+  }
+
+  /**
+   * Get the recovery prompt options for a step, or null if it has none.
+   * Step options override the walkthrough config's `recovery` options.
+   * @param {Object} step - The step configuration
+   * @returns {Object|null}
+   * @private
+   */
+  _getRecoveryOptions(step) {
+    const recovery = step.recovery !== undefined ? step.recovery : this.config.recovery;
+    if (!recovery) return null;
+
+    return {
+      ...(typeof this.config.recovery === 'object' ? this.config.recovery : {}),
+      ...(typeof recovery === 'object' ? recovery : {})
+    };
+  }
+
+  /**
+   * Tell the user a step's element is missing and let them retry, skip the step,
+   * go to the step's page or end the tour. Each choice is logged as its own analytics event.
+   * @param {Object} step - The step configuration
+   * @param {number} stepIndex - Index of the step
+   * @param {string} walkthroughId - ID of the walkthrough the step belongs to
+   * @param {Object} recovery - Recovery options (see _getRecoveryOptions)
+   * @param {Error} error - The lookup error
+   * @private
+   */
+  _showRecovery(step, stepIndex, walkthroughId, recovery, error) {
+    const steps = this.walkthroughs[walkthroughId];
+    const isCurrentStep = () => this.isRunning && this.currentWalkthrough === walkthroughId && this.currentStep === stepIndex;
+
+    const logChoice = (action) => {
+      logWalkthroughRecovery(
+        walkthroughId,
+        stepIndex,
+        step.stepId,
+        action,
+        this.currentInstanceId,
+        {
+          stepType: this._getStepType(step),
+          totalSteps: steps.length,
+          errorMessage: error.message
+        },
+        this._calculateWalkthroughDuration()
+      );
+    };
+
+    const dismiss = () => {
+      this.recoveryShown = false;
+      hideTooltip();
+    };
+
+    const retry = () => {
+      logChoice('retry');
+      dismiss();
+      this._executeStepOnRoute(step, stepIndex, walkthroughId);
+    };
+
+    const endTour = () => {
+      logChoice('end');
+      dismiss();
+      this._endWithError(step, error);
+    };
+
+    const buttons = [{ text: recovery.retryButtonText || 'Retry', onClick: retry, primary: true }];
+
+    if (recovery.navigate) {
+      buttons.push({
+        text: recovery.navigateButtonText || 'Take me there',
+        onClick: () => {
+          logChoice('navigate');
+          dismiss();
+          Promise.resolve()
+            .then(() => this._navigate(recovery.navigate))
+            .catch(navigationError => {
+              if (this.config.debug) {
+                console.warn(`[SableWalkthrough] Recovery navigation failed for step "${step.stepId}":`, navigationError);
+              }
+            })
+            .then(() => {
+              if (isCurrentStep()) {
+                this._executeStepOnRoute(step, stepIndex, walkthroughId);
+              }
+            });
+        }
+      });
+    }
+
+    buttons.push(
+      {
+        text: recovery.skipButtonText || 'Skip step',
+        onClick: () => {
+          logChoice('skip');
+          dismiss();
+          // The step was never shown: don't run afterStep or return to it with previous()
+          this._advance(null, { skipCurrent: true });
+        }
+      },
+      { text: recovery.endButtonText || 'End tour', onClick: endTour }
+    );
+
+    const tooltip = typeof step.tooltip === 'object' ? step.tooltip : {};
+    const name = recovery.elementName || (tooltip.title ? `"${tooltip.title}"` : 'the next step');
+    const message = typeof recovery.message === 'function'
+      ? recovery.message(step, this)
+      : recovery.message || `We couldn't find ${name} on this page.`;
+
+    this.recoveryShown = true;
+    showTooltip(null, {
+      title: recovery.title || 'Something is missing',
+      content: message
+    }, {
+      buttons,
+      onNext: retry,
+      onClose: endTour
+    });
+
+    logChoice('shown');
+
+    if (this.config.debug) {
+      console.log(`[SableWalkthrough] Showing recovery prompt for step "${step.stepId}"`);
+    }
+  }
+
   /**
    * Process a walkthrough step
    * @param {Object} step - The step configuration
-   * @param {Element} element - The target DOM element (if any)
+   * @param {Element} element - The target DOM element (if any); the primary one for steps with `selectors`
+   * @param {Array<Element>} [elements] - All of the step's elements, primary first
+   */
+  processStep(step, element, elements = element ? [element] : []) {
+    // Remember the target so `next` branches can inspect it
+    this.activeElements.target = element;
+    this.activeElements.targets = elements;
+    this.currentStepShown = true;
+
+    // While paused, the UI is shown when the walkthrough resumes
+    if (!this.isPaused) {
+      this._showStepUI(step, element, elements);
+    }
+
+    // Handle actions (clicks, inputs, etc.); auto-advancing waits until they finish
+    let actionDone = Promise.resolve();
+    if (element && step.action) {
+      const action = step.action;
+      actionDone = this.performAction(element, action);
+      actionDone.then(() => {
+        if (action.autoAdvance) {
+          this._setStepTimeout(() => this.next(), action.delay || 1000);
+        }
+      }).catch(error => {
+        if (this.config.debug) {
+          console.warn(`[SableWalkthrough] Action "${action.type}" failed for step "${step.stepId}":`, error);
+        }
+      });
+    }
+
+    // Advance when the user performs the real action
+    if (step.advanceOn) {
+      this._setupAdvanceOn(step, element);
+    }
+
+    // Navigation-only steps continue as soon as the new route is ready
+    if (step.navigate && !step.selector && !step.target && !step.selectors && !step.tooltip && !step.advanceOn && !step.autoAdvance) {
+      this._setStepTimeout(() => this.next(), 0);
+    }
+
+    // Handle automatic advancement
+    if (step.autoAdvance) {
+      actionDone.then(() => {
+        this._setStepTimeout(() => {
+          this.next();
+        }, step.autoAdvanceDelay || 3000);
+      }, () => {});
+    }
+
+    // Handle custom callback
+    if (typeof step.callback === 'function') {
+      step.callback(element, this);
+    }
+
+    this._emit('stepShown', { element, elements });
+  }
+
+  /**
+   * Scroll a step's primary element and its scrollable containers into view,
+   * using the step's `scroll` options over the walkthrough config
+   * @param {Object} step - The step configuration
+   * @param {Array<Element>} elements - The step's elements, primary first
+   * @returns {Promise<boolean>} Resolves once scrolling has finished, with whether anything scrolled
+   * @private
+   */
+  _scrollToStep(step, elements) {
+    if (!elements || !elements[0] || step.scroll === false) {
+      return Promise.resolve(false);
+    }
+
+    const options = typeof step.scroll === 'object' ? step.scroll : {};
+    return scrollElementIntoView(elements[0], {
+      offsetTop: options.offsetTop !== undefined ? options.offsetTop : this.config.scrollOffsetTop,
+      behavior: options.behavior || this.config.scrollBehavior,
+      block: options.block || this.config.scrollBlock
+    }).catch(error => {
+      if (this.config.debug) {
+        console.warn(`[SableWalkthrough] Could not scroll to step "${step.stepId}":`, error);
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Show a step's highlight, spotlight and tooltip
+   * @param {Object} step - The step configuration
+   * @param {Element|null} element - The step's target element, which the tooltip points at
+   * @param {Array<Element>} [elements] - All of the step's elements, primary first
+   * @private
    */
-  processStep(step, element) {
+  _showStepUI(step, element, elements = element ? [element] : []) {
     // Handle highlighting
     if (element && step.highlight) {
       this.activeElements.highlighted = element;
-      // Pass the highlight options directly
-      highlightElement(element, typeof step.highlight === 'object' ? step.highlight : {});
+      // Pass the highlight options directly; the elements were already scrolled to
+      highlightElements(elements, { ...(typeof step.highlight === 'object' ? step.highlight : {}), scrollIntoView: false });
     }
 
-    // Create overlay with spotlight around the highlighted element
+    // Create overlay with spotlight around the highlighted elements
     if (step.spotlight) {
       // Use spotlight effect with options directly from the spotlight object
       const spotlightOptions = typeof step.spotlight === 'object' ? step.spotlight : {};
-      createSpotlight(element, {
+      createSpotlight(elements, {
         padding: spotlightOptions.padding || 5,
         opacity: spotlightOptions.opacity || 0.5,
         color: spotlightOptions.color || 'rgba(0, 0, 0, 0.5)',
         animationDuration: spotlightOptions.animationDuration || 300,
         offsetX: spotlightOptions.offsetX || 0,
-        offsetY: spotlightOptions.offsetY || 0
+        offsetY: spotlightOptions.offsetY || 0,
+        mode: spotlightOptions.mode || 'separate',
+        scrollIntoView: false
       });
     }
 
@@ -442,11 +2058,15 @@ export class WalkthroughEngine {
       const tooltipOptions = {
         position: tooltipContent.position || 'bottom',
         onNext: this.next,
-        onSkip: this.end,
+        onPrev: this.stepHistory.length > 0 ? this.previous : undefined,
+        onSkip: () => this.end('skipped'),
+        onClose: () => this.end('closed'),
+        modal: !!step.spotlight,
         className: tooltipContent.className,
         showNavigation: tooltipContent.showNavigation,
         nextButtonText: tooltipContent.nextButtonText,
-        prevButtonText: tooltipContent.prevButtonText
+        prevButtonText: tooltipContent.prevButtonText,
+        progress: this._getProgress(tooltipContent)
       };
 
       if (element) {
@@ -456,89 +2076,200 @@ export class WalkthroughEngine {
         showTooltip(null, tooltipContent, tooltipOptions);
       }
     }
+  }
 
-    // Handle actions (clicks, inputs, etc.)
-    if (element && step.action) {
-      this.performAction(element, step.action);
-    }
+  /**
+   * Listen for the user action that advances a step
+   * @param {Object} step - The step configuration
+   * @param {Element|null} element - The step's target element
+   * @private
+   */
+  _setupAdvanceOn(step, element) {
+    const advanceOn = typeof step.advanceOn === 'string' ? { type: step.advanceOn } : step.advanceOn;
+    const watchedElement = advanceOn.selector ? findElement(advanceOn.selector) : element;
+    let triggered = false;
 
-    // Handle automatic advancement
-    if (step.autoAdvance) {
-      setTimeout(() => {
-        this.next();
-      }, step.autoAdvanceDelay || 3000);
-    }
+    const advance = () => {
+      if (triggered) return;
+      triggered = true;
 
-    // Handle custom callback
-    if (typeof step.callback === 'function') {
-      step.callback(element, this);
+      // Save before advancing in case the user's action navigates away
+      this.currentStepActionPerformed = true;
+      this._saveState();
+
+      this._setStepTimeout(() => this.next(), advanceOn.delay || 0);
+    };
+
+    switch (advanceOn.type) {
+      case 'click':
+        if (watchedElement) {
+          this.stepCleanups.push(addEvent(watchedElement, 'click', advance));
+        }
+        break;
+
+      case 'input': {
+        if (!watchedElement) break;
+
+        const pattern = advanceOn.match instanceof RegExp
+          ? advanceOn.match
+          : advanceOn.match !== undefined ? new RegExp(advanceOn.match) : null;
+        const handleInput = () => {
+          const value = watchedElement.value || '';
+          if (pattern ? pattern.test(value) : value.length > 0) {
+            advance();
+          }
+        };
+        this.stepCleanups.push(addEvent(watchedElement, 'input', handleInput));
+        this.stepCleanups.push(addEvent(watchedElement, 'change', handleInput));
+        break;
+      }
+
+      case 'remove': {
+        if (!watchedElement || !safeDocument.body) break;
+
+        const observer = new MutationObserver(() => {
+          if (!watchedElement.isConnected) {
+            observer.disconnect();
+            advance();
+          }
+        });
+        observer.observe(safeDocument.body, { childList: true, subtree: true });
+        this.stepCleanups.push(() => observer.disconnect());
+        break;
+      }
+
+      case 'event': {
+        if (!advanceOn.event) break;
+
+        let target = isBrowser ? window : null;
+        if (advanceOn.target === 'document') {
+          target = isBrowser ? document : null;
+        } else if (advanceOn.target === 'element') {
+          target = watchedElement;
+        } else if (advanceOn.target && advanceOn.target !== 'window') {
+          target = findElement(advanceOn.target);
+        }
+        this.stepCleanups.push(addEvent(target, advanceOn.event, advance));
+        break;
+      }
+
+      default:
+        if (this.config.debug) {
+          console.warn(`[SableWalkthrough] Unknown advanceOn type "${advanceOn.type}" for step "${step.stepId}"`);
+        }
     }
   }
 
   /**
-   * Perform an action on an element
-   * @param {Element} element - The DOM element to act on
+   * Perform a step's action on its element
+   * @param {Element} element - The step's element
    * @param {Object} action - The action configuration
+   * @returns {Promise<void>} Resolves when the action has finished; never settles if the
+   *   step is left first
    */
-  performAction(element, action) {
+  async performAction(element, action) {
     // Note: Analytics for step execution are already logged in executeStep()
     // No need to log duplicate step_executed events here
 
+    await this._waitStep(action.delay || 0);
+
     switch (action.type) {
       case 'click':
-        setTimeout(() => {
-          element.click();
+        // Save before clicking in case the click navigates away
+        this._markActionPerformed();
+        element.click();
+        break;
 
-          // Auto advance after click if specified
-          if (action.autoAdvance) {
-            setTimeout(() => this.next(), action.delay || 1000);
+      case 'input': {
+        const text = action.value || '';
+        const setValue = value => {
+          if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+            ElementInteractor.setInputValue(element, value);
+          } else {
+            // The native value setters only work on form controls, e.g. not on contenteditable elements
+            element.value = value;
+            element.dispatchEvent(new Event('input', { bubbles: true }));
           }
-        }, action.delay || 0);
-        break;
+        };
 
-      case 'input':
         // Check if we should use character-by-character typing
         if (action.typeEffect) {
-          // Start with empty string
-          element.value = '';
-          element.dispatchEvent(new Event('input', { bubbles: true }));
-
-          const text = action.value || '';
           const charDelay = action.typeDelay || 50; // ms between characters
+          setValue('');
+          for (let i = 1; i <= text.length; i++) {
+            await this._waitStep(charDelay);
+            setValue(text.slice(0, i));
+          }
+        } else {
+          setValue(text);
+        }
+        break;
+      }
 
-          // Type each character with a delay
-          let i = 0;
-          const typeNextChar = () => {
-            if (i < text.length) {
-              // Add the next character
-              element.value += text.charAt(i);
-              element.dispatchEvent(new Event('input', { bubbles: true }));
-              i++;
-
-              // Schedule the next character
-              setTimeout(typeNextChar, charDelay);
-            } else {
-              // Typing complete, auto advance if specified
-              if (action.autoAdvance) {
-                setTimeout(() => this.next(), action.delay || 1000);
-              }
-            }
-          };
+      case 'select':
+        if (!ElementInteractor.selectOption(element, action.value || '')) {
+          throw new Error(`No option "${action.value}" to select`);
+        }
+        break;
 
-          // Start typing after initial delay
-          setTimeout(typeNextChar, action.delay || 0);
-        } else {
-          // Original behavior - set value immediately
-          element.value = action.value;
-          element.dispatchEvent(new Event('input', { bubbles: true }));
+      case 'check':
+      case 'uncheck':
+        ElementInteractor.setChecked(element, action.type === 'check');
+        break;
 
-          // Auto advance after input if specified
-          if (action.autoAdvance) {
-            setTimeout(() => this.next(), action.delay || 1000);
+      case 'keypress':
+        // A key like Enter can submit a form and navigate away
+        this._markActionPerformed();
+        for (const combo of [].concat(action.key)) {
+          ElementInteractor.pressKey(element, combo);
+          if (action.keyDelay) {
+            await this._waitStep(action.keyDelay);
           }
         }
         break;
 
+      case 'scroll':
+        if (action.x !== undefined || action.y !== undefined) {
+          element.scrollTo({ left: action.x, top: action.y, behavior: action.behavior || 'smooth' });
+          await this._waitStep(action.behavior === 'auto' ? 0 : 400);
+        } else {
+          await this._whileStepActive(scrollElementIntoView(element, {
+            offsetTop: this.config.scrollOffsetTop,
+            behavior: action.behavior || 'smooth',
+            block: action.block || 'center'
+          }));
+        }
+        break;
+
+      case 'wait':
+        if (action.duration) {
+          await this._waitStep(action.duration);
+        }
+        if (action.selector) {
+          await this._whileStepActive(waitForTarget(action.selector, { timeout: action.timeout || 10000 }));
+        }
+        break;
+
+      case 'submit':
+        this._markActionPerformed();
+        if (!ElementInteractor.submitForm(element)) {
+          throw new Error('Element is not in a form');
+        }
+        break;
+
+      case 'drag': {
+        const dropTarget = action.to ? findElement(action.to) : { x: action.offsetX || 0, y: action.offsetY || 0 };
+        if (!dropTarget) {
+          throw new Error(`Drop target "${describeTarget(action.to)}" not found`);
+        }
+        // Wait between moves on step timers, so pausing the walkthrough pauses the drag
+        await this._whileStepActive(ElementInteractor.dragElement(element, dropTarget, {
+          steps: action.steps,
+          wait: delay => this._waitStep(delay)
+        }));
+        break;
+      }
+
       case 'focus':
         element.focus();
         break;
@@ -549,16 +2280,45 @@ export class WalkthroughEngine {
 
       case 'custom':
         if (typeof action.handler === 'function') {
-          action.handler(element, this);
+          this._markActionPerformed();
+          await this._whileStepActive(action.handler(element, this));
         }
         break;
     }
   }
 
+  /**
+   * Record that the current step's action ran, before it can navigate away
+   * @private
+   */
+  _markActionPerformed() {
+    // A setup action replayed for a deep link isn't the current step's action,
+    // so a reload shows the deep-linked step rather than skipping past it
+    if (!this.isReplayingSetup) {
+      this.currentStepActionPerformed = true;
+    }
+    this._saveState();
+  }
+
   /**
    * Clean up the current step (remove highlights, tooltips, etc.)
    */
   cleanupCurrentStep() {
+    // Cancel pending auto-advance and action timers
+    this._clearStepTimeouts();
+
+    // Remove advanceOn and other step listeners
+    this.stepCleanups.forEach(cleanup => cleanup());
+    this.stepCleanups = [];
+
+    this.activeElements.target = null;
+    this.activeElements.targets = [];
+    this.currentStepShown = false;
+    this.retryStepOnResume = false;
+    this.recoveryShown = false;
+    this.activeStepHook = null;
+    this.isReplayingSetup = false;
+
     // Remove highlight
     if (this.activeElements.highlighted) {
       removeHighlight();
@@ -584,11 +2344,13 @@ export class WalkthroughEngine {
     if (step.tooltip) return 'tooltip';
     if (step.spotlight) return 'spotlight';
     if (step.action) return 'action';
+    if (step.navigate) return 'navigate';
     return 'custom';
   }
 
   /**
    * Clean up navigation event listeners
+   * @private
    */
   _cleanupNavigationHandling() {
     if (typeof this._cleanupFn === 'function') {
@@ -598,19 +2360,24 @@ export class WalkthroughEngine {
 
   /**
    * End the current walkthrough
+   * @param {string} [reason='closed'] - Why it ended: completed, skipped, error or closed by the user,
+   *   or replaced by another walkthrough, destroyed or opened in the editor
    */
-  end() {
+  end(reason = 'closed') {
     if (!this.isRunning) return;
 
     // Get current step info before cleanup for analytics
     const steps = this.walkthroughs[this.currentWalkthrough];
     const currentStep = steps[this.currentStep];
 
+    // Close out any pause so it is excluded from the last step's duration
+    this._endPause();
+
     // Update step duration before ending
     this._updatePreviousStepDuration();
 
-    // Log analytics for walkthrough end
-    if (currentStep) {
+    // Log analytics for walkthrough end (completion and errors are logged where they happen)
+    if (currentStep && reason !== 'completed' && reason !== 'error') {
       logWalkthroughEnd(
         this.currentWalkthrough,
         this.currentStep,
@@ -619,12 +2386,32 @@ export class WalkthroughEngine {
         {
           totalSteps: steps.length,
           stepsCompleted: this.currentStep + 1,
-          completionReason: 'user_finished'
+          completionReason: reason === 'closed' ? 'user_finished' : reason
         },
         this._calculateWalkthroughDuration()
       );
     }
 
+    // Snapshot the step info before state is reset for the complete event
+    const completeDetail = {
+      walkthroughId: this.currentWalkthrough,
+      instanceId: this.currentInstanceId,
+      journeyId: getJourneyId(this.currentInstanceId),
+      stepIndex: this.currentStep,
+      stepId: currentStep ? currentStep.stepId : null,
+      totalSteps: steps.length,
+      reason
+    };
+    this._emit('end', { reason });
+
+    // Remember completions and dismissals so they aren't auto-started again. Only the user
+    // dismisses a walkthrough: ends caused by the app, such as a restart, don't count.
+    if (reason === 'completed') {
+      this._updateStatusRecord(this.currentWalkthrough, { completedAt: Date.now() });
+    } else if (reason === 'closed' || reason === 'skipped') {
+      this._updateStatusRecord(this.currentWalkthrough, { dismissedAt: Date.now() });
+    }
+
     // Clean up current step
     this.cleanupCurrentStep();
 
@@ -639,19 +2426,26 @@ export class WalkthroughEngine {
     // Reset state
     this.currentWalkthrough = null;
     this.currentStep = 0;
+    this.stepHistory = [];
     this.isRunning = false;
 
     // Reset instance tracking
     this.currentInstanceId = null;
     this.currentInstanceStartTime = null;
 
-    // Clean up navigation handling
+    // Clean up navigation handling and forget saved progress
     this._cleanupNavigationHandling();
+    this._clearState();
+
+    // Give focus back to where it was before the walkthrough
+    if (this.previouslyFocusedElement && this.previouslyFocusedElement.isConnected) {
+      this.previouslyFocusedElement.focus({ preventScroll: true });
+    }
+    this.previouslyFocusedElement = null;
 
-    // Trigger onComplete callback if available
-    const walkthrough = this.walkthroughs[this.currentWalkthrough];
-    if (walkthrough && walkthrough.onComplete && typeof walkthrough.onComplete === 'function') {
-      walkthrough.onComplete();
+    // Only a walkthrough that went past its last step completes; other endings only emit end
+    if (reason === 'completed') {
+      this._emit('complete', completeDetail);
     }
   }
 
@@ -661,7 +2455,7 @@ export class WalkthroughEngine {
   destroy() {
     // End any running walkthrough
     if (this.isRunning) {
-      this.end();
+      this.end('destroyed');
     }
 
     // Destroy end tour button
@@ -672,6 +2466,9 @@ export class WalkthroughEngine {
 
     // Clear walkthroughs
     this.walkthroughs = {};
+    this.walkthroughOptions = {};
+    this.pendingRestore = null;
+    this.eventListeners = {};
 
     // Reset step duration tracking
     this.currentStepAnalyticsId = null;
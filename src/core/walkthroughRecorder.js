@@ -0,0 +1,440 @@
+/**
+ * Walkthrough Recorder
+ * Captures an author's clicks and inputs on the page and turns them into
+ * walkthrough step definitions
+ */
+
+import { isBrowser } from '../utils/browserAPI.js';
+import { addEvent } from '../utils/events.js';
+import { generateTarget, getElementLabel } from '../utils/selectorGenerator.js';
+import { RecorderPanel } from '../ui/components/RecorderPanel.js';
+
+// sessionStorage key of the recording in progress, so it survives reloads
+const RECORDER_STATE_KEY = 'sable_recorder_state';
+
+// Elements a click is attributed to, rather than the innermost element clicked
+const INTERACTIVE_SELECTOR = [
+  'a', 'button', 'input', 'select', 'textarea', 'label', 'summary',
+  '[role="button"]', '[role="link"]', '[role="tab"]', '[role="menuitem"]', '[role="option"]',
+  '[role="checkbox"]', '[role="radio"]', '[role="switch"]', '[onclick]', '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Input types that are clicked rather than typed into
+const CLICKED_INPUT_TYPES = ['button', 'submit', 'reset', 'image', 'checkbox', 'radio'];
+
+export class WalkthroughRecorder {
+  /**
+   * Create a new WalkthroughRecorder
+   * @param {Object} [config] - Configuration options
+   * @param {boolean} [config.debug=false] - Enable debug logging
+   */
+  constructor(config = {}) {
+    this.config = {
+      debug: false,
+      ...config
+    };
+
+    this.isRecording = false;
+    this.isPaused = false;
+    this.performActions = false; // Record steps that perform the action instead of waiting for the user
+    this.entries = []; // Captured steps: { stepId, kind, target, value, label, path, tooltip }
+    this.panel = null;
+    this.listenerCleanups = [];
+  }
+
+  /**
+   * Whether a recording was left running by a previous page
+   * @returns {boolean}
+   */
+  static hasSavedRecording() {
+    if (!isBrowser) return false;
+    try {
+      return !!sessionStorage.getItem(RECORDER_STATE_KEY);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Start capturing clicks and inputs
+   * @param {Object} [options] - Recording options
+   * @param {boolean} [options.resume=false] - Continue the recording saved by a previous page, if any
+   * @param {boolean} [options.performActions=false] - Record steps that perform each action
+   *   (`action` with `autoAdvance`) instead of steps that wait for the user (`advanceOn`)
+   */
+  start(options = {}) {
+    if (!isBrowser) return;
+
+    if (this.isRecording) {
+      this._stopListening();
+    }
+
+    const savedState = options.resume ? this._loadState() : null;
+    this.entries = savedState && Array.isArray(savedState.entries) ? savedState.entries : [];
+    this.isPaused = !!(savedState && savedState.isPaused);
+    this.performActions = options.performActions !== undefined
+      ? !!options.performActions
+      : !!(savedState && savedState.performActions);
+
+    this.isRecording = true;
+    this._saveState();
+
+    // Capture phase, so handlers that stop propagation don't hide the interaction
+    this.listenerCleanups.push(addEvent(document, 'click', event => this._handleClick(event), true));
+    this.listenerCleanups.push(addEvent(document, 'change', event => this._handleChange(event), true));
+
+    this.panel = new RecorderPanel({
+      onTooltipChange: (index, text) => this.setTooltip(index, text),
+      onRemove: index => this.removeStep(index),
+      onTogglePause: () => (this.isPaused ? this.resume() : this.pause()),
+      onCopy: () => this.copy(),
+      onStop: () => this.stop()
+    });
+    this._render();
+
+    if (this.config.debug) {
+      console.log(`[SableRecorder] ${savedState ? 'Resumed' : 'Started'} recording`);
+    }
+  }
+
+  /**
+   * Stop recording and forget the saved recording
+   * @returns {Array<Object>} The recorded walkthrough steps
+   */
+  stop() {
+    const steps = this.getSteps();
+    this._stopListening();
+    this.isRecording = false;
+    this._clearState();
+
+    if (this.config.debug) {
+      console.log(`[SableRecorder] Stopped recording with ${steps.length} steps`);
+    }
+    return steps;
+  }
+
+  /**
+   * Remove the recorder's listeners and panel, keeping the saved recording
+   * so it resumes on the next page
+   */
+  destroy() {
+    this._stopListening();
+    this.isRecording = false;
+  }
+
+  /**
+   * Stop capturing without ending the recording, e.g. while setting up the page
+   */
+  pause() {
+    this.isPaused = true;
+    this._saveState();
+    this._render();
+  }
+
+  /**
+   * Capture again after pause()
+   */
+  resume() {
+    this.isPaused = false;
+    this._saveState();
+    this._render();
+  }
+
+  /**
+   * Set the tooltip text of a recorded step
+   * @param {number} index - Index of the step
+   * @param {string} text - Tooltip content
+   */
+  setTooltip(index, text) {
+    if (!this.entries[index]) return;
+    this.entries[index].tooltip = text;
+    this._saveState();
+  }
+
+  /**
+   * Remove a recorded step
+   * @param {number} index - Index of the step
+   */
+  removeStep(index) {
+    this.entries.splice(index, 1);
+    this._saveState();
+    this._render();
+  }
+
+  /**
+   * Get the recorded steps as walkthrough step definitions, ready for registerWalkthrough
+   * @returns {Array<Object>}
+   */
+  getSteps() {
+    // Multi-page recordings tie each step to the page it was recorded on
+    const multiPage = new Set(this.entries.map(entry => entry.path)).size > 1;
+
+    return this.entries.map(entry => {
+      const step = { stepId: entry.stepId };
+      if (multiPage) {
+        step.urlPattern = entry.path;
+      }
+      Object.assign(step, entry.target);
+      step.tooltip = entry.tooltip || this._getDefaultTooltip(entry);
+
+      if (this.performActions) {
+        step.action = { ...this._getAction(entry), autoAdvance: true };
+      } else {
+        step.advanceOn = entry.kind === 'click' || entry.kind === 'check' ? 'click' : 'input';
+      }
+      return step;
+    });
+  }
+
+  /**
+   * Copy the recorded steps as JSON to the clipboard, showing them in the panel
+   * to copy by hand when the clipboard isn't available
+   * @returns {Promise<boolean>} Whether the steps were copied
+   */
+  copy() {
+    const json = JSON.stringify(this.getSteps(), null, 2);
+
+    const copied = navigator.clipboard && typeof navigator.clipboard.writeText === 'function'
+      ? navigator.clipboard.writeText(json).then(() => true, () => false)
+      : Promise.resolve(false);
+
+    return copied.then(success => {
+      if (this.panel) {
+        this.panel.showCopied(success, json);
+      }
+      return success;
+    });
+  }
+
+  /**
+   * Record clicks on buttons, links, checkboxes and other clickable elements
+   * @param {MouseEvent} event - Click event
+   * @private
+   */
+  _handleClick(event) {
+    if (this.isPaused || (this.panel && this.panel.containsEvent(event))) return;
+
+    const element = this._getInteractiveElement(event);
+    if (!element) return;
+
+    // Labels pass the click on to their control, which is recorded instead
+    if (element.tagName === 'LABEL' && element.control) return;
+
+    // Typed values are recorded when they change
+    if (this._isValueControl(element)) return;
+
+    const isToggle = element.tagName === 'INPUT' && (element.type === 'checkbox' || element.type === 'radio');
+    this._record(element, isToggle ? 'check' : 'click', isToggle ? element.checked : undefined);
+  }
+
+  /**
+   * Record values entered into inputs, textareas and selects
+   * @param {Event} event - Change event
+   * @private
+   */
+  _handleChange(event) {
+    if (this.isPaused || (this.panel && this.panel.containsEvent(event))) return;
+
+    const element = this._getEventTarget(event);
+    if (!element || !this._isValueControl(element)) return;
+
+    // Passwords are never stored or exported
+    const value = element.type === 'password' ? '' : element.value;
+    this._record(element, element.tagName === 'SELECT' ? 'select' : 'input', value);
+  }
+
+  /**
+   * Get the element an event happened on, looking inside open shadow roots
+   * @param {Event} event - DOM event
+   * @returns {Element|null}
+   * @private
+   */
+  _getEventTarget(event) {
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+    const target = path[0] || event.target;
+    return target && target.nodeType === 1 ? target : null;
+  }
+
+  /**
+   * Get the clickable element a click was meant for, e.g. the button around a clicked icon
+   * @param {Event} event - Click event
+   * @returns {Element|null}
+   * @private
+   */
+  _getInteractiveElement(event) {
+    const target = this._getEventTarget(event);
+    if (!target) return null;
+    return target.closest(INTERACTIVE_SELECTOR) || target;
+  }
+
+  /**
+   * Whether an element takes a typed or selected value
+   * @param {Element} element - Element to check
+   * @returns {boolean}
+   * @private
+   */
+  _isValueControl(element) {
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+    if (element.tagName === 'INPUT') return !CLICKED_INPUT_TYPES.includes(element.type);
+    return false;
+  }
+
+  /**
+   * Add a step for an interaction, or update the last step when the same field changes again
+   * @param {Element} element - Element interacted with
+   * @param {string} kind - 'click', 'check', 'input' or 'select'
+   * @param {*} value - Entered value or checked state
+   * @private
+   */
+  _record(element, kind, value) {
+    const target = generateTarget(element);
+    const path = window.location.pathname;
+    const last = this.entries[this.entries.length - 1];
+
+    if (last && (kind === 'input' || kind === 'select') && last.kind === kind &&
+      last.path === path && JSON.stringify(last.target) === JSON.stringify(target)) {
+      last.value = value;
+      this._saveState();
+      return;
+    }
+
+    const label = getElementLabel(element);
+    this.entries.push({
+      stepId: this._createStepId(label),
+      kind,
+      target,
+      value,
+      label,
+      path,
+      tooltip: ''
+    });
+    this._saveState();
+    this._render();
+
+    if (this.config.debug) {
+      console.log(`[SableRecorder] Recorded ${kind} on`, target);
+    }
+  }
+
+  /**
+   * Create a unique step ID from an element's label
+   * @param {string} label - Element label
+   * @returns {string}
+   * @private
+   */
+  _createStepId(label) {
+    const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 30) || 'step';
+    const stepIds = new Set(this.entries.map(entry => entry.stepId));
+
+    let stepId = base;
+    for (let suffix = 2; stepIds.has(stepId); suffix++) {
+      stepId = `${base}-${suffix}`;
+    }
+    return stepId;
+  }
+
+  /**
+   * Get the tooltip of a step whose tooltip the author left empty
+   * @param {Object} entry - Recorded step
+   * @returns {string}
+   * @private
+   */
+  _getDefaultTooltip(entry) {
+    switch (entry.kind) {
+      case 'input':
+        return `Enter ${entry.label}`;
+      case 'select':
+        return `Choose ${entry.label}`;
+      case 'check':
+        return `${entry.value ? 'Check' : 'Uncheck'} "${entry.label}"`;
+      default:
+        return `Click "${entry.label}"`;
+    }
+  }
+
+  /**
+   * Get the action that repeats a recorded interaction
+   * @param {Object} entry - Recorded step
+   * @returns {Object}
+   * @private
+   */
+  _getAction(entry) {
+    switch (entry.kind) {
+      case 'input':
+        return { type: 'input', value: entry.value, typeEffect: true };
+      case 'select':
+        return { type: 'select', value: entry.value };
+      case 'check':
+        return { type: entry.value ? 'check' : 'uncheck' };
+      default:
+        return { type: 'click' };
+    }
+  }
+
+  /**
+   * Show the current steps in the panel
+   * @private
+   */
+  _render() {
+    if (!this.panel) return;
+    this.panel.render(this.entries.map(entry => ({
+      stepId: entry.stepId,
+      description: this._getDefaultTooltip(entry),
+      tooltip: entry.tooltip
+    })), this.isPaused);
+  }
+
+  /**
+   * Remove listeners and the panel
+   * @private
+   */
+  _stopListening() {
+    this.listenerCleanups.forEach(cleanup => cleanup());
+    this.listenerCleanups = [];
+    if (this.panel) {
+      this.panel.destroy();
+      this.panel = null;
+    }
+  }
+
+  /**
+   * Persist the recording so it continues after a reload or navigation
+   * @private
+   */
+  _saveState() {
+    try {
+      sessionStorage.setItem(RECORDER_STATE_KEY, JSON.stringify({
+        entries: this.entries,
+        performActions: this.performActions,
+        isPaused: this.isPaused
+      }));
+    } catch (e) {
+      // sessionStorage not available
+    }
+  }
+
+  /**
+   * Load the recording saved by _saveState
+   * @returns {Object|null}
+   * @private
+   */
+  _loadState() {
+    try {
+      return JSON.parse(sessionStorage.getItem(RECORDER_STATE_KEY));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Forget the saved recording
+   * @private
+   */
+  _clearState() {
+    try {
+      sessionStorage.removeItem(RECORDER_STATE_KEY);
+    } catch (e) {
+      // sessionStorage not available
+    }
+  }
+}
@@ -0,0 +1,325 @@
+/**
+ * Walkthrough Schema
+ * Validates walkthrough step definitions when they are registered
+ */
+
+import { z } from 'zod';
+
+const fn = z.custom(value => typeof value === 'function', { message: 'Expected a function' });
+
+// Pixel offsets shared by highlight, spotlight and tooltip options
+const offsets = {
+  offsetX: z.number().optional(),
+  offsetY: z.number().optional()
+};
+
+const progressSchema = z.union([
+  z.boolean(),
+  z.enum(['text', 'dots', 'bar']),
+  z.object({
+    style: z.enum(['text', 'dots', 'bar']).optional(),
+    label: z.string().optional(),
+    clickable: z.boolean().optional()
+  }).strict()
+]);
+
+const highlightSchema = z.union([
+  z.boolean(),
+  z.object({
+    color: z.string().optional(),
+    padding: z.number().optional(),
+    animate: z.boolean().optional(),
+    className: z.string().optional(),
+    ...offsets
+  }).strict()
+]);
+
+const spotlightSchema = z.union([
+  z.boolean(),
+  z.object({
+    padding: z.number().optional(),
+    opacity: z.number().min(0).max(1).optional(),
+    color: z.string().optional(),
+    animationDuration: z.number().optional(),
+    mode: z.enum(['separate', 'union']).optional(),
+    ...offsets
+  }).strict()
+]);
+
+const scrollSchema = z.union([
+  z.boolean(),
+  z.object({
+    offsetTop: z.union([z.number(), z.string().min(1)]).optional(),
+    behavior: z.enum(['auto', 'smooth', 'instant']).optional(),
+    block: z.enum(['start', 'center', 'end', 'nearest']).optional()
+  }).strict()
+]);
+
+const tooltipOptionsSchema = z.object({
+  title: z.string().optional(),
+  content: z.string({ required_error: 'Tooltip content is required' }),
+  position: z.enum(['top', 'right', 'bottom', 'left']).optional(),
+  className: z.string().optional(),
+  showNavigation: z.boolean().optional(),
+  nextButton: z.string().optional(),
+  nextButtonText: z.string().optional(),
+  prevButtonText: z.string().optional(),
+  skipButton: z.string().optional(),
+  progress: progressSchema.optional(),
+  ...offsets
+}).strict();
+
+const tooltipSchema = z.union([z.string(), tooltipOptionsSchema]);
+
+const actionSchema = z.object({
+  type: z.enum(['click', 'input', 'select', 'check', 'uncheck', 'keypress', 'scroll', 'wait', 'submit', 'drag', 'focus', 'hover', 'custom']),
+  value: z.string().optional(),
+  autoAdvance: z.boolean().optional(),
+  delay: z.number().nonnegative().optional(),
+  typeEffect: z.boolean().optional(),
+  typeDelay: z.number().nonnegative().optional(),
+  key: z.union([z.string().min(1), z.array(z.string().min(1)).min(1)]).optional(),
+  keyDelay: z.number().nonnegative().optional(),
+  x: z.number().optional(),
+  y: z.number().optional(),
+  behavior: z.enum(['auto', 'smooth', 'instant']).optional(),
+  block: z.enum(['start', 'center', 'end', 'nearest']).optional(),
+  duration: z.number().nonnegative().optional(),
+  selector: z.string().min(1).optional(),
+  timeout: z.number().positive().optional(),
+  to: z.string().min(1).optional(),
+  offsetX: z.number().optional(),
+  offsetY: z.number().optional(),
+  steps: z.number().int().positive().optional(),
+  handler: fn.optional(),
+  replayOnDeepLink: z.boolean().optional()
+}).strict().superRefine((action, ctx) => {
+  const requireField = (field, message) => {
+    if (action[field] === undefined) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message });
+    }
+  };
+
+  if (action.type === 'custom') requireField('handler', 'Custom actions need a handler function');
+  if (action.type === 'select') requireField('value', 'Select actions need the value or text of an option');
+  if (action.type === 'keypress') requireField('key', 'Keypress actions need a key, e.g. "Enter" or "Control+K"');
+  if (action.type === 'wait' && action.duration === undefined && action.selector === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['duration'], message: 'Wait actions need a duration or a selector to wait for' });
+  }
+  if (action.type === 'drag' && action.to === undefined && action.offsetX === undefined && action.offsetY === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['to'], message: 'Drag actions need a drop target (to) or an offset' });
+  }
+});
+
+const advanceOnType = z.enum(['click', 'input', 'remove', 'event']);
+
+const advanceOnSchema = z.union([
+  advanceOnType.exclude(['event']),
+  z.object({
+    type: advanceOnType,
+    selector: z.string().optional(),
+    match: z.union([z.instanceof(RegExp), z.string()]).optional(),
+    event: z.string().optional(),
+    target: z.string().optional(),
+    delay: z.number().nonnegative().optional()
+  }).strict().superRefine((advanceOn, ctx) => {
+    if (advanceOn.type === 'event' && !advanceOn.event) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['event'], message: 'advanceOn type "event" needs an event name' });
+    }
+  })
+]);
+
+const navigateSchema = z.object({
+  url: z.union([z.string().min(1), fn]),
+  replace: z.boolean().optional()
+}).strict();
+
+const textMatch = z.union([z.string().min(1), z.instanceof(RegExp)]);
+const index = { index: z.number().int().nonnegative().optional() };
+
+// Ways of locating an element, tried in order by the step's target
+const targetStrategySchema = z.union([
+  z.string().min(1),
+  z.object({ css: z.string().min(1), ...index }).strict(),
+  z.object({ xpath: z.string().min(1), ...index }).strict(),
+  z.object({ text: textMatch, selector: z.string().optional(), exact: z.boolean().optional(), ...index }).strict(),
+  z.object({ role: z.string().min(1), name: textMatch.optional(), selector: z.string().optional(), exact: z.boolean().optional(), ...index }).strict(),
+  z.object({ data: z.record(z.union([z.string(), z.number(), z.literal(true)])), ...index }).strict(),
+  z.object({ ancestor: z.union([z.string().min(1), z.lazy(() => targetStrategySchema)]), selector: z.string().optional(), ...index }).strict()
+]);
+
+const targetSchema = z.union([
+  targetStrategySchema,
+  z.array(targetStrategySchema).min(1, 'A target needs at least one strategy')
+]);
+
+const recoverySchema = z.union([
+  z.boolean(),
+  z.object({
+    title: z.string().optional(),
+    message: z.union([z.string(), fn]).optional(),
+    elementName: z.string().optional(),
+    retryButtonText: z.string().optional(),
+    skipButtonText: z.string().optional(),
+    endButtonText: z.string().optional(),
+    navigate: navigateSchema.optional(),
+    navigateButtonText: z.string().optional()
+  }).strict()
+]);
+
+// Options of a step, apart from its stepId and responsive overrides
+const stepOptions = {
+  selector: z.string().min(1).optional(),
+  target: targetSchema.optional(),
+  selectors: z.array(targetSchema).min(1, 'selectors needs at least one selector').optional(),
+  primary: z.number().int().nonnegative().optional(),
+  highlight: highlightSchema.optional(),
+  spotlight: spotlightSchema.optional(),
+  scroll: scrollSchema.optional(),
+  tooltip: tooltipSchema.optional(),
+  action: actionSchema.optional(),
+  autoAdvance: z.boolean().optional(),
+  autoAdvanceDelay: z.number().nonnegative().optional(),
+  advanceOn: advanceOnSchema.optional(),
+  timeout: z.number().positive().optional(),
+  continueOnError: z.boolean().optional(),
+  callback: fn.optional(),
+  beforeStep: fn.optional(),
+  afterStep: fn.optional(),
+  next: z.union([z.string().min(1), fn]).optional(),
+  skipIf: fn.optional(),
+  navigate: navigateSchema.optional(),
+  urlPattern: z.union([z.string().min(1), z.instanceof(RegExp), fn]).optional(),
+  recovery: recoverySchema.optional()
+};
+
+// Overrides for one breakpoint. Tooltip options are merged into the step's own, so content may be left out.
+const responsiveOverridesSchema = z.object({
+  ...stepOptions,
+  tooltip: z.union([z.string(), tooltipOptionsSchema.partial()]).optional(),
+  skip: z.boolean().optional()
+}).strict();
+
+/**
+ * Schema for a single walkthrough step
+ */
+export const walkthroughStepSchema = z.object({
+  stepId: z.string({ required_error: 'stepId is required' }).min(1),
+  ...stepOptions,
+  responsive: z.record(responsiveOverridesSchema).optional()
+}).strict().superRefine((step, ctx) => {
+  if (step.action && !step.selector && !step.target && !step.selectors) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['action'], message: 'Actions need a selector to act on' });
+  }
+  if (step.selectors && (step.selector || step.target)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['selectors'], message: 'Use either selectors or selector/target, not both' });
+  }
+  if (step.primary !== undefined && (!step.selectors || step.primary >= step.selectors.length)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['primary'], message: 'primary must be the index of one of the selectors' });
+  }
+});
+
+/**
+ * Schema for a walkthrough's steps
+ */
+export const walkthroughStepsSchema = z.array(walkthroughStepSchema).min(1, 'A walkthrough needs at least one step');
+
+/**
+ * Checks across steps. Kept apart from walkthroughStepsSchema because zod skips
+ * refinements of an array whose items are invalid.
+ */
+const stepReferencesSchema = z.array(z.object({}).passthrough()).superRefine((steps, ctx) => {
+  const stepIds = new Set();
+
+  steps.forEach((step, index) => {
+    if (stepIds.has(step.stepId)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [index, 'stepId'], message: `Duplicate stepId "${step.stepId}"` });
+    }
+    stepIds.add(step.stepId);
+  });
+
+  steps.forEach((step, index) => {
+    if (typeof step.next === 'string' && !stepIds.has(step.next)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [index, 'next'], message: `next refers to unknown step "${step.next}"` });
+    }
+  });
+});
+
+/**
+ * Error thrown by strict validation, carrying the structured errors
+ */
+export class WalkthroughValidationError extends Error {
+  /**
+   * @param {string} walkthroughId - ID of the walkthrough that failed validation
+   * @param {Array<Object>} errors - Structured validation errors
+   */
+  constructor(walkthroughId, errors) {
+    super(`Walkthrough "${walkthroughId}" is invalid:\n${errors.map(formatValidationError).join('\n')}`);
+    this.name = 'WalkthroughValidationError';
+    this.walkthroughId = walkthroughId;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Replace union errors by the issues of the branch that matched the value's type,
+ * so e.g. a tooltip object without content reports the missing content
+ * @param {Array<Object>} issues - Zod issues
+ * @returns {Array<Object>} Flattened issues
+ */
+function flattenUnionIssues(issues) {
+  return issues.flatMap(issue => {
+    if (issue.code !== z.ZodIssueCode.invalid_union) {
+      return [issue];
+    }
+
+    const matchingBranch = issue.unionErrors
+      .map(error => error.issues)
+      .find(branchIssues => !branchIssues.some(branchIssue =>
+        branchIssue.code === z.ZodIssueCode.invalid_type && branchIssue.path.length === issue.path.length
+      ));
+
+    return matchingBranch ? flattenUnionIssues(matchingBranch) : [issue];
+  });
+}
+
+/**
+ * Format a validation error as a single line
+ * @param {Object} error - Structured validation error
+ * @returns {string}
+ */
+export function formatValidationError(error) {
+  const location = error.stepIndex === null ? 'steps' : `step ${error.stepIndex}${error.stepId ? ` ("${error.stepId}")` : ''}`;
+  return `${location}${error.path ? ` at ${error.path}` : ''}: ${error.message}`;
+}
+
+/**
+ * Validate a walkthrough's steps
+ * @param {Array} steps - Step definitions
+ * @returns {{valid: boolean, errors: Array<{stepIndex: number|null, stepId: string|null, path: string, message: string}>}}
+ */
+export function validateWalkthroughSteps(steps) {
+  const issues = [walkthroughStepsSchema, stepReferencesSchema]
+    .map(schema => schema.safeParse(steps))
+    .filter(result => !result.success)
+    .flatMap(result => result.error.issues);
+
+  if (issues.length === 0) {
+    return { valid: true, errors: [] };
+  }
+
+  const errors = flattenUnionIssues(issues).map(issue => {
+    const [stepIndex, ...path] = issue.path;
+    const hasStep = typeof stepIndex === 'number';
+    const step = hasStep && steps[stepIndex] && typeof steps[stepIndex] === 'object' ? steps[stepIndex] : null;
+
+    return {
+      stepIndex: hasStep ? stepIndex : null,
+      stepId: step && typeof step.stepId === 'string' ? step.stepId : null,
+      path: path.join('.'),
+      message: issue.message
+    };
+  }).sort((a, b) => (a.stepIndex === null ? -1 : a.stepIndex) - (b.stepIndex === null ? -1 : b.stepIndex));
+
+  return { valid: false, errors };
+}
@@ -10,12 +10,46 @@ export interface SableSmartLinksConfig {
   walkthrough?: {
     /** URL parameter name to trigger walkthroughs (default: 'walkthrough') */
     paramName?: string;
+    /** URL parameter naming the step a walkthrough link starts at, e.g. `?walkthrough=billing&step=plans` (default: 'step') */
+    stepParamName?: string;
     /** Automatically start walkthrough if parameter is found (default: true) */
     autoStart?: boolean;
-    /** Only auto-start the walkthrough once per walkthrough id (default: false). If true, stores a key in localStorage after the first auto-start and will not auto-start again for that id. */
+    /** Only auto-start the walkthrough once per walkthrough id (default: false). If true, the first auto-start is recorded in localStorage and the walkthrough will not auto-start again for that id. */
     autoStartOnce?: boolean;
+    /** Don't auto-start walkthroughs the user has completed (default: false) */
+    skipIfCompleted?: boolean;
+    /** Don't auto-start walkthroughs the user has closed or skipped (default: false) */
+    skipIfDismissed?: boolean;
+    /** Remove the walkthrough URL parameter with `history.replaceState` once it has been handled (default: false) */
+    removeUrlParam?: boolean;
     /** Delay between steps in milliseconds (default: 500) */
     stepDelay?: number;
+    /**
+     * Client-side router used by `navigate` steps, e.g. `(url) => router.push(url)`.
+     * Defaults to `history.pushState` followed by a `popstate` event.
+     */
+    router?: (url: string, options: { replace: boolean }) => void | Promise<unknown>;
+    /**
+     * How step definitions are checked at registration (default: 'lenient').
+     * 'strict' throws a WalkthroughValidationError, 'lenient' logs a warning, false skips validation.
+     */
+    validation?: 'strict' | 'lenient' | false;
+    /** Show progress in step tooltips (default: false). Steps can override it with `tooltip.progress`. */
+    progress?: WalkthroughProgressOption;
+    /**
+     * Prompt the user to retry, skip the step or end the tour when a step's element
+     * is not found, instead of ending the tour (default: false). Steps can override it.
+     */
+    recovery?: WalkthroughRecoveryOption;
+    /**
+     * Space kept clear at the top of the viewport when scrolling to a step's element, e.g. for a
+     * sticky header: pixels, or the header's selector to use its bottom edge (default: 0)
+     */
+    scrollOffsetTop?: number | string;
+    /** How steps scroll to their element (default: 'smooth') */
+    scrollBehavior?: 'auto' | 'smooth' | 'instant';
+    /** Where a step's element ends up when it has to be scrolled to (default: 'center') */
+    scrollBlock?: 'start' | 'center' | 'end' | 'nearest';
   };
 
   /** Configuration for the text agent engine */
@@ -140,6 +174,9 @@ export interface SableSmartLinksConfig {
     };
   };
 
+  /** Onboarding checklist shown next to the menu trigger */
+  checklist?: ChecklistConfig;
+
   /** Configuration for analytics */
   analytics?: {
     /** Enable analytics (default: true) */
@@ -154,17 +191,104 @@ export interface SableSmartLinksConfig {
 
   /** Per-agent text agent configuration */
   textAgents?: Record<string, TextAgentAgentConfig>;
+
+  /**
+   * URL of a JSON manifest of walkthroughs and text agents, e.g.
+   * `https://sable-smart-links.vercel.app/api/manifest/<clientKey>`.
+   * Fetched at init, cached in localStorage and registered automatically.
+   */
+  manifestUrl?: string | null;
+  /** How often the manifest is refreshed in the background in ms (default: 300000, 0 disables) */
+  manifestRefreshInterval?: number;
+
+  /** Allow starting the walkthrough recorder with `?sable_record=1`, and resuming it after a reload (default: false) */
+  recorder?: boolean;
+
+  /** Allow opening the walkthrough editor with `?sable_edit=<walkthroughId>` (default: false) */
+  editor?: boolean;
+  /**
+   * Endpoint the walkthrough editor POSTs `{ walkthroughId, steps }` to when saving
+   * (default: null, the edited steps are downloaded as JSON)
+   */
+  editorSaveUrl?: string | null;
+}
+
+/**
+ * Remote manifest of walkthrough and text agent definitions (JSON, so no callbacks)
+ */
+export interface SableManifest {
+  /** Compared with the cached copy; a new version re-registers the definitions */
+  version?: string | number | null;
+  walkthroughs?: Record<string, WalkthroughStep[] | WalkthroughDefinition>;
+  textAgents?: Record<string, Pick<TextAgentAgentConfig, 'steps' | 'autoStart' | 'autoStartOnce' | 'requiredSelector' | 'onEnd'>>;
 }
 
 /**
  * Type definitions for Smart Link walkthroughs
  */
 
+/**
+ * Progress display for walkthrough tooltips: `true` or a style name, or an
+ * object with a custom label (`{current}` and `{total}` are replaced) and
+ * whether completed dots can be clicked to go back to them (default: true)
+ */
+export type WalkthroughProgressOption = boolean | 'text' | 'dots' | 'bar' | {
+  style?: 'text' | 'dots' | 'bar';
+  label?: string;
+  clickable?: boolean;
+};
+
+/** One way of locating a step's element; see WalkthroughStep.target */
+export type WalkthroughTargetStrategy =
+  | string
+  | { css: string; index?: number }
+  | { xpath: string; index?: number }
+  /** Visible text, optionally within elements matching `selector` */
+  | { text: string | RegExp; selector?: string; exact?: boolean; index?: number }
+  /** ARIA role (explicit or implied by the tag) and accessible name */
+  | { role: string; name?: string | RegExp; selector?: string; exact?: boolean; index?: number }
+  /** data-* attributes, with or without the `data-` prefix; `true` matches any value */
+  | { data: Record<string, string | number | true>; index?: number }
+  /** Element matching `selector` (default `*`) at `index` within a stable ancestor */
+  | { ancestor: string | WalkthroughTargetStrategy; selector?: string; index?: number };
+
+/** Recovery prompt shown when a step's element is not found */
+export type WalkthroughRecoveryOption = boolean | {
+  /** Prompt title (default: 'Something is missing') */
+  title?: string;
+  /** Prompt text (default: "We couldn't find <elementName> on this page.") */
+  message?: string | ((step: WalkthroughStep, engine: WalkthroughEngine) => string);
+  /** How the missing element is described (default: the step's tooltip title) */
+  elementName?: string;
+  retryButtonText?: string;
+  skipButtonText?: string;
+  endButtonText?: string;
+  /** Page where the step lives; adds a button that goes there and retries the step */
+  navigate?: WalkthroughStep['navigate'];
+  navigateButtonText?: string;
+};
+
+/**
+ * What a beforeStep or afterStep hook can ask the walkthrough to do
+ */
+export interface WalkthroughStepHookResult {
+  /** Skip a step (see beforeStep and afterStep) */
+  skip?: boolean;
+  /** stepId to go to */
+  goTo?: string;
+}
+
 export interface WalkthroughStep {
   /** Unique identifier for the step (required for analytics tracking) */
   stepId: string;
-  /** CSS selector for the target element */
+  /** CSS selector, XPath or element ID of the target element; `>>>` reaches into iframes and shadow roots, e.g. `iframe#billing >>> .plan-card` */
   selector?: string;
+  /** Strategies for finding the target element, tried in order (takes precedence over selector) */
+  target?: WalkthroughTargetStrategy | WalkthroughTargetStrategy[];
+  /** Several elements to highlight and spotlight together; the step waits for all of them (instead of selector/target) */
+  selectors?: Array<WalkthroughTargetStrategy | WalkthroughTargetStrategy[]>;
+  /** Index in `selectors` of the element the tooltip, action and advanceOn use (default: 0) */
+  primary?: number;
   /** Highlight configuration for the element */
   highlight?: {
     /** Color of the highlight */
@@ -190,11 +314,22 @@ export interface WalkthroughStep {
     color?: string;
     /** Animation duration in milliseconds */
     animationDuration?: number;
+    /** For steps with `selectors`: a hole per element (default) or one hole around all of them */
+    mode?: 'separate' | 'union';
     /** Horizontal offset in pixels (positive = right, negative = left) */
     offsetX?: number;
     /** Vertical offset in pixels (positive = down, negative = up) */
     offsetY?: number;
   };
+  /**
+   * Scrolling the element and its scrollable containers into view before the step is shown;
+   * overrides the walkthrough's scroll config. `false` leaves the scroll position alone.
+   */
+  scroll?: boolean | {
+    offsetTop?: number | string;
+    behavior?: 'auto' | 'smooth' | 'instant';
+    block?: 'start' | 'center' | 'end' | 'nearest';
+  };
   /** Tooltip content to display */
   tooltip?: string | {
     title?: string;
@@ -208,6 +343,8 @@ export interface WalkthroughStep {
     nextButtonText?: string;
     /** Custom button text */
     prevButtonText?: string;
+    /** Progress display for this step; `false` hides it */
+    progress?: WalkthroughProgressOption;
     /** Horizontal offset in pixels (positive = right, negative = left) */
     offsetX?: number;
     /** Vertical offset in pixels (positive = down, negative = up) */
@@ -216,10 +353,10 @@ export interface WalkthroughStep {
   /** Action to perform on the element */
   action?: {
     /** Type of action to perform */
-    type: 'click' | 'input' | 'focus' | 'hover' | 'custom';
-    /** Value for input actions */
+    type: 'click' | 'input' | 'select' | 'check' | 'uncheck' | 'keypress' | 'scroll' | 'wait' | 'submit' | 'drag' | 'focus' | 'hover' | 'custom';
+    /** Value for input actions; value or visible text of the option for select actions */
     value?: string;
-    /** Whether to automatically advance to next step */
+    /** Whether to automatically advance to next step once the action has finished */
     autoAdvance?: boolean;
     /** Delay before action or before advancing (ms) */
     delay?: number;
@@ -227,42 +364,336 @@ export interface WalkthroughStep {
     typeEffect?: boolean;
     /** Delay between characters for typing effect (ms) */
     typeDelay?: number;
-    /** Custom handler function */
-    handler?: (element: HTMLElement, engine: WalkthroughEngine) => void;
+    /** For keypress: key or combination such as 'Enter' or 'Control+K', or several pressed in turn */
+    key?: string | string[];
+    /** For keypress: delay between several keys (ms) */
+    keyDelay?: number;
+    /** For scroll: position to scroll the element's content to; without them the element is scrolled into view */
+    x?: number;
+    y?: number;
+    /** For scroll: scroll behavior (default: 'smooth') */
+    behavior?: 'auto' | 'smooth' | 'instant';
+    /** For scroll into view: vertical alignment (default: 'center') */
+    block?: 'start' | 'center' | 'end' | 'nearest';
+    /** For wait: time to wait (ms) */
+    duration?: number;
+    /** For wait: element to wait for (CSS selector or XPath) */
+    selector?: string;
+    /** For wait: how long to wait for `selector` (ms, default: 10000) */
+    timeout?: number;
+    /** For drag: element to drop onto (CSS selector or XPath) */
+    to?: string;
+    /** For drag: distance to drag the element when there is no `to` (px) */
+    offsetX?: number;
+    offsetY?: number;
+    /** For drag: number of pointer moves (default: 10) */
+    steps?: number;
+    /** Custom handler function; a returned promise is awaited before auto-advancing */
+    handler?: (element: HTMLElement, engine: WalkthroughEngine) => void | Promise<unknown>;
+    /**
+     * Run this action silently when a deep link starts the walkthrough at a later step,
+     * e.g. opening the menu that step's element is in
+     */
+    replayOnDeepLink?: boolean;
   };
   /** Whether to automatically advance to next step */
   autoAdvance?: boolean;
   /** Delay before auto-advancing (ms) */
   autoAdvanceDelay?: number;
+  /** Advance to the next step when the user performs the real action */
+  advanceOn?: 'click' | 'input' | 'remove' | {
+    /**
+     * What the user has to do: click the element, type a value into it,
+     * make it disappear from the page, or cause a DOM event to fire
+     */
+    type: 'click' | 'input' | 'remove' | 'event';
+    /** Element to watch instead of the step's element (CSS selector or XPath) */
+    selector?: string;
+    /** For 'input': pattern the element's value must match (default: any non-empty value) */
+    match?: RegExp | string;
+    /** For 'event': name of the event to listen for */
+    event?: string;
+    /** For 'event': where to listen - 'window' (default), 'document', 'element', or a selector */
+    target?: string;
+    /** Delay before advancing (ms, default: 0) */
+    delay?: number;
+  };
   /** Timeout for waiting for element (ms) */
   timeout?: number;
   /** Whether to continue to next step on error */
   continueOnError?: boolean;
   /** Custom callback function */
   callback?: (element: HTMLElement | null, engine: WalkthroughEngine) => void;
+  /**
+   * Awaited before the step's element is looked up, e.g. to open a menu or fetch data.
+   * Return `{ skip: true }` to skip the step or `{ goTo }` to jump to another step;
+   * throwing ends the walkthrough with the `error` reason.
+   */
+  beforeStep?: (engine: WalkthroughEngine) => WalkthroughStepHookResult | void | Promise<WalkthroughStepHookResult | void>;
+  /**
+   * Awaited when the step is left with next(). Return `{ goTo }` to choose the following step
+   * or `{ skip: true }` to skip the step that would follow; throwing ends the walkthrough
+   * with the `error` reason.
+   */
+  afterStep?: (engine: WalkthroughEngine) => WalkthroughStepHookResult | void | Promise<WalkthroughStepHookResult | void>;
+  /**
+   * Step to go to after this one, instead of the next step in the array.
+   * Either a stepId, or a function of the step's element returning a stepId
+   * (returning nothing continues in order).
+   */
+  next?: string | ((element: HTMLElement | null, engine: WalkthroughEngine) => string | null | undefined);
+  /** Skip this step when the predicate returns true */
+  skipIf?: (engine: WalkthroughEngine) => boolean;
+  /**
+   * Navigate to another route before running the step. A step with nothing
+   * else to show continues to the next step once navigation is done.
+   */
+  navigate?: {
+    /** URL to navigate to, or a function returning it */
+    url: string | ((engine: WalkthroughEngine) => string);
+    /** Replace the current history entry instead of pushing a new one */
+    replace?: boolean;
+  };
+  /**
+   * Wait until the current route matches before looking for the element.
+   * A string matches the path (`*` and `:param` wildcards), a RegExp is tested
+   * against path + query + hash, and a function receives `window.location`.
+   */
+  urlPattern?: string | RegExp | ((location: Location) => boolean);
+  /** Recovery prompt when the element is not found; overrides the walkthrough config (takes precedence over continueOnError) */
+  recovery?: WalkthroughRecoveryOption;
+  /**
+   * Overrides per breakpoint, re-evaluated when the window is resized. Keys are width
+   * breakpoints like `'<768'` or `'>=1024'`, or media queries like `'(orientation: portrait)'`;
+   * overrides of every matching key apply in order.
+   */
+  responsive?: Record<string, WalkthroughStepOverrides>;
 }
 
+/**
+ * Step options overridden while a breakpoint matches. Tooltip, highlight, spotlight and scroll
+ * objects are merged into the step's own; `skip: true` skips the step at that size.
+ */
+export type WalkthroughStepOverrides = Omit<Partial<WalkthroughStep>, 'stepId' | 'responsive' | 'tooltip'> & {
+  tooltip?: string | Partial<Exclude<WalkthroughStep['tooltip'], string | undefined>>;
+  skip?: boolean;
+};
+
 interface WalkthroughState {
   walkthroughId: string;
   currentStep: number;
+  /** Indices of previously visited steps */
+  stepHistory: number[];
+  instanceId: string | null;
+  instanceStartTime: number | null;
+  /** Analytics record of the current step, used to keep step durations continuous */
+  stepAnalyticsId: string | null;
+  stepStartTime: number | null;
+  /** Time the current step spent paused (ms), excluded from its duration */
+  stepPausedDuration: number;
+  /** Whether the current step's action (e.g. a click that navigated away) already ran */
+  actionPerformed: boolean;
   isRunning: boolean;
   timestamp: number;
 }
 
+/** A problem found in a walkthrough definition */
+export interface WalkthroughValidationIssue {
+  /** Index of the offending step, or null for problems with the steps array itself */
+  stepIndex: number | null;
+  stepId: string | null;
+  /** Dotted path inside the step, e.g. 'tooltip.content' ('' for the step itself) */
+  path: string;
+  message: string;
+}
+
+export interface WalkthroughValidationResult {
+  valid: boolean;
+  errors: WalkthroughValidationIssue[];
+}
+
+/** Thrown by register() in strict validation mode */
+export declare class WalkthroughValidationError extends Error {
+  walkthroughId: string;
+  errors: WalkthroughValidationIssue[];
+}
+
+/** Check walkthrough steps against the step schema without registering them */
+export declare function validateWalkthroughSteps(steps: unknown): WalkthroughValidationResult;
+
+/** Walkthrough lifecycle events available through on()/off() */
+export type WalkthroughEventName = 'start' | 'stepShown' | 'stepError' | 'next' | 'previous' | 'end' | 'complete';
+
+/** Why a walkthrough ended */
+export type WalkthroughEndReason = 'completed' | 'skipped' | 'error' | 'closed' | 'replaced' | 'destroyed' | 'editing';
+
+/**
+ * Detail passed to lifecycle event handlers and in the `detail` of the
+ * matching `sable:walkthrough*` window event (e.g. `sable:walkthroughStepShown`)
+ */
+export interface WalkthroughEventDetail {
+  walkthroughId: string | null;
+  instanceId: string | null;
+  stepIndex: number;
+  stepId: string | null;
+  totalSteps: number;
+  /** end, complete: why the walkthrough ended (always 'completed' for complete) */
+  reason?: WalkthroughEndReason;
+  /** stepShown: the step's element, if it has one (the primary one for steps with `selectors`) */
+  element?: HTMLElement | null;
+  /** stepShown: all of the step's elements, primary first */
+  elements?: HTMLElement[];
+  /** stepError: what went wrong */
+  errorType?: string;
+  errorMessage?: string;
+  continueOnError?: boolean;
+  /** next: the step that was left */
+  previousStepIndex?: number;
+  previousStepId?: string;
+  branchType?: 'explicit' | 'function' | 'static' | 'sequential';
+  /** start, next: steps skipped by skipIf */
+  skippedStepIds?: string[];
+  /** start: the step a deep link started the walkthrough at */
+  deepLinkStepId?: string;
+  /** start: steps whose setup actions ran silently for the deep link */
+  replayedStepIds?: string[];
+  /** previous: the step that was left */
+  nextStepIndex?: number;
+  nextStepId?: string;
+  /** Analytics journey the walkthrough is part of */
+  journeyId?: string | null;
+}
+
+/** Options for starting a walkthrough */
+export interface WalkthroughStartOptions {
+  /**
+   * Step to start at instead of the first one. The actions of earlier steps marked
+   * `replayOnDeepLink` run silently first.
+   */
+  stepId?: string;
+  /** Analytics journey to continue, e.g. one started by an earlier walkthrough; a new one by default */
+  journeyId?: string;
+}
+
+/**
+ * A walkthrough or text agent to start when a walkthrough is completed (`onComplete`)
+ * or a text agent is finished (`onEnd`). It continues the same analytics journey.
+ */
+export interface JourneyContinuation {
+  /** ID of the walkthrough to start */
+  startWalkthrough?: string;
+  /** ID of the text agent to start (if there is no startWalkthrough) */
+  startTextAgent?: string;
+  /** Step to start at */
+  stepId?: string;
+  /** Milliseconds to wait before starting */
+  delay?: number;
+}
+
+/** Walkthrough-level options */
+export interface WalkthroughOptions {
+  /** What to start when the walkthrough is completed (not when it is skipped or closed) */
+  onComplete?: JourneyContinuation;
+}
+
+/** A walkthrough's steps with its walkthrough-level options, e.g. in a manifest */
+export interface WalkthroughDefinition extends WalkthroughOptions {
+  steps: WalkthroughStep[];
+}
+
+export type WalkthroughEventHandler = (detail: WalkthroughEventDetail) => void;
+
+/** An onboarding checklist item */
+export interface ChecklistItem {
+  /** Unique identifier of the item */
+  id: string;
+  /** Text of the item */
+  title: string;
+  /** Smaller text below the title */
+  description?: string;
+  /** Walkthrough started by the item's start button; completing it checks off the item */
+  walkthroughId?: string;
+  /** Text agent started by the item's start button; finishing it checks off the item */
+  textAgentId?: string;
+  /** Window events of the host app that check off the item */
+  completeOn?: string | string[];
+}
+
+/** Onboarding checklist configuration */
+export interface ChecklistConfig {
+  /** Show the checklist trigger button (default: false) */
+  enabled?: boolean;
+  /** Text of the trigger button (default: 'Get started') */
+  text?: string;
+  /** Heading of the checklist (default: 'Get started') */
+  title?: string;
+  /** Text of each item's start button (default: 'Start') */
+  startButtonText?: string;
+  /** Corner of the trigger button; it sits next to a menu trigger in the same corner (default: 'bottom-right') */
+  position?: 'bottom-right' | 'bottom-left' | 'top-right' | 'top-left';
+  /** Items in the order they are listed */
+  items: ChecklistItem[];
+  /** ID of the host app's user, so each user has their own progress */
+  userId?: string | null;
+}
+
+/** The current user's onboarding checklist progress */
+export interface ChecklistProgress {
+  completed: number;
+  total: number;
+  items: Array<{ id: string; completed: boolean; completedAt: number | null }>;
+}
+
+/** What the user has done with a walkthrough, from records kept in localStorage */
+export interface WalkthroughStatus {
+  status: 'completed' | 'dismissed' | 'started' | 'not_started';
+  /** Timestamps (ms), or null if it never happened */
+  completedAt: number | null;
+  dismissedAt: number | null;
+  lastStartedAt: number | null;
+  autoStartedAt: number | null;
+}
+
 export class WalkthroughEngine {
   constructor(config: SableSmartLinksConfig);
-  register(id: string, steps: WalkthroughStep[]): void;
-  start(walkthroughId: string): boolean;
-  next(): void;
-  end(): void;
+  register(id: string, steps: WalkthroughStep[], options?: WalkthroughOptions): WalkthroughValidationResult;
+  start(walkthroughId: string, options?: WalkthroughStartOptions): boolean;
+  next(stepId?: string): void;
+  previous(): void;
+  executeStep(stepId?: string): void;
+  end(reason?: WalkthroughEndReason): void;
+  /** Freeze timers and hide the step's UI without ending the walkthrough */
+  pause(): void;
+  /** Restore the UI and timers of a paused walkthrough */
+  resume(): void;
+  readonly isPaused: boolean;
+  /** Completion, dismissal and start records of a walkthrough */
+  getStatus(walkthroughId: string): WalkthroughStatus;
+  /** Forget the records of one walkthrough, or of all of them */
+  resetStatus(walkthroughId?: string): void;
+  /** Whether autoStartOnce, skipIfCompleted and skipIfDismissed allow an automatic start */
+  canAutoStart(walkthroughId: string): boolean;
+  /** Start a walkthrough if canAutoStart() allows it, recording the auto-start */
+  autoStart(walkthroughId: string, options?: WalkthroughStartOptions): boolean;
   destroy(): void;
+  /** Subscribe to a lifecycle event; returns a function that unsubscribes */
+  on(eventName: WalkthroughEventName, handler: WalkthroughEventHandler): () => void;
+  off(eventName: WalkthroughEventName, handler: WalkthroughEventHandler): void;
 
   // Internal methods for state persistence
   _saveState(): void;
   _loadState(): WalkthroughState | null;
   _clearState(): void;
   _setupNavigationHandling(): void;
-  _restoreWalkthrough(): Promise<void>;
+  _restoreWalkthrough(): boolean;
+}
+
+/** Options for the walkthrough recorder */
+export interface WalkthroughRecordingOptions {
+  /** Record steps that perform each action instead of waiting for the user to (default: false) */
+  performActions?: boolean;
+  /** Continue a recording left running by a previous page (default: false) */
+  resume?: boolean;
 }
 
 export class SableSmartLinks {
@@ -272,14 +703,48 @@ export class SableSmartLinks {
   init(): void;
 
   /* ----- walkthrough API ---------- */
-  restoreWalkthrough(): void;
-  registerWalkthrough(id: string, steps: WalkthroughStep[]): void;
-  startWalkthrough(walkthroughId: string): boolean;
-  nextWalkthroughStep(): void;
+  /** Fetch the manifest now; resolves to whether a new one was applied */
+  refreshManifest(): Promise<boolean>;
+
+  /** Resume a walkthrough saved in sessionStorage; returns whether one was found */
+  restoreWalkthrough(): boolean;
+  registerWalkthrough(id: string, steps: WalkthroughStep[], options?: WalkthroughOptions): WalkthroughValidationResult;
+  startWalkthrough(walkthroughId: string, options?: WalkthroughStartOptions): boolean;
+  nextWalkthroughStep(stepId?: string): void;
+  previousWalkthroughStep(): void;
   endWalkthrough(): void;
+  /** Pause the current walkthrough, hiding its UI until it is resumed */
+  pauseWalkthrough(): void;
+  /** Resume a paused walkthrough at the same step */
+  resumeWalkthrough(): void;
+  /** What the user has done with a walkthrough so far */
+  getWalkthroughStatus(walkthroughId: string): WalkthroughStatus;
+  /** Forget a walkthrough's records (all walkthroughs if no id) so it auto-starts again */
+  resetWalkthroughStatus(walkthroughId?: string): void;
+  /** Subscribe to a walkthrough lifecycle event; returns a function that unsubscribes */
+  on(eventName: WalkthroughEventName, handler: WalkthroughEventHandler): () => void;
+  /** Unsubscribe from a walkthrough lifecycle event */
+  off(eventName: WalkthroughEventName, handler: WalkthroughEventHandler): void;
+
+  /* ----- walkthrough recorder ----- */
+  /** Record clicks and inputs on the page as walkthrough steps, listed in a panel */
+  startRecording(options?: WalkthroughRecordingOptions): void;
+  /** Stop recording; returns the recorded steps */
+  stopRecording(): WalkthroughStep[];
+  /** The steps recorded so far */
+  getRecordedSteps(): WalkthroughStep[];
+
+  /* ----- walkthrough editor ------- */
+  /**
+   * Open a registered walkthrough in the editor; returns false if it isn't registered yet,
+   * in which case it opens once it is
+   */
+  editWalkthrough(walkthroughId: string): boolean;
+  /** Close the walkthrough editor, discarding unsaved edits */
+  closeEditor(): void;
 
   /* ----- text-agent API ----------- */
-  registerTextAgent(id: string, steps: TextAgentStep[], autoStart?: boolean, autoStartOnce?: boolean, beforeStart?: () => void | Promise<void>, requiredSelector?: string): SableSmartLinks;
+  registerTextAgent(id: string, steps: TextAgentStep[], autoStart?: boolean, autoStartOnce?: boolean, beforeStart?: () => void | Promise<void>, requiredSelector?: string, onEnd?: JourneyContinuation): SableSmartLinks;
   /**
    * Start a text agent with the given ID
    * @param agentId Optional ID of the text agent to start
@@ -298,8 +763,19 @@ export class SableSmartLinks {
    * @param options.stepId Optional step ID to restart from
    * @param options.skipTrigger Whether to skip trigger checks
    * @param options.useSessionStorage If true, use sessionStorage to trigger agent start
+   * @param options.journeyId Analytics journey to continue instead of starting a new one
    */
-  startTextAgent(agentId: string, options?: { stepId?: string | null; skipTrigger?: boolean; useSessionStorage?: boolean }): SableSmartLinks;
+  startTextAgent(agentId: string, options?: { stepId?: string | null; skipTrigger?: boolean; useSessionStorage?: boolean; journeyId?: string }): SableSmartLinks;
+
+  /* ----- onboarding checklist ----- */
+  /** Check off a checklist item; returns whether it was newly completed */
+  completeChecklistItem(itemId: string): boolean;
+  /** The current user's checklist progress, or null without a checklist */
+  getChecklistProgress(): ChecklistProgress | null;
+  /** Forget the current user's completion of an item (all items if no id) */
+  resetChecklist(itemId?: string): void;
+  /** Show another user's checklist progress, e.g. after the user logs in */
+  setChecklistUser(userId: string | null): void;
 
   /* ----- popup helpers ------------ */
   showPopup(options: PopupOptions): { unmount: () => void; mount: (parent: HTMLElement) => void } | null;
@@ -519,8 +995,23 @@ export interface TextAgentStep {
 
   /** Conditional function to determine if step should be shown */
   showIf?: () => boolean;
+
+  /**
+   * Overrides per breakpoint, e.g. `{ '<=768': { targetElement: { position: 'bottom' } } }`.
+   * Re-evaluated when the window is resized; see WalkthroughStep.responsive.
+   */
+  responsive?: Record<string, TextAgentStepOverrides>;
 }
 
+/**
+ * Text agent step options overridden while a breakpoint matches. The targetElement object is
+ * merged into the step's own; `skip: true` skips the step at that size.
+ */
+export type TextAgentStepOverrides = Omit<Partial<TextAgentStep>, 'id' | 'responsive' | 'targetElement'> & {
+  targetElement?: Partial<NonNullable<TextAgentStep['targetElement']>>;
+  skip?: boolean;
+};
+
 export interface TextAgentAgentConfig {
   steps: TextAgentStep[];
   autoStart?: boolean;
@@ -532,6 +1023,8 @@ export interface TextAgentAgentConfig {
     clearStepData: () => void;
   }) => void | Promise<void>;
   requiredSelector?: string;
+  /** What to start when the user finishes the agent's last step */
+  onEnd?: JourneyContinuation;
 }
 
 /**
@@ -545,9 +1038,34 @@ export interface ScrollIntoViewOptions {
 
 export class ElementInteractor {
   /**
-   * Sets the value of an input or textarea element and triggers appropriate events
+   * Sets the value of an input, textarea or select element and triggers appropriate events
+   */
+  static setInputValue(element: HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement, value: string): void;
+
+  /**
+   * Selects an option by value, falling back to its visible text; returns whether one matched
+   */
+  static selectOption(element: HTMLSelectElement, value: string): boolean;
+
+  /**
+   * Checks or unchecks a checkbox or radio button by clicking it if needed
+   */
+  static setChecked(element: HTMLInputElement, checked: boolean): void;
+
+  /**
+   * Presses a key or combination such as 'Enter' or 'Control+K' on an element
+   */
+  static pressKey(element: Element, combo: string): void;
+
+  /**
+   * Submits a form, or the form an element belongs to; returns whether one was found
+   */
+  static submitForm(element: Element): boolean;
+
+  /**
+   * Drags an element onto a target element, or by an offset from its center
    */
-  static setInputValue(element: HTMLInputElement | HTMLTextAreaElement, value: string): void;
+  static dragElement(element: Element, target: Element | { x: number; y: number }, options?: { steps?: number; stepDelay?: number; wait?: (delay: number) => Promise<void> }): Promise<void>;
 
   /**
    * Clicks an element with optional delay
@@ -621,6 +1139,11 @@ export class ElementInteractor {
 
 // Export individual functions for convenience
 export const setInputValue: typeof ElementInteractor.setInputValue;
+export const selectOption: typeof ElementInteractor.selectOption;
+export const setChecked: typeof ElementInteractor.setChecked;
+export const pressKey: typeof ElementInteractor.pressKey;
+export const submitForm: typeof ElementInteractor.submitForm;
+export const dragElement: typeof ElementInteractor.dragElement;
 export const clickElement: typeof ElementInteractor.clickElement;
 export const scrollIntoView: typeof ElementInteractor.scrollIntoView;
 export const waitForElement: typeof ElementInteractor.waitForElement;
@@ -673,6 +1196,7 @@ export declare function updateWalkthroughEventDuration(analyticsId: string, step
 
 export declare function logWalkthroughStart(walkthroughId: string, stepIndex: number, stepId: string, instanceId?: string | null, metadata?: Record<string, any>, agentDuration?: number | null): Promise<string | null>;
 export declare function logWalkthroughNext(walkthroughId: string, stepIndex: number, stepId: string, instanceId?: string | null, metadata?: Record<string, any>, agentDuration?: number | null): Promise<string | null>;
+export declare function logWalkthroughPrevious(walkthroughId: string, stepIndex: number, stepId: string, instanceId?: string | null, metadata?: Record<string, any>, agentDuration?: number | null): Promise<string | null>;
 export declare function logWalkthroughEnd(walkthroughId: string, stepIndex: number, stepId: string, instanceId?: string | null, metadata?: Record<string, any>, agentDuration?: number | null): Promise<string | null>;
 export declare function logWalkthroughStepExecuted(walkthroughId: string, stepIndex: number, stepId: string, stepSelector: string, instanceId?: string | null, metadata?: Record<string, any>, agentDuration?: number | null): Promise<string | null>;
 export declare function logWalkthroughStepError(walkthroughId: string, stepIndex: number, stepId: string, stepSelector: string, instanceId?: string | null, metadata?: Record<string, any>, agentDuration?: number | null): Promise<string | null>;
@@ -681,6 +1205,10 @@ export declare function getCurrentSessionId(): string;
 export declare function getCurrentUserId(): string;
 export declare function resetSessionId(): void;
 export declare function resetUserId(): void;
+/** Add an instance to a journey (a new one unless journeyId is given); returns the journey ID */
+export declare function startJourney(instanceId: string | null, journeyId?: string | null): string;
+/** Journey ID of a walkthrough or text agent instance, or null */
+export declare function getJourneyId(instanceId: string | null | undefined): string | null;
 
 export declare function logCrawlBedrockQuery(eventData: {
   url: string;
@@ -739,11 +1267,16 @@ export declare function getOptimalSearchParameters(query: string): Promise<Searc
  */
 export interface SableSmartLinksContextType {
   // Walkthrough methods
-  registerWalkthrough: (id: string, steps: WalkthroughStep[]) => void;
+  registerWalkthrough: (id: string, steps: WalkthroughStep[], options?: WalkthroughOptions) => WalkthroughValidationResult | undefined;
   restoreWalkthrough: () => void;
   startWalkthrough: (walkthroughId: string) => boolean;
-  nextWalkthroughStep: () => void;
+  nextWalkthroughStep: (stepId?: string) => void;
+  previousWalkthroughStep: () => void;
   endWalkthrough: () => void;
+  pauseWalkthrough: () => void;
+  resumeWalkthrough: () => void;
+  on: (eventName: WalkthroughEventName, handler: WalkthroughEventHandler) => () => void;
+  off: (eventName: WalkthroughEventName, handler: WalkthroughEventHandler) => void;
 
   // Text Agent methods
   registerTextAgent: (id: string, steps: TextAgentStep[], autoStart?: boolean, autoStartOnce?: boolean, beforeStart?: (dataUtils?: {
@@ -751,7 +1284,7 @@ export interface SableSmartLinksContextType {
     getStepData: (key: string) => any;
     getAllStepData: () => Record<string, any>;
     clearStepData: () => void;
-  }) => void | Promise<void>, requiredSelector?: string) => SableSmartLinksContextType;
+  }) => void | Promise<void>, requiredSelector?: string, onEnd?: JourneyContinuation) => SableSmartLinksContextType;
   startTextAgent: (agentId?: string, stepId?: string | null, skipTrigger?: boolean) => Promise<boolean>;
   nextTextAgentStep: () => SableSmartLinksContextType;
   previousTextAgentStep: () => SableSmartLinksContextType;
@@ -784,7 +1317,8 @@ export interface SableSmartLinksProviderProps {
   config?: SableSmartLinksConfig;
   children: React.ReactNode;
   autoInit?: boolean;
-  walkthroughs?: Record<string, WalkthroughStep[]>;
+  /** Steps, or steps with walkthrough-level options such as onComplete */
+  walkthroughs?: Record<string, WalkthroughStep[] | WalkthroughDefinition>;
   textAgents?: Record<string, TextAgentAgentConfig>;
   menu?: {
     enabled?: boolean;
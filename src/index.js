@@ -5,15 +5,28 @@
 
 import { WalkthroughEngine } from './core/walkthroughEngine.js';
 import { TextAgentEngine } from './core/textAgent/TextAgentEngine.js';
+import { ManifestLoader } from './core/manifestLoader.js';
+import { WalkthroughRecorder } from './core/walkthroughRecorder.js';
+import { WalkthroughEditor } from './core/walkthroughEditor.js';
 import globalPopupManager from './ui/GlobalPopupManager.js';
 import { MenuTriggerManager } from './ui/MenuTriggerManager.js';
+import { ChecklistManager } from './ui/ChecklistManager.js';
 import { addEvent, debounce } from './utils/events.js';
-import { parseUrlParameters } from './utils/urlParser.js';
+import { parseUrlParameters, removeUrlParameters } from './utils/urlParser.js';
 import { getCurrentSessionId, getCurrentUserId, resetSessionId, resetUserId } from './utils/analytics.js';
 
 // Export analytics utilities
 export * from './utils/analytics';
 
+// URL parameter that starts the walkthrough recorder, e.g. ?sable_record=1
+const RECORDER_PARAM = 'sable_record';
+
+// URL parameter that opens a walkthrough in the editor, e.g. ?sable_edit=onboarding
+const EDITOR_PARAM = 'sable_edit';
+
+// Export walkthrough validation, e.g. for checking definitions in CI
+export { validateWalkthroughSteps, WalkthroughValidationError } from './core/walkthroughSchema.js';
+
 class SableSmartLinks {
   /**
    * Create a new SableSmartLinks instance
@@ -25,10 +38,11 @@ class SableSmartLinks {
     }
 
     // Set default configuration
-    this.config = {
+    const defaultConfig = {
       debug: false,
       walkthrough: {
         paramName: 'walkthrough',
+        stepParamName: 'step',
         autoStart: true,
         stepDelay: 500
       },
@@ -44,18 +58,24 @@ class SableSmartLinks {
         localStorage: true
       },
       menu: null, // Default: no menu
-      ...config
+      checklist: null, // Default: no onboarding checklist
+      manifestUrl: null, // Default: walkthroughs and agents are registered in code
+      manifestRefreshInterval: 5 * 60 * 1000,
+      recorder: false, // Allow starting the walkthrough recorder from the URL
+      editor: false, // Allow opening the walkthrough editor from the URL
+      editorSaveUrl: null // Default: the editor downloads edited walkthroughs as JSON
     };
+    this.config = { ...defaultConfig, ...config };
 
     // Deep merge for nested objects
     if (config.walkthrough) {
-      this.config.walkthrough = { ...this.config.walkthrough, ...config.walkthrough };
+      this.config.walkthrough = { ...defaultConfig.walkthrough, ...config.walkthrough };
     }
     if (config.textAgent) {
-      this.config.textAgent = { ...this.config.textAgent, ...config.textAgent };
+      this.config.textAgent = { ...defaultConfig.textAgent, ...config.textAgent };
     }
     if (config.analytics) {
-      this.config.analytics = { ...this.config.analytics, ...config.analytics };
+      this.config.analytics = { ...defaultConfig.analytics, ...config.analytics };
     }
 
     if (this.config.debug) {
@@ -85,7 +105,22 @@ class SableSmartLinks {
       });
     }
 
-
+    // Continue journeys: start what a completed walkthrough or finished text agent chains to,
+    // and check off the checklist items they belong to
+    this.journeyTimeout = null;
+    this.walkthroughEngine.on('complete', detail => {
+      if (this.checklistManager) {
+        this.checklistManager.completeFor('walkthroughId', detail.walkthroughId);
+      }
+      const { onComplete } = this.walkthroughEngine.walkthroughOptions[detail.walkthroughId] || {};
+      this._continueJourney(onComplete, detail.journeyId);
+    });
+    this.textAgentEngine.onAgentComplete = (agentId, { onEnd, journeyId }) => {
+      if (this.checklistManager) {
+        this.checklistManager.completeFor('textAgentId', agentId);
+      }
+      this._continueJourney(onEnd, journeyId);
+    };
 
     // Initialize menu if configured
     if (this.config.menu && this.config.menu.enabled) {
@@ -99,6 +134,31 @@ class SableSmartLinks {
       }
     }
 
+    // Onboarding checklist, next to the menu trigger
+    this.checklistManager = null;
+    if (this.config.checklist && this.config.checklist.enabled) {
+      this.initializeChecklist();
+    }
+
+    // Remote manifest of walkthroughs and text agents
+    this.manifestLoader = null;
+    this.manifestReady = null; // Resolves once the first manifest fetch has finished
+    if (this.config.manifestUrl) {
+      this.manifestLoader = new ManifestLoader({
+        url: this.config.manifestUrl,
+        refreshInterval: this.config.manifestRefreshInterval,
+        debug: this.config.debug,
+        onManifest: manifest => this._applyManifest(manifest)
+      });
+    }
+
+    // Walkthrough recorder, created when recording starts
+    this.recorder = null;
+
+    // Walkthrough editor, created when a walkthrough is first edited
+    this.editor = null;
+    this.pendingEditId = null; // Walkthrough to edit once it is registered
+
     // Bind methods
     this.showPopup = this.showPopup.bind(this);
     this.registerTextAgent = this.registerTextAgent.bind(this);
@@ -158,6 +218,31 @@ class SableSmartLinks {
 
 
 
+  /**
+   * Initialize the onboarding checklist
+   * @private
+   */
+  initializeChecklist() {
+    const { menu } = this.config;
+
+    this.checklistManager = new ChecklistManager({
+      debug: this.config.debug,
+      ...this.config.checklist
+    }, {
+      onStart: item => {
+        if (item.walkthroughId) {
+          this.startWalkthrough(item.walkthroughId);
+        } else if (item.textAgentId) {
+          this.startTextAgent(item.textAgentId, { skipTrigger: true });
+        }
+      },
+      getWalkthroughStatus: walkthroughId => this.getWalkthroughStatus(walkthroughId),
+      // A menu trigger attached to an element of the page isn't in a corner
+      menuPosition: menu && menu.enabled && !menu.targetElement ? (menu.position || 'bottom-right') : null
+    });
+    this.checklistManager.init();
+  }
+
   /**
    * Initialize the library and check for walkthrough parameters
    */
@@ -171,44 +256,223 @@ class SableSmartLinks {
       this.textAgentEngine.init();
     }
 
+    // Register cached manifest definitions right away and fetch the latest in the background
+    if (this.manifestLoader && !this.manifestReady) {
+      this.manifestLoader.loadCached();
+      this.manifestReady = this.manifestLoader.refresh();
+      this.manifestLoader.startBackgroundRefresh();
+    }
+
     const params = parseUrlParameters();
     const walkthroughId = params[this.config.walkthrough.paramName];
 
-    if (walkthroughId) {
-      this.startWalkthrough(walkthroughId);
+    // Keep recording across reloads until the author stops, only where recording is enabled
+    if (this.config.recorder && (WalkthroughRecorder.hasSavedRecording() || params[RECORDER_PARAM] === '1')) {
+      this.startRecording({ resume: true });
+    }
+
+    if (this.config.editor && params[EDITOR_PARAM]) {
+      this.editWalkthrough(params[EDITOR_PARAM]);
+    }
+
+    // Resume a walkthrough interrupted by a reload or navigation, unless the
+    // URL asks for a different one
+    const savedState = this.walkthroughEngine._loadState();
+    if (savedState && (!walkthroughId || savedState.walkthroughId === walkthroughId)) {
+      this.restoreWalkthrough();
+      return;
+    }
+
+    if (walkthroughId && !this._startWalkthroughFromUrl(walkthroughId) && this.manifestReady) {
+      // The walkthrough may only be defined in a manifest that hasn't loaded yet
+      this.manifestReady.then(() => {
+        if (this.walkthroughEngine && !this.walkthroughEngine.isRunning) {
+          this._startWalkthroughFromUrl(walkthroughId);
+        }
+      });
+    }
+  }
+
+  /**
+   * Start the walkthrough named in the URL, unless its status rules it out
+   * (autoStartOnce, skipIfCompleted, skipIfDismissed). A step parameter deep-links to that step.
+   * @param {string} walkthroughId - ID of the walkthrough
+   * @returns {boolean} Whether the parameter was handled, i.e. the walkthrough started or was deliberately skipped
+   * @private
+   */
+  _startWalkthroughFromUrl(walkthroughId) {
+    const engine = this.walkthroughEngine;
+    const { paramName, stepParamName } = this.config.walkthrough;
+    const stepId = stepParamName ? parseUrlParameters()[stepParamName] : undefined;
+
+    if (!engine.autoStart(walkthroughId, { stepId }) && engine.canAutoStart(walkthroughId)) {
+      return false;
+    }
+
+    // Keep bookmarks and shared links of this page from carrying the parameters
+    if (this.config.walkthrough.removeUrlParam) {
+      removeUrlParameters(paramName, stepParamName);
+    }
+    return true;
+  }
+
+  /**
+   * Fetch the manifest now instead of waiting for the background refresh
+   * @returns {Promise<boolean>} Whether a new manifest was applied
+   */
+  refreshManifest() {
+    if (!this.manifestLoader) {
+      return Promise.resolve(false);
+    }
+    return this.manifestLoader.refresh();
+  }
+
+  /**
+   * Register the walkthroughs and text agents defined in a manifest
+   * @param {Object} manifest - Manifest with `walkthroughs` (id -> steps or `{ steps, onComplete }`) and `textAgents` (id -> agent config)
+   * @returns {boolean} Whether every definition was registered; the others are still registered
+   * @private
+   */
+  _applyManifest(manifest) {
+    let applied = true;
+
+    // One invalid definition doesn't keep the others from registering
+    const register = (kind, id, registerDefinition) => {
+      try {
+        registerDefinition();
+      } catch (error) {
+        applied = false;
+        console.warn(`[SableSmartLinks] Could not register ${kind} "${id}" from the manifest: ${error.message}`);
+      }
+    };
+
+    Object.entries(manifest.walkthroughs || {}).forEach(([id, walkthrough]) => {
+      const { steps, onComplete } = Array.isArray(walkthrough) ? { steps: walkthrough } : walkthrough;
+      // Swapping steps under a running walkthrough would shift its step indices
+      if (this.walkthroughEngine.isRunning && this.walkthroughEngine.currentWalkthrough === id) {
+        if (this.config.debug) {
+          console.log(`[SableSmartLinks] Walkthrough "${id}" is running, keeping its current definition`);
+        }
+        return;
+      }
+      register('walkthrough', id, () => this.registerWalkthrough(id, steps, { onComplete }));
+    });
+
+    Object.entries(manifest.textAgents || {}).forEach(([id, agent]) => {
+      const { steps, autoStart = false, autoStartOnce = true, requiredSelector, onEnd } = Array.isArray(agent) ? { steps: agent } : agent;
+      register('text agent', id, () => this.registerTextAgent(id, steps, autoStart, autoStartOnce, undefined, requiredSelector, onEnd));
+    });
+
+    return applied;
+  }
+
+  /**
+   * Start what a completed walkthrough or finished text agent chains to, in the same journey
+   * @param {Object} [next] - `onComplete` of the walkthrough or `onEnd` of the text agent
+   * @param {string} [next.startWalkthrough] - ID of the walkthrough to start
+   * @param {string} [next.startTextAgent] - ID of the text agent to start
+   * @param {string} [next.stepId] - Step to start at
+   * @param {number} [next.delay] - Milliseconds to wait before starting
+   * @param {string|null} journeyId - Journey of the walkthrough or text agent that ended
+   * @private
+   */
+  _continueJourney(next, journeyId) {
+    if (!next) return;
+
+    const start = () => {
+      this.journeyTimeout = null;
+
+      if (next.startWalkthrough) {
+        const started = this.startWalkthrough(next.startWalkthrough, { stepId: next.stepId, journeyId });
+        if (!started && this.config.debug) {
+          console.warn(`[SableSmartLinks] Could not continue the journey with walkthrough "${next.startWalkthrough}"`);
+        }
+      } else if (next.startTextAgent) {
+        this.startTextAgent(next.startTextAgent, { stepId: next.stepId, skipTrigger: true, journeyId });
+      } else if (this.config.debug) {
+        console.warn('[SableSmartLinks] onComplete/onEnd needs startWalkthrough or startTextAgent:', next);
+      }
+    };
+
+    if (this.journeyTimeout) {
+      clearTimeout(this.journeyTimeout);
+    }
+    if (next.delay > 0) {
+      this.journeyTimeout = setTimeout(start, next.delay);
+    } else {
+      start();
     }
   }
 
   /**
    * Restore walkthrough from saved state
+   * @returns {boolean} - Whether a saved walkthrough was found
    */
   restoreWalkthrough() {
-    this.walkthroughEngine._restoreWalkthrough();
+    return this.walkthroughEngine._restoreWalkthrough();
   }
 
   /**
    * Start a walkthrough by ID
    * @param {string} walkthroughId - ID of the walkthrough to start
+   * @param {Object} [options] - Start options
+   * @param {string} [options.stepId] - Step to start at; the actions of earlier steps marked
+   *   `replayOnDeepLink` run silently first
+   * @param {string} [options.journeyId] - Analytics journey to continue instead of starting a new one
    * @returns {boolean} - Success status
    */
-  startWalkthrough(walkthroughId) {
-    return this.walkthroughEngine.start(walkthroughId);
+  startWalkthrough(walkthroughId, options) {
+    return this.walkthroughEngine.start(walkthroughId, options);
   }
 
   /**
    * Register a new walkthrough
    * @param {string} id - Unique identifier for the walkthrough
    * @param {Array} steps - Array of step objects defining the walkthrough
+   * @param {Object} [options] - Walkthrough-level options
+   * @param {Object} [options.onComplete] - What to start when the walkthrough is completed:
+   *   `{ startWalkthrough | startTextAgent, stepId, delay }`
+   * @returns {{valid: boolean, errors: Array<Object>}} Validation result; in strict mode invalid steps throw instead
+   */
+  registerWalkthrough(id, steps, options) {
+    const validation = this.walkthroughEngine.register(id, steps, options);
+
+    if (this.pendingEditId === id && this.walkthroughEngine.walkthroughs[id]) {
+      this.editWalkthrough(id);
+    }
+    return validation;
+  }
+
+  /**
+   * Get what the user has done with a walkthrough so far
+   * @param {string} walkthroughId - ID of the walkthrough
+   * @returns {Object} Status record; `status` is 'completed', 'dismissed', 'started' or 'not_started'
+   */
+  getWalkthroughStatus(walkthroughId) {
+    return this.walkthroughEngine.getStatus(walkthroughId);
+  }
+
+  /**
+   * Forget a walkthrough's completion, dismissal and auto-start records
+   * @param {string} [walkthroughId] - ID of the walkthrough; all walkthroughs if omitted
    */
-  registerWalkthrough(id, steps) {
-    this.walkthroughEngine.register(id, steps);
+  resetWalkthroughStatus(walkthroughId) {
+    this.walkthroughEngine.resetStatus(walkthroughId);
   }
 
   /**
    * Go to the next step in the current walkthrough
+   * @param {string} [stepId] - Optional step ID to jump to instead of the step's `next` branch
    */
-  nextWalkthroughStep() {
-    this.walkthroughEngine.next();
+  nextWalkthroughStep(stepId) {
+    this.walkthroughEngine.next(stepId);
+  }
+
+  /**
+   * Go back to the previous step in the current walkthrough
+   */
+  previousWalkthroughStep() {
+    this.walkthroughEngine.previous();
   }
 
   /**
@@ -218,6 +482,111 @@ class SableSmartLinks {
     this.walkthroughEngine.end();
   }
 
+  /**
+   * Pause the current walkthrough, hiding its UI until it is resumed
+   */
+  pauseWalkthrough() {
+    this.walkthroughEngine.pause();
+  }
+
+  /**
+   * Resume a paused walkthrough at the same step
+   */
+  resumeWalkthrough() {
+    this.walkthroughEngine.resume();
+  }
+
+  /**
+   * Subscribe to a walkthrough lifecycle event
+   * @param {string} eventName - One of start, stepShown, stepError, next, previous, end, complete
+   * @param {Function} handler - Called with the event detail
+   * @returns {Function} Function that removes the subscription
+   */
+  on(eventName, handler) {
+    return this.walkthroughEngine.on(eventName, handler);
+  }
+
+  /**
+   * Unsubscribe from a walkthrough lifecycle event
+   * @param {string} eventName - Name of the event
+   * @param {Function} handler - The handler passed to on()
+   */
+  off(eventName, handler) {
+    this.walkthroughEngine.off(eventName, handler);
+  }
+
+  /**
+   * Start recording clicks and inputs on the page as walkthrough steps.
+   * A panel lists the captured steps, where tooltips can be written and the steps copied as JSON.
+   * @param {Object} [options] - Recording options
+   * @param {boolean} [options.performActions=false] - Record steps that perform each action instead of waiting for the user
+   * @param {boolean} [options.resume=false] - Continue a recording left running by a previous page
+   */
+  startRecording(options = {}) {
+    if (!this.recorder) {
+      this.recorder = new WalkthroughRecorder({ debug: this.config.debug });
+    }
+    this.recorder.start(options);
+  }
+
+  /**
+   * Stop recording
+   * @returns {Array<Object>} The recorded steps, ready for registerWalkthrough
+   */
+  stopRecording() {
+    return this.recorder ? this.recorder.stop() : [];
+  }
+
+  /**
+   * Get the steps recorded so far
+   * @returns {Array<Object>} The recorded steps, ready for registerWalkthrough
+   */
+  getRecordedSteps() {
+    return this.recorder ? this.recorder.getSteps() : [];
+  }
+
+  /**
+   * Open a registered walkthrough in the editor, which numbers its steps' elements on the page
+   * and previews, edits and reorders its steps. Saving registers the edited steps and POSTs them
+   * to `editorSaveUrl`, or downloads them as JSON.
+   * @param {string} walkthroughId - ID of the walkthrough
+   * @returns {boolean} Whether the walkthrough is registered; if not, it opens once it is
+   */
+  editWalkthrough(walkthroughId) {
+    const steps = this.walkthroughEngine.walkthroughs[walkthroughId];
+    if (!steps) {
+      this.pendingEditId = walkthroughId;
+      return false;
+    }
+    this.pendingEditId = null;
+
+    // The editor shows its own preview of the steps
+    if (this.walkthroughEngine.isRunning) {
+      this.walkthroughEngine.end('editing');
+    }
+
+    if (!this.editor) {
+      this.editor = new WalkthroughEditor({
+        saveUrl: this.config.editorSaveUrl,
+        onSave: (id, editedSteps) => this.registerWalkthrough(id, editedSteps, this.walkthroughEngine.walkthroughOptions[id]),
+        isWalkthroughRunning: () => this.walkthroughEngine.isRunning,
+        debug: this.config.debug
+      });
+    }
+    this.editor.open(walkthroughId, steps);
+    return true;
+  }
+
+  /**
+   * Close the walkthrough editor, discarding unsaved edits
+   */
+  closeEditor() {
+    this.pendingEditId = null;
+    if (this.editor) {
+      this.editor.close();
+    }
+  }
+
   /**
    * Shows a popup with the given options
    * @param {Object} options - Popup configuration options
@@ -315,9 +684,11 @@ class SableSmartLinks {
    * @param {boolean} [autoStartOnce=true] - Whether to only auto-start once
    * @param {Function} [beforeStart] - Optional async function to run before starting
    * @param {string} [requiredSelector] - Optional CSS selector that must be present for the agent to run
+   * @param {Object} [onEnd] - What to start when the user finishes the last step:
+   *   `{ startWalkthrough | startTextAgent, stepId, delay }`
    * @returns {SableSmartLinks} - This instance for chaining
    */
-  registerTextAgent(id, steps, autoStart = false, autoStartOnce = true, beforeStart, requiredSelector) {
+  registerTextAgent(id, steps, autoStart = false, autoStartOnce = true, beforeStart, requiredSelector, onEnd) {
     if (!this.textAgentEngine) {
       return this;
     }
@@ -325,7 +696,8 @@ class SableSmartLinks {
       autoStart,
       autoStartOnce,
       beforeStart,
-      requiredSelector
+      requiredSelector,
+      onEnd
     });
     return this;
   }
@@ -390,6 +762,7 @@ class SableSmartLinks {
    * @param {string} [options.stepId] - Optional step ID to start the agent from
    * @param {boolean} [options.skipTrigger=false] - Optional flag to skip trigger checks and show the popup immediately
    * @param {boolean} [options.useSessionStorage=false] - If true, use sessionStorage to trigger agent start
+   * @param {string} [options.journeyId] - Analytics journey to continue instead of starting a new one
    * @returns {SableSmartLinks} - This instance for chaining
    */
   startTextAgent(agentId, options = {
@@ -414,6 +787,7 @@ class SableSmartLinks {
       detail: {
         stepId: options.stepId || null,
         skipTrigger: options.skipTrigger || false,
+        journeyId: options.journeyId || null,
         agentId: agentId
       }
     });
@@ -426,6 +800,43 @@ class SableSmartLinks {
     return this;
   }
 
+  /**
+   * Mark an onboarding checklist item as done
+   * @param {string} itemId - ID of the item
+   * @returns {boolean} Whether the item was newly completed
+   */
+  completeChecklistItem(itemId) {
+    return this.checklistManager ? this.checklistManager.complete(itemId) : false;
+  }
+
+  /**
+   * Get the current user's onboarding checklist progress
+   * @returns {Object|null} Completed and total item counts, and each item's completion; null without a checklist
+   */
+  getChecklistProgress() {
+    return this.checklistManager ? this.checklistManager.getProgress() : null;
+  }
+
+  /**
+   * Forget the current user's completion of onboarding checklist items
+   * @param {string} [itemId] - ID of the item; all items if omitted
+   */
+  resetChecklist(itemId) {
+    if (this.checklistManager) {
+      this.checklistManager.reset(itemId);
+    }
+  }
+
+  /**
+   * Show another user's onboarding checklist progress, e.g. after the user logs in
+   * @param {string|null} userId - ID of the user in the host app
+   */
+  setChecklistUser(userId) {
+    if (this.checklistManager) {
+      this.checklistManager.setUser(userId);
+    }
+  }
+
   /**
    * Closes all active popups managed by the text agent engine.
    * Optionally, you can provide an array of popup IDs to keep open.
@@ -484,9 +895,27 @@ class SableSmartLinks {
    * Cleanup and destroy the instance
    */
   destroy() {
+    if (this.journeyTimeout) {
+      clearTimeout(this.journeyTimeout);
+      this.journeyTimeout = null;
+    }
 
+    // Stop refreshing the manifest
+    if (this.manifestLoader) {
+      this.manifestLoader.stopBackgroundRefresh();
+      this.manifestLoader = null;
+    }
 
+    // Remove the recorder's panel; an unfinished recording resumes on the next page
+    if (this.recorder) {
+      this.recorder.destroy();
+      this.recorder = null;
+    }
 
+    if (this.editor) {
+      this.editor.close();
+      this.editor = null;
+    }
 
     // Clean up menu manager
     if (this.menuManager) {
@@ -494,6 +923,11 @@ class SableSmartLinks {
       this.menuManager = null;
     }
 
+    if (this.checklistManager) {
+      this.checklistManager.destroy();
+      this.checklistManager = null;
+    }
+
     // Clean up engines
     if (this.textAgentEngine) {
       this.textAgentEngine.destroy();
@@ -501,7 +935,7 @@ class SableSmartLinks {
     }
 
     if (this.walkthroughEngine) {
-      this.walkthroughEngine.end();
+      this.walkthroughEngine.end('destroyed');
       this.walkthroughEngine = null;
     }
 
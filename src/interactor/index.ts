@@ -11,21 +11,23 @@ export interface ScrollIntoViewOptions {
 
 export class ElementInteractor {
   /**
-   * Sets the value of an input or textarea element and triggers appropriate events
-   * @param element - The input or textarea element to set value for
+   * Sets the value of an input, textarea or select element and triggers appropriate events
+   * @param element - The input, textarea or select element to set value for
    * @param value - The value to set
    */
-  static setInputValue(element: HTMLInputElement | HTMLTextAreaElement, value: string): void {
+  static setInputValue(element: HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement, value: string): void {
     // Focus the element first
     element.focus();
 
-    // Use React's native setter for more reliable state updates
-    const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
-      element instanceof HTMLTextAreaElement ?
-        window.HTMLTextAreaElement.prototype :
-        window.HTMLInputElement.prototype,
-      'value'
-    )?.set;
+    // Use React's native setter for more reliable state updates. Elements inside
+    // iframes have their own window, so take the setter from the element's window
+    const view = (element.ownerDocument?.defaultView || window) as typeof window;
+    const prototype = element.tagName === 'TEXTAREA' ?
+      view.HTMLTextAreaElement.prototype :
+      element.tagName === 'SELECT' ?
+        view.HTMLSelectElement.prototype :
+        view.HTMLInputElement.prototype;
+    const nativeInputValueSetter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
 
     if (nativeInputValueSetter) {
       // Set value using React's native setter
@@ -44,6 +46,166 @@ export class ElementInteractor {
     }
   }
 
+  /**
+   * Selects an option of a select element by value, falling back to the option's text
+   * @param element - The select element
+   * @param value - Value or visible text of the option to select
+   * @returns True if a matching option was found
+   */
+  static selectOption(element: HTMLSelectElement, value: string): boolean {
+    const option = Array.from(element.options).find(o => o.value === value) ||
+      Array.from(element.options).find(o => o.text.trim() === value.trim());
+    if (!option) {
+      return false;
+    }
+
+    this.setInputValue(element, option.value);
+    return true;
+  }
+
+  /**
+   * Checks or unchecks a checkbox or radio button the way a user would, by clicking it,
+   * so frameworks that listen for clicks (like React) see the change
+   * @param element - The checkbox or radio input
+   * @param checked - Whether the element should end up checked
+   */
+  static setChecked(element: HTMLInputElement, checked: boolean): void {
+    if (element.checked !== checked) {
+      element.click();
+    }
+  }
+
+  /**
+   * Presses a key or key combination on an element, e.g. 'Enter', 'Control+K' or 'Meta+Shift+P'.
+   * Modifiers are Control (Ctrl), Shift, Alt (Option) and Meta (Cmd).
+   * @param element - The element receiving the key events
+   * @param combo - Key or key combination
+   */
+  static pressKey(element: Element, combo: string): void {
+    const parts = combo.split('+').map(part => part.trim()).filter(Boolean);
+    const key = parts.pop() || '';
+    const modifiers = parts.map(part => part.toLowerCase());
+
+    let code = key;
+    if (/^[a-z]$/i.test(key)) {
+      code = `Key${key.toUpperCase()}`;
+    } else if (/^\d$/.test(key)) {
+      code = `Digit${key}`;
+    }
+
+    const init: KeyboardEventInit = {
+      key,
+      code,
+      ctrlKey: modifiers.includes('control') || modifiers.includes('ctrl'),
+      shiftKey: modifiers.includes('shift'),
+      altKey: modifiers.includes('alt') || modifiers.includes('option'),
+      metaKey: modifiers.includes('meta') || modifiers.includes('cmd') || modifiers.includes('command'),
+      bubbles: true,
+      cancelable: true
+    };
+
+    const notCanceled = element.dispatchEvent(new KeyboardEvent('keydown', init));
+    if (notCanceled && key.length === 1 && !init.ctrlKey && !init.metaKey && !init.altKey) {
+      element.dispatchEvent(new KeyboardEvent('keypress', init));
+    }
+    element.dispatchEvent(new KeyboardEvent('keyup', init));
+
+    // Synthetic Enter doesn't submit forms, so do what the browser would
+    if (notCanceled && key === 'Enter' && element.tagName === 'INPUT' && (element as HTMLInputElement).form) {
+      this.submitForm((element as HTMLInputElement).form as HTMLFormElement);
+    }
+  }
+
+  /**
+   * Submits a form (or the form an element belongs to), running validation and submit handlers
+   * @param element - A form, or an element inside one
+   * @returns True if a form was found
+   */
+  static submitForm(element: Element): boolean {
+    const form = element.tagName === 'FORM' ?
+      element as HTMLFormElement :
+      (element as HTMLInputElement).form || element.closest('form');
+    if (!form) {
+      return false;
+    }
+
+    if (typeof form.requestSubmit === 'function') {
+      form.requestSubmit();
+    } else if (form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }))) {
+      form.submit();
+    }
+    return true;
+  }
+
+  /**
+   * Drags an element onto a target element, or by an offset. Fires pointer and mouse events
+   * along the way for libraries that track the pointer, and HTML5 drag and drop events for
+   * draggable elements.
+   * @param element - The element to drag
+   * @param target - Element to drop onto, or an offset in pixels from the element's center
+   * @param options - Number of intermediate moves, the delay between them (ms) and how to wait
+   *   for that delay (setTimeout by default)
+   */
+  static async dragElement(
+    element: Element,
+    target: Element | { x: number; y: number },
+    options: { steps?: number; stepDelay?: number; wait?: (delay: number) => Promise<void> } = {}
+  ): Promise<void> {
+    const {
+      steps = 10,
+      stepDelay = 16,
+      wait = (delay: number) => new Promise<void>(resolve => setTimeout(resolve, delay))
+    } = options;
+    const sourceRect = element.getBoundingClientRect();
+    const start = { x: sourceRect.left + sourceRect.width / 2, y: sourceRect.top + sourceRect.height / 2 };
+
+    // Check nodeType rather than instanceof Element, which fails for elements inside iframes
+    const targetElement = (target as Element).nodeType === Node.ELEMENT_NODE ? target as Element : null;
+    let end: { x: number; y: number };
+    if (targetElement) {
+      const targetRect = targetElement.getBoundingClientRect();
+      end = { x: targetRect.left + targetRect.width / 2, y: targetRect.top + targetRect.height / 2 };
+    } else {
+      const offset = target as { x: number; y: number };
+      end = { x: start.x + offset.x, y: start.y + offset.y };
+    }
+
+    const dropTarget = () => targetElement || element.ownerDocument.elementFromPoint?.(end.x, end.y) || element;
+    const pointer = (type: string, node: Element, point: { x: number; y: number }) => {
+      const init = { clientX: point.x, clientY: point.y, bubbles: true, cancelable: true, buttons: type.endsWith('up') ? 0 : 1 };
+      if (typeof PointerEvent === 'function') {
+        node.dispatchEvent(new PointerEvent(type.replace('mouse', 'pointer'), { ...init, pointerId: 1, isPrimary: true }));
+      }
+      node.dispatchEvent(new MouseEvent(type, init));
+    };
+
+    pointer('mousedown', element, start);
+
+    for (let i = 1; i <= steps; i++) {
+      const point = {
+        x: start.x + ((end.x - start.x) * i) / steps,
+        y: start.y + ((end.y - start.y) * i) / steps
+      };
+      pointer('mousemove', i === steps ? dropTarget() : element, point);
+      await wait(stepDelay);
+    }
+
+    pointer('mouseup', dropTarget(), end);
+
+    // HTML5 drag and drop
+    if ((element as HTMLElement).draggable && typeof DragEvent === 'function') {
+      const dataTransfer = typeof DataTransfer === 'function' ? new DataTransfer() : null;
+      const drag = (type: string, node: Element, point: { x: number; y: number }) => {
+        node.dispatchEvent(new DragEvent(type, { clientX: point.x, clientY: point.y, bubbles: true, cancelable: true, dataTransfer }));
+      };
+      drag('dragstart', element, start);
+      drag('dragenter', dropTarget(), end);
+      drag('dragover', dropTarget(), end);
+      drag('drop', dropTarget(), end);
+      drag('dragend', element, end);
+    }
+  }
+
   /**
    * Clicks an element with optional delay
    * @param element - The element to click
@@ -54,8 +216,8 @@ export class ElementInteractor {
       await new Promise(resolve => setTimeout(resolve, delay));
     }
 
-    if (element instanceof HTMLElement) {
-      element.click();
+    if (typeof (element as HTMLElement).click === 'function') {
+      (element as HTMLElement).click();
     } else {
       // For non-HTML elements, dispatch a click event
       element.dispatchEvent(new MouseEvent('click', { bubbles: true }));
@@ -342,6 +504,11 @@ export class ElementInteractor {
 
 // Export individual functions for convenience
 export const setInputValue = ElementInteractor.setInputValue.bind(ElementInteractor);
+export const selectOption = ElementInteractor.selectOption.bind(ElementInteractor);
+export const setChecked = ElementInteractor.setChecked.bind(ElementInteractor);
+export const pressKey = ElementInteractor.pressKey.bind(ElementInteractor);
+export const submitForm = ElementInteractor.submitForm.bind(ElementInteractor);
+export const dragElement = ElementInteractor.dragElement.bind(ElementInteractor);
 export const clickElement = ElementInteractor.clickElement.bind(ElementInteractor);
 export const scrollIntoView = ElementInteractor.scrollIntoView.bind(ElementInteractor);
 export const waitForElement = ElementInteractor.waitForElement.bind(ElementInteractor);
@@ -1,19 +1,41 @@
 import React, { useEffect, useRef, createContext, useContext, useState } from 'react';
-import { SableSmartLinks, SableSmartLinksConfig, WalkthroughStep, TextAgentStep } from '../index';
+import { SableSmartLinks, SableSmartLinksConfig, WalkthroughStep, TextAgentStep, WalkthroughEventName, WalkthroughEventHandler, WalkthroughValidationResult, WalkthroughStatus, WalkthroughRecordingOptions, WalkthroughStartOptions, WalkthroughOptions, WalkthroughDefinition, JourneyContinuation, ChecklistProgress } from '../index';
 import { isBrowser } from '../utils/browserAPI';
 import globalPopupManager from '../ui/GlobalPopupManager.js';
 import { startAgent } from '../interactor';
 
 interface SableSmartLinksContextType {
   // Walkthrough methods
-  registerWalkthrough: (id: string, steps: WalkthroughStep[]) => void;
+  registerWalkthrough: (id: string, steps: WalkthroughStep[], options?: WalkthroughOptions) => WalkthroughValidationResult | undefined;
   restoreWalkthrough: () => void;
-  startWalkthrough: (walkthroughId: string) => boolean;
-  nextWalkthroughStep: () => void;
+  startWalkthrough: (walkthroughId: string, options?: WalkthroughStartOptions) => boolean;
+  nextWalkthroughStep: (stepId?: string) => void;
+  previousWalkthroughStep: () => void;
   endWalkthrough: () => void;
+  pauseWalkthrough: () => void;
+  resumeWalkthrough: () => void;
+  getWalkthroughStatus: (walkthroughId: string) => WalkthroughStatus | undefined;
+  resetWalkthroughStatus: (walkthroughId?: string) => void;
+  on: (eventName: WalkthroughEventName, handler: WalkthroughEventHandler) => () => void;
+  off: (eventName: WalkthroughEventName, handler: WalkthroughEventHandler) => void;
+
+  // Walkthrough recorder methods
+  startRecording: (options?: WalkthroughRecordingOptions) => void;
+  stopRecording: () => WalkthroughStep[];
+  getRecordedSteps: () => WalkthroughStep[];
+
+  // Walkthrough editor methods
+  editWalkthrough: (walkthroughId: string) => boolean;
+  closeEditor: () => void;
+
+  // Onboarding checklist methods
+  completeChecklistItem: (itemId: string) => boolean;
+  getChecklistProgress: () => ChecklistProgress | null;
+  resetChecklist: (itemId?: string) => void;
+  setChecklistUser: (userId: string | null) => void;
   
   // Text Agent methods
-  registerTextAgent: (id: string, steps: TextAgentStep[], autoStart?: boolean, autoStartOnce?: boolean, beforeStart?: () => void | Promise<void>, requiredSelector?: string) => SableSmartLinksContextType;
+  registerTextAgent: (id: string, steps: TextAgentStep[], autoStart?: boolean, autoStartOnce?: boolean, beforeStart?: () => void | Promise<void>, requiredSelector?: string, onEnd?: JourneyContinuation) => SableSmartLinksContextType;
   startTextAgent: (agentId?: string, stepId?: string | null, skipTrigger?: boolean) => Promise<boolean>;
   nextTextAgentStep: () => SableSmartLinksContextType;
   previousTextAgentStep: () => SableSmartLinksContextType;
@@ -44,6 +66,10 @@ interface SableSmartLinksContextType {
 
 const SableSmartLinksContext = createContext<SableSmartLinksContextType | null>(null);
 
+// Walkthroughs can be given as steps or as steps with walkthrough-level options
+const toWalkthroughDefinition = (walkthrough: WalkthroughStep[] | WalkthroughDefinition): WalkthroughDefinition =>
+  Array.isArray(walkthrough) ? { steps: walkthrough } : walkthrough;
+
 export interface TextAgentAgentConfig {
   steps: TextAgentStep[];
   autoStart?: boolean;
@@ -55,13 +81,14 @@ export interface TextAgentAgentConfig {
     clearStepData: () => void;
   }) => void | Promise<void>;
   requiredSelector?: string;
+  onEnd?: JourneyContinuation;
 }
 
 export interface SableSmartLinksProviderProps {
   config?: SableSmartLinksConfig;
   children: React.ReactNode;
   autoInit?: boolean;
-  walkthroughs?: Record<string, WalkthroughStep[]>;
+  walkthroughs?: Record<string, WalkthroughStep[] | WalkthroughDefinition>;
   textAgents?: Record<string, TextAgentAgentConfig>;
 
   menu?: {
@@ -284,8 +311,9 @@ export const SableSmartLinksProvider: React.FC<SableSmartLinksProviderProps> = (
       sableInstance.current = new SableSmartLinks(mergedConfig);
       isMounted.current = true;
       // Register walkthroughs on mount
-      Object.entries(walkthroughs).forEach(([id, steps]) => {
-        sableInstance.current?.registerWalkthrough(id, steps);
+      Object.entries(walkthroughs).forEach(([id, walkthrough]) => {
+        const { steps, onComplete } = toWalkthroughDefinition(walkthrough);
+        sableInstance.current?.registerWalkthrough(id, steps, { onComplete });
       });
     }
     return () => {
@@ -321,7 +349,7 @@ export const SableSmartLinksProvider: React.FC<SableSmartLinksProviderProps> = (
   useEffect(() => {
     if (!isBrowser || !sableInstance.current) return;
     Object.entries(textAgents).forEach(([id, agentConfig]) => {
-      const { steps, autoStart, autoStartOnce, beforeStart, requiredSelector } = agentConfig;
+      const { steps, autoStart, autoStartOnce, beforeStart, requiredSelector, onEnd } = agentConfig;
       const processedSteps = processTextAgentSteps(id, steps);
       
       // Process beforeStart to provide step data access
@@ -335,10 +363,10 @@ export const SableSmartLinksProvider: React.FC<SableSmartLinksProviderProps> = (
       }
       
       // Hash both steps and config
-      const stepHash = hashSteps([processedSteps, autoStart, autoStartOnce, processedBeforeStart?.toString?.(), requiredSelector]);
+      const stepHash = hashSteps([processedSteps, autoStart, autoStartOnce, processedBeforeStart?.toString?.(), requiredSelector, onEnd]);
       if (registeredTextAgents.current[id] !== stepHash) {
         if (sableInstance.current) {
-          sableInstance.current.registerTextAgent(id, processedSteps, autoStart, autoStartOnce, processedBeforeStart, requiredSelector);
+          sableInstance.current.registerTextAgent(id, processedSteps, autoStart, autoStartOnce, processedBeforeStart, requiredSelector, onEnd);
         }
         registeredTextAgents.current[id] = stepHash;
       }
@@ -349,10 +377,11 @@ export const SableSmartLinksProvider: React.FC<SableSmartLinksProviderProps> = (
   useEffect(() => {
     if (!isBrowser || !sableInstance.current) return;
     let didRegister = false;
-    Object.entries(walkthroughs).forEach(([id, steps]) => {
-      const stepHash = hashSteps(steps);
+    Object.entries(walkthroughs).forEach(([id, walkthrough]) => {
+      const { steps, onComplete } = toWalkthroughDefinition(walkthrough);
+      const stepHash = hashSteps([steps, onComplete]);
       if (registeredWalkthroughs.current[id] !== stepHash) {
-        sableInstance.current?.registerWalkthrough(id, steps);
+        sableInstance.current?.registerWalkthrough(id, steps, { onComplete });
         registeredWalkthroughs.current[id] = stepHash;
         didRegister = true;
       }
@@ -364,10 +393,10 @@ export const SableSmartLinksProvider: React.FC<SableSmartLinksProviderProps> = (
         const urlParams = new URLSearchParams(window.location.search);
         const walkthroughId = urlParams.get(paramName);
         if (walkthroughId && sableInstance.current) {
-          // Only start if not already running
+          // Only start if not already running; autoStartOnce and skipIf* records still apply
           const engine = (sableInstance.current as any).walkthroughEngine;
           if (engine && (!engine.isRunning || engine.currentWalkthrough !== walkthroughId)) {
-            sableInstance.current.startWalkthrough(walkthroughId);
+            (sableInstance.current as any)._startWalkthroughFromUrl(walkthroughId);
           }
         }
       } catch (e) {
@@ -412,25 +441,31 @@ export const SableSmartLinksProvider: React.FC<SableSmartLinksProviderProps> = (
 
   const contextValue = {
     // Walkthrough methods
-    registerWalkthrough: (id: string, steps: WalkthroughStep[]) => {
+    registerWalkthrough: (id: string, steps: WalkthroughStep[], options?: WalkthroughOptions) => {
       if (sableInstance.current) {
-        sableInstance.current.registerWalkthrough(id, steps);
+        return sableInstance.current.registerWalkthrough(id, steps, options);
       }
+      return undefined;
     },
     restoreWalkthrough: () => {
       if (sableInstance.current) {
         sableInstance.current.restoreWalkthrough();
       }
     },
-    startWalkthrough: (walkthroughId: string) => {
+    startWalkthrough: (walkthroughId: string, options?: WalkthroughStartOptions) => {
       if (sableInstance.current) {
-        return sableInstance.current.startWalkthrough(walkthroughId);
+        return sableInstance.current.startWalkthrough(walkthroughId, options);
       }
       return false;
     },
-    nextWalkthroughStep: () => {
+    nextWalkthroughStep: (stepId?: string) => {
       if (sableInstance.current) {
-        sableInstance.current.nextWalkthroughStep();
+        sableInstance.current.nextWalkthroughStep(stepId);
+      }
+    },
+    previousWalkthroughStep: () => {
+      if (sableInstance.current) {
+        sableInstance.current.previousWalkthroughStep();
       }
     },
     endWalkthrough: () => {
@@ -438,12 +473,112 @@ export const SableSmartLinksProvider: React.FC<SableSmartLinksProviderProps> = (
         sableInstance.current.endWalkthrough();
       }
     },
+
+    pauseWalkthrough: () => {
+      if (sableInstance.current) {
+        sableInstance.current.pauseWalkthrough();
+      }
+    },
+
+    resumeWalkthrough: () => {
+      if (sableInstance.current) {
+        sableInstance.current.resumeWalkthrough();
+      }
+    },
+
+    getWalkthroughStatus: (walkthroughId: string) => {
+      if (sableInstance.current) {
+        return sableInstance.current.getWalkthroughStatus(walkthroughId);
+      }
+      return undefined;
+    },
+
+    resetWalkthroughStatus: (walkthroughId?: string) => {
+      if (sableInstance.current) {
+        sableInstance.current.resetWalkthroughStatus(walkthroughId);
+      }
+    },
+
+    on: (eventName: WalkthroughEventName, handler: WalkthroughEventHandler) => {
+      if (sableInstance.current) {
+        return sableInstance.current.on(eventName, handler);
+      }
+      return () => {};
+    },
+
+    off: (eventName: WalkthroughEventName, handler: WalkthroughEventHandler) => {
+      if (sableInstance.current) {
+        sableInstance.current.off(eventName, handler);
+      }
+    },
+
+    // Walkthrough recorder methods
+    startRecording: (options?: WalkthroughRecordingOptions) => {
+      if (sableInstance.current) {
+        sableInstance.current.startRecording(options);
+      }
+    },
+
+    stopRecording: () => {
+      if (sableInstance.current) {
+        return sableInstance.current.stopRecording();
+      }
+      return [];
+    },
+
+    getRecordedSteps: () => {
+      if (sableInstance.current) {
+        return sableInstance.current.getRecordedSteps();
+      }
+      return [];
+    },
+
+    // Walkthrough editor methods
+    editWalkthrough: (walkthroughId: string) => {
+      if (sableInstance.current) {
+        return sableInstance.current.editWalkthrough(walkthroughId);
+      }
+      return false;
+    },
+
+    closeEditor: () => {
+      if (sableInstance.current) {
+        sableInstance.current.closeEditor();
+      }
+    },
+
+    // Onboarding checklist methods
+    completeChecklistItem: (itemId: string) => {
+      if (sableInstance.current) {
+        return sableInstance.current.completeChecklistItem(itemId);
+      }
+      return false;
+    },
+
+    getChecklistProgress: () => {
+      if (sableInstance.current) {
+        return sableInstance.current.getChecklistProgress();
+      }
+      return null;
+    },
+
+    resetChecklist: (itemId?: string) => {
+      if (sableInstance.current) {
+        sableInstance.current.resetChecklist(itemId);
+      }
+    },
+
+    setChecklistUser: (userId: string | null) => {
+      if (sableInstance.current) {
+        sableInstance.current.setChecklistUser(userId);
+      }
+    },
     
     // Text Agent methods
-    registerTextAgent: (id: string, steps: TextAgentStep[], autoStart?: boolean, autoStartOnce?: boolean, beforeStart?: () => void | Promise<void>, requiredSelector?: string) => {
+    registerTextAgent: (id: string, steps: TextAgentStep[], autoStart?: boolean, autoStartOnce?: boolean, beforeStart?: () => void | Promise<void>, requiredSelector?: string, onEnd?: JourneyContinuation) => {
       if (sableInstance.current) {
         const processedSteps = processTextAgentSteps(id, steps);
-        sableInstance.current.registerTextAgent(id, processedSteps, autoStart, autoStartOnce, beforeStart, requiredSelector);
+        sableInstance.current.registerTextAgent(id, processedSteps, autoStart, autoStartOnce, beforeStart, requiredSelector, onEnd);
       }
       return contextValue;
     },
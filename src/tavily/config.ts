@@ -4,16 +4,10 @@ import Interactor from '../interactor';
 import { pickTab, beforeCrawlTuning, runCrawlTuning } from './crawl';
 import { beforeSearchTuning, runSearchTuning } from './search';
 
-// Helper function to determine target element position based on screen width
-function getTargetElementPosition(): 'right' | 'bottom' {
-  // Check if we're in a browser environment
-  if (typeof window !== 'undefined') {
-    // Mobile breakpoint - typically 768px or less
-    return window.innerWidth <= 768 ? 'bottom' : 'right';
-  }
-  // Default to 'right' for server-side rendering
-  return 'right';
-}
+// Popups sit to the right of their target, and below it on mobile screens
+const mobilePosition = {
+  '<=768': { targetElement: { position: 'bottom' as const } }
+};
 
 export const sableConfig = {
   config: {
@@ -108,8 +102,9 @@ export const sableConfig = {
             selector: '#query',
             waitForElement: true,
             waitTimeout: 3000,
-            position: getTargetElementPosition(),
+            position: 'right' as const,
           },
+          responsive: mobilePosition,
           onYesNo: searchOnYesNo,
         },
         {
@@ -122,8 +117,9 @@ export const sableConfig = {
             selector: '#query',
             waitForElement: true,
             waitTimeout: 3000,
-            position: getTargetElementPosition(),
+            position: 'right' as const,
           },
+          responsive: mobilePosition,
           onProceed: (_: any, dataUtils: any) => searchOnYesNo(true, dataUtils),
         },
         {
@@ -140,8 +136,9 @@ export const sableConfig = {
             selector: '#query',
             waitForElement: true,
             waitTimeout: 3000,
-            position: getTargetElementPosition(),
+            position: 'right' as const,
           },
+          responsive: mobilePosition,
         },
         {
           id: 'explanation',
@@ -193,8 +190,9 @@ export const sableConfig = {
             selector: '#query',
             waitForElement: true,
             waitTimeout: 3000,
-            position: getTargetElementPosition(),
+            position: 'right' as const,
           },
+          responsive: mobilePosition,
         },
       ]
     },
@@ -264,8 +262,9 @@ export const sableConfig = {
             selector: '#instructions',
             waitForElement: true,
             waitTimeout: 3000,
-            position: getTargetElementPosition(),
+            position: 'right' as const,
           },
+          responsive: mobilePosition,
           onYesNo: crawlOnYesNo,
         },
         {
@@ -279,8 +278,9 @@ export const sableConfig = {
             selector: '#instructions',
             waitForElement: true,
             waitTimeout: 3000,
-            position: getTargetElementPosition(),
+            position: 'right' as const,
           },
+          responsive: mobilePosition,
           onProceed: (_: any, dataUtils: any) => crawlOnYesNo(true, dataUtils),
         },
         {
@@ -298,8 +298,9 @@ export const sableConfig = {
             selector: '#instructions',
             waitForElement: true,
             waitTimeout: 3000,
-            position: getTargetElementPosition(),
+            position: 'right' as const,
           },
+          responsive: mobilePosition,
         },
         {
           id: 'explanation',
@@ -352,8 +353,9 @@ export const sableConfig = {
             selector: '#instructions',
             waitForElement: true,
             waitTimeout: 3000,
-            position: getTargetElementPosition(),
+            position: 'right' as const,
           },
+          responsive: mobilePosition,
         },
       ]
     },
@@ -525,59 +527,33 @@ export const sableConfig = {
     'create-team': [
       {
         stepId: "teams-tab",
-        selector: '.css-grjyxi',
+        target: [{ css: '.css-grjyxi' }, { role: 'tab', name: 'Teams' }, { text: 'Teams' }],
         spotlight: {
           offsetX: 5,
           offsetY: 6,
         },
         tooltip: {
           title: 'Teams',
-          content: 'This tab allows you to create and manage teams.',
+          content: 'This tab allows you to create and manage teams. Click it to continue.',
           offsetX: 15,
           offsetY: 15,
         },
-      },
-      {
-        stepId: "click-teams",
-        selector: '.css-grjyxi',
-        highlight: {
-          offsetX: 5,
-          offsetY: 5,
-        },
-        action: {
-          type: 'click',
-          delay: 100
-        },
-        autoAdvance: true,
-        autoAdvanceDelay: 100
+        advanceOn: 'click',
       },
       {
         stepId: "create-team-button",
-        selector: '.css-nhhgdw',
+        target: [{ css: '.css-nhhgdw' }, { role: 'button', name: 'Create Team' }],
         spotlight: {
           offsetX: 5,
           offsetY: 10,
         },
         tooltip: {
           title: 'Create Team',
-          content: 'Let\'s create a team!',
+          content: 'Let\'s create a team! Click the button to get started.',
           offsetX: 15,
           offsetY: 15,
         },
-      },
-      {
-        stepId: "click-create",
-        selector: '.css-nhhgdw',
-        highlight: {
-          offsetX: 15,
-          offsetY: 20,
-        },
-        action: {
-          type: 'click',
-          delay: 100
-        },
-        autoAdvance: true,
-        autoAdvanceDelay: 100
+        advanceOn: 'click',
       },
       {
         stepId: "team-name",
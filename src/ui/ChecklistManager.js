@@ -0,0 +1,459 @@
+// ChecklistManager.js
+import globalPopupManager from './GlobalPopupManager.js';
+import { isBrowser, safeDocument, safeWindow } from '../utils/browserAPI.js';
+import { MenuTrigger } from './components/MenuTrigger.js';
+import { ChecklistPanel } from './components/ChecklistPanel.js';
+import { ProgressRing } from './components/ProgressRing.js';
+
+// localStorage key of completed items, by user and then by item ID
+const CHECKLIST_STATE_KEY = 'sable_checklist_state';
+
+// Users who aren't identified share one record
+const ANONYMOUS_USER = 'anonymous';
+
+// Window event host apps dispatch to mark an item as done
+const COMPLETE_EVENT = 'sable:checklistComplete';
+
+// Space between the checklist trigger and a menu trigger in the same corner
+const TRIGGER_SPACING = 70;
+
+/**
+ * Onboarding Checklist Manager
+ * Creates a trigger button with a progress ring that opens a checklist of
+ * walkthroughs and text agents, and records which items the user has done
+ */
+export class ChecklistManager {
+  /**
+   * @param {Object} config - Checklist configuration
+   * @param {Object} handlers - Callbacks
+   * @param {Function} handlers.onStart - Called with an item whose start button was pressed
+   * @param {Function} [handlers.getWalkthroughStatus] - Returns a walkthrough's status record, so
+   *   walkthroughs completed before the checklist existed are checked off
+   * @param {string|null} [handlers.menuPosition] - Corner of a fixed menu trigger to sit next to
+   */
+  constructor(config, handlers) {
+    this.config = {
+      enabled: false,
+      text: 'Get started', // Text of the trigger button
+      title: 'Get started', // Heading of the checklist
+      startButtonText: 'Start',
+      position: 'bottom-right', // 'bottom-right', 'bottom-left', 'top-right', 'top-left'
+      items: [], // [{ id, title, description, walkthroughId, textAgentId, completeOn }]
+      userId: null, // ID of the host app's user, so each user has their own progress
+      debug: false,
+      ...config
+    };
+    this.handlers = handlers;
+
+    this.triggerButtonElement = null;
+    this.progressRing = null;
+    this.panel = null;
+    this.isInitialized = false;
+    this.popupStateListener = null;
+    this.eventCleanups = [];
+  }
+
+  /**
+   * Create the trigger button and start listening for completions
+   */
+  init() {
+    if (!isBrowser || this.isInitialized) {
+      return;
+    }
+    this.isInitialized = true;
+
+    this._syncWalkthroughCompletions();
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this._createTriggerButton());
+    } else {
+      this._createTriggerButton();
+    }
+
+    this._listenForCompletions();
+
+    // Only one of the checklist and the popups is open at a time
+    this.popupStateListener = (state) => {
+      if (state.hasActivePopup) {
+        this.close();
+      }
+      this._updateTriggerVisibility(state.hasActivePopup);
+    };
+    globalPopupManager.addListener(this.popupStateListener);
+  }
+
+  /**
+   * Get the fixed position styles of the trigger, or of the panel next to it
+   * @param {boolean} forPanel - Whether the position is for the panel
+   * @returns {Object} Position styles
+   * @private
+   */
+  _getPositionStyles(forPanel) {
+    const position = this.config.position || 'bottom-right';
+    const [vertical, horizontal] = position.split('-');
+
+    // Sit next to a menu trigger in the same corner instead of on top of it
+    let offset = 20;
+    if (this.handlers.menuPosition === position) {
+      offset += TRIGGER_SPACING;
+    }
+    if (forPanel) {
+      offset += TRIGGER_SPACING;
+    }
+
+    return {
+      [vertical === 'top' ? 'top' : 'bottom']: `${offset}px`,
+      [horizontal === 'left' ? 'left' : 'right']: '20px'
+    };
+  }
+
+  /**
+   * Create and position the trigger button
+   * @private
+   */
+  _createTriggerButton() {
+    if (this.triggerButtonElement || !safeDocument?.body) {
+      return;
+    }
+
+    this.progressRing = new ProgressRing();
+
+    // Styled like the menu trigger, with the progress ring as its icon
+    const trigger = new MenuTrigger({
+      text: this.config.text,
+      onClick: () => this.toggle(),
+      primaryColor: '#FFFFFF',
+      className: 'sable-checklist-trigger',
+      icon: this.progressRing.element
+    });
+
+    const button = trigger.render();
+    button.setAttribute('role', 'button');
+    button.setAttribute('tabindex', '0');
+    button.setAttribute('aria-expanded', 'false');
+    button.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        this.toggle();
+      }
+    });
+
+    Object.assign(button.style, {
+      position: 'fixed',
+      zIndex: '9999',
+      margin: '0'
+    }, this._getPositionStyles(false));
+
+    this.triggerButtonElement = button;
+    safeDocument.body.appendChild(button);
+
+    this._updateProgress();
+    this._updateTriggerVisibility(globalPopupManager.hasActivePopup());
+  }
+
+  /**
+   * Hide the trigger while a popup is open, like the menu trigger
+   * @param {boolean} hasActivePopup - Whether there's an active popup
+   * @private
+   */
+  _updateTriggerVisibility(hasActivePopup) {
+    if (this.triggerButtonElement) {
+      this.triggerButtonElement.style.display = hasActivePopup ? 'none' : 'flex';
+    }
+  }
+
+  /**
+   * Mark items done on host app events: each item's `completeOn` events, and
+   * `sable:checklistComplete` events with the item's ID in their detail
+   * @private
+   */
+  _listenForCompletions() {
+    const listen = (eventName, handler) => {
+      safeWindow.addEventListener(eventName, handler);
+      this.eventCleanups.push(() => safeWindow.removeEventListener(eventName, handler));
+    };
+
+    listen(COMPLETE_EVENT, (event) => {
+      const { itemId } = event.detail || {};
+      if (itemId) {
+        this.complete(itemId);
+      }
+    });
+
+    this.config.items.forEach(item => {
+      const eventNames = Array.isArray(item.completeOn) ? item.completeOn : [item.completeOn];
+      eventNames.filter(Boolean).forEach(eventName => listen(eventName, () => this.complete(item.id)));
+    });
+  }
+
+  /**
+   * Read the completed items of all users from localStorage
+   * @returns {Object} Completion times by user and item ID
+   * @private
+   */
+  _readState() {
+    try {
+      return JSON.parse(localStorage.getItem(CHECKLIST_STATE_KEY)) || {};
+    } catch (e) {
+      // localStorage not available or corrupted
+      return {};
+    }
+  }
+
+  /**
+   * Get the current user's completed items
+   * @returns {Object} Completion times by item ID
+   * @private
+   */
+  _getCompletedItems() {
+    return this._readState()[this.config.userId || ANONYMOUS_USER] || {};
+  }
+
+  /**
+   * Save the current user's completed items
+   * @param {Object} completed - Completion times by item ID
+   * @private
+   */
+  _saveCompletedItems(completed) {
+    const state = this._readState();
+    state[this.config.userId || ANONYMOUS_USER] = completed;
+    try {
+      localStorage.setItem(CHECKLIST_STATE_KEY, JSON.stringify(state));
+    } catch (e) {
+      // localStorage not available
+    }
+  }
+
+  /**
+   * Check off the current user's items whose walkthrough was already completed,
+   * keeping the walkthrough's completion time
+   * @private
+   */
+  _syncWalkthroughCompletions() {
+    if (typeof this.handlers.getWalkthroughStatus !== 'function') {
+      return;
+    }
+
+    const completed = this._getCompletedItems();
+    let changed = false;
+    this.config.items.forEach(item => {
+      if (!item.walkthroughId || completed[item.id]) return;
+      const { completedAt } = this.handlers.getWalkthroughStatus(item.walkthroughId) || {};
+      if (completedAt) {
+        completed[item.id] = completedAt;
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      this._saveCompletedItems(completed);
+    }
+  }
+
+  /**
+   * Mark an item as done
+   * @param {string} itemId - ID of the item
+   * @returns {boolean} Whether the item was newly completed
+   */
+  complete(itemId) {
+    if (!this.config.items.some(item => item.id === itemId)) {
+      if (this.config.debug) {
+        console.warn(`[SableChecklist] Item "${itemId}" not found`);
+      }
+      return false;
+    }
+
+    const completed = this._getCompletedItems();
+    if (completed[itemId]) {
+      return false;
+    }
+
+    completed[itemId] = Date.now();
+    this._saveCompletedItems(completed);
+
+    if (this.config.debug) {
+      console.log(`[SableChecklist] Item "${itemId}" completed`);
+    }
+
+    this._updateProgress();
+    return true;
+  }
+
+  /**
+   * Mark the items of a walkthrough or text agent as done
+   * @param {'walkthroughId'|'textAgentId'} key - Which kind of ID the items are matched on
+   * @param {string} id - ID of the walkthrough or text agent
+   */
+  completeFor(key, id) {
+    this.config.items
+      .filter(item => item[key] === id)
+      .forEach(item => this.complete(item.id));
+  }
+
+  /**
+   * Get the current user's progress
+   * @returns {{completed: number, total: number, items: Array<{id: string, completed: boolean, completedAt: number|null}>}}
+   */
+  getProgress() {
+    const completed = this._getCompletedItems();
+    const items = this.config.items.map(item => ({
+      id: item.id,
+      completed: !!completed[item.id],
+      completedAt: completed[item.id] || null
+    }));
+
+    return {
+      completed: items.filter(item => item.completed).length,
+      total: items.length,
+      items
+    };
+  }
+
+  /**
+   * Forget the current user's completion of an item
+   * @param {string} [itemId] - ID of the item; all items if omitted
+   */
+  reset(itemId) {
+    if (itemId) {
+      const completed = this._getCompletedItems();
+      delete completed[itemId];
+      this._saveCompletedItems(completed);
+    } else {
+      this._saveCompletedItems({});
+    }
+    this._updateProgress();
+  }
+
+  /**
+   * Switch to another user's progress, e.g. after the user logs in
+   * @param {string|null} userId - ID of the host app's user
+   */
+  setUser(userId) {
+    this.config.userId = userId;
+    this._syncWalkthroughCompletions();
+    this._updateProgress();
+  }
+
+  /**
+   * Update the progress ring and the open panel
+   * @private
+   */
+  _updateProgress() {
+    const { completed, total } = this.getProgress();
+
+    if (this.progressRing) {
+      this.progressRing.update(completed, total);
+    }
+
+    if (this.panel) {
+      this._renderPanel();
+    }
+  }
+
+  /**
+   * Show the items in the open panel
+   * @private
+   */
+  _renderPanel() {
+    const completed = this._getCompletedItems();
+    this.panel.render(this.config.items.map(item => ({
+      id: item.id,
+      title: item.title,
+      description: item.description,
+      completed: !!completed[item.id],
+      startable: !!(item.walkthroughId || item.textAgentId)
+    })));
+  }
+
+  /**
+   * Open the checklist, closing any open popup
+   */
+  open() {
+    if (this.panel || !isBrowser) {
+      return;
+    }
+
+    globalPopupManager.closeActivePopup();
+
+    this.panel = new ChecklistPanel({
+      onStart: (itemId) => this._start(itemId),
+      onClose: () => this.close()
+    }, {
+      title: this.config.title,
+      startButtonText: this.config.startButtonText,
+      position: this._getPositionStyles(true)
+    });
+    this._renderPanel();
+
+    if (this.triggerButtonElement) {
+      this.triggerButtonElement.setAttribute('aria-expanded', 'true');
+    }
+  }
+
+  /**
+   * Close the checklist
+   */
+  close() {
+    if (!this.panel) {
+      return;
+    }
+
+    this.panel.destroy();
+    this.panel = null;
+
+    if (this.triggerButtonElement) {
+      this.triggerButtonElement.setAttribute('aria-expanded', 'false');
+    }
+  }
+
+  /**
+   * Open the checklist if it is closed, otherwise close it
+   */
+  toggle() {
+    if (this.panel) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Start an item's walkthrough or text agent
+   * @param {string} itemId - ID of the item
+   * @private
+   */
+  _start(itemId) {
+    const item = this.config.items.find(candidate => candidate.id === itemId);
+    if (!item) return;
+
+    this.close();
+
+    if (this.config.debug) {
+      console.log(`[SableChecklist] Starting item "${itemId}"`);
+    }
+
+    this.handlers.onStart(item);
+  }
+
+  /**
+   * Clean up the checklist manager
+   */
+  destroy() {
+    this.close();
+
+    if (this.popupStateListener) {
+      globalPopupManager.removeListener(this.popupStateListener);
+      this.popupStateListener = null;
+    }
+
+    this.eventCleanups.forEach(cleanup => cleanup());
+    this.eventCleanups = [];
+
+    if (this.triggerButtonElement && this.triggerButtonElement.parentNode) {
+      this.triggerButtonElement.parentNode.removeChild(this.triggerButtonElement);
+    }
+    this.triggerButtonElement = null;
+    this.progressRing = null;
+    this.isInitialized = false;
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Checklist Panel Component
+ * A floating panel listing onboarding items with their completion
+ * and a button to start each item's walkthrough or text agent
+ */
+
+const PANEL_ID = 'sable-checklist-panel';
+
+const BUTTON_STYLE = {
+  background: 'rgba(255, 255, 255, 0.12)',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '6px',
+  color: '#FFFFFF',
+  cursor: 'pointer',
+  fontSize: '12px',
+  padding: '6px 10px',
+  fontFamily: 'inherit'
+};
+
+export class ChecklistPanel {
+  /**
+   * @param {Object} handlers - Panel callbacks
+   * @param {Function} handlers.onStart - Called with the ID of the item to start
+   * @param {Function} handlers.onClose - Called when the panel should close
+   * @param {Object} options - Panel options
+   * @param {string} options.title - Heading of the panel
+   * @param {string} options.startButtonText - Text of each item's start button
+   * @param {Object} options.position - Fixed position styles, e.g. { bottom: '80px', right: '20px' }
+   */
+  constructor(handlers, options) {
+    this.handlers = handlers;
+    this.options = options;
+
+    this.panel = document.createElement('div');
+    this.panel.id = PANEL_ID;
+    this.panel.setAttribute('role', 'dialog');
+    this.panel.setAttribute('aria-label', options.title);
+
+    Object.assign(this.panel.style, {
+      position: 'fixed',
+      zIndex: '10000',
+      width: '300px',
+      maxHeight: '60vh',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      padding: '12px',
+      background: 'rgba(0, 0, 0, 0.85)',
+      borderRadius: '12px',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.5)',
+      backdropFilter: 'blur(8px)',
+      color: '#FFFFFF',
+      fontSize: '13px',
+      fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+    }, options.position);
+
+    // Header with the title, progress and close button
+    const header = document.createElement('div');
+    Object.assign(header.style, { display: 'flex', alignItems: 'center', gap: '6px' });
+
+    const heading = document.createElement('div');
+    heading.textContent = options.title;
+    Object.assign(heading.style, { fontWeight: '600', flex: '1' });
+
+    this.status = document.createElement('div');
+    this.status.setAttribute('aria-live', 'polite');
+    this.status.style.opacity = '0.8';
+
+    const close = this._createButton('✕', () => this.handlers.onClose());
+    close.setAttribute('aria-label', 'Close checklist');
+    Object.assign(close.style, { padding: '2px 6px', fontSize: '11px' });
+
+    header.append(heading, this.status, close);
+    this.panel.appendChild(header);
+
+    // Items
+    this.list = document.createElement('ul');
+    Object.assign(this.list.style, {
+      margin: '0',
+      padding: '0',
+      listStyle: 'none',
+      overflowY: 'auto',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '6px'
+    });
+    this.panel.appendChild(this.list);
+
+    if (document.body) {
+      document.body.appendChild(this.panel);
+    }
+  }
+
+  /**
+   * Create a panel button
+   * @param {string} text - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    Object.assign(button.style, BUTTON_STYLE);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Show the items with their completion
+   * @param {Array<{id: string, title: string, description?: string, completed: boolean, startable: boolean}>} items - Items in checklist order
+   */
+  render(items) {
+    this.list.innerHTML = '';
+
+    const completed = items.filter(item => item.completed).length;
+    this.status.textContent = `${completed}/${items.length}`;
+
+    items.forEach(item => {
+      const row = document.createElement('li');
+      Object.assign(row.style, {
+        display: 'flex',
+        alignItems: 'flex-start',
+        gap: '8px',
+        padding: '6px',
+        borderRadius: '6px',
+        background: 'rgba(255, 255, 255, 0.06)'
+      });
+
+      const check = document.createElement('span');
+      check.textContent = item.completed ? '✓' : '';
+      check.setAttribute('aria-label', item.completed ? 'Done' : 'Not done');
+      Object.assign(check.style, {
+        flexShrink: '0',
+        width: '16px',
+        height: '16px',
+        lineHeight: '16px',
+        textAlign: 'center',
+        fontSize: '11px',
+        borderRadius: '50%',
+        border: '1px solid rgba(255, 255, 255, 0.4)',
+        background: item.completed ? 'rgba(46, 204, 113, 0.8)' : 'transparent'
+      });
+
+      const text = document.createElement('div');
+      text.style.flex = '1';
+      const title = document.createElement('div');
+      title.textContent = item.title;
+      if (item.completed) {
+        title.style.textDecoration = 'line-through';
+        title.style.opacity = '0.7';
+      }
+      text.appendChild(title);
+      if (item.description) {
+        const description = document.createElement('div');
+        description.textContent = item.description;
+        Object.assign(description.style, { fontSize: '12px', opacity: '0.7', marginTop: '2px' });
+        text.appendChild(description);
+      }
+
+      row.append(check, text);
+
+      if (item.startable && !item.completed) {
+        const start = this._createButton(this.options.startButtonText, () => this.handlers.onStart(item.id));
+        start.setAttribute('aria-label', `${this.options.startButtonText}: ${item.title}`);
+        Object.assign(start.style, { padding: '2px 8px', flexShrink: '0' });
+        row.appendChild(start);
+      }
+
+      this.list.appendChild(row);
+    });
+  }
+
+  /**
+   * Remove the panel from the DOM
+   */
+  destroy() {
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+  }
+}
@@ -0,0 +1,349 @@
+/**
+ * Editor Panel Component
+ * A fixed panel for the walkthrough editor, listing the steps in an order that
+ * can be changed by dragging, with a form for the selected step's options
+ */
+
+const PANEL_ID = 'sable-editor-panel';
+
+const BUTTON_STYLE = {
+  background: 'rgba(255, 255, 255, 0.12)',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '6px',
+  color: '#FFFFFF',
+  cursor: 'pointer',
+  fontSize: '12px',
+  padding: '6px 10px',
+  fontFamily: 'inherit'
+};
+
+const FIELD_STYLE = {
+  width: '100%',
+  boxSizing: 'border-box',
+  background: 'rgba(255, 255, 255, 0.08)',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '6px',
+  color: '#FFFFFF',
+  padding: '4px 6px',
+  font: 'inherit'
+};
+
+export class EditorPanel {
+  /**
+   * @param {Object} handlers - Panel callbacks
+   * @param {Function} handlers.onSelect - Called with the index of the step to edit
+   * @param {Function} handlers.onMove - Called with (fromIndex, toIndex) when a step is moved
+   * @param {Function} handlers.onChange - Called with (field, value) as the selected step is edited
+   * @param {Function} handlers.onSave - Called when the walkthrough should be saved
+   * @param {Function} handlers.onClose - Called when the editor should close
+   * @param {Object} options - Panel options
+   * @param {string} options.title - Heading of the panel
+   * @param {string} options.saveButtonText - Text of the save button
+   */
+  constructor(handlers, options) {
+    this.handlers = handlers;
+    this.dragIndex = null;
+
+    this.panel = document.createElement('div');
+    this.panel.id = PANEL_ID;
+    this.panel.setAttribute('role', 'region');
+    this.panel.setAttribute('aria-label', 'Walkthrough editor');
+
+    Object.assign(this.panel.style, {
+      position: 'fixed',
+      top: '20px',
+      right: '20px',
+      zIndex: '2147483647',
+      width: '320px',
+      maxHeight: 'calc(100vh - 40px)',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      padding: '12px',
+      background: 'rgba(0, 0, 0, 0.85)',
+      borderRadius: '12px',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.5)',
+      backdropFilter: 'blur(8px)',
+      color: '#FFFFFF',
+      fontSize: '13px',
+      fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      overflowY: 'auto'
+    });
+
+    const heading = document.createElement('div');
+    heading.textContent = options.title;
+    heading.style.fontWeight = '600';
+    this.panel.appendChild(heading);
+
+    // Steps, in walkthrough order
+    this.list = document.createElement('ol');
+    Object.assign(this.list.style, {
+      margin: '0',
+      padding: '0',
+      listStyle: 'none',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '4px'
+    });
+    this.panel.appendChild(this.list);
+
+    // Options of the selected step
+    this.form = document.createElement('div');
+    Object.assign(this.form.style, { display: 'flex', flexDirection: 'column', gap: '6px' });
+    this.panel.appendChild(this.form);
+
+    this.status = document.createElement('div');
+    this.status.setAttribute('aria-live', 'polite');
+    this.status.style.opacity = '0.8';
+    this.status.style.whiteSpace = 'pre-line'; // Validation errors are listed one per line
+    this.panel.appendChild(this.status);
+
+    // Controls
+    const controls = document.createElement('div');
+    Object.assign(controls.style, { display: 'flex', gap: '6px', justifyContent: 'flex-end' });
+    controls.append(
+      this._createButton(options.saveButtonText, () => this.handlers.onSave()),
+      this._createButton('Close', () => this.handlers.onClose())
+    );
+    this.panel.appendChild(controls);
+
+    if (document.body) {
+      document.body.appendChild(this.panel);
+    }
+  }
+
+  /**
+   * Create a panel button
+   * @param {string} text - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    Object.assign(button.style, BUTTON_STYLE);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Show the steps, marking the selected one
+   * @param {Array<{stepId: string, found: boolean}>} steps - Steps in walkthrough order
+   * @param {number} selectedIndex - Index of the step being edited
+   */
+  renderSteps(steps, selectedIndex) {
+    this.list.innerHTML = '';
+
+    steps.forEach((step, index) => {
+      const item = document.createElement('li');
+      item.draggable = true;
+      Object.assign(item.style, {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '6px',
+        padding: '4px 6px',
+        borderRadius: '6px',
+        cursor: 'grab',
+        background: index === selectedIndex ? 'rgba(52, 152, 219, 0.4)' : 'rgba(255, 255, 255, 0.06)'
+      });
+
+      // Drag to reorder
+      item.addEventListener('dragstart', event => {
+        this.dragIndex = index;
+        if (event.dataTransfer) {
+          event.dataTransfer.effectAllowed = 'move';
+          event.dataTransfer.setData('text/plain', String(index));
+        }
+      });
+      item.addEventListener('dragover', event => {
+        if (this.dragIndex === null) return;
+        event.preventDefault();
+        if (event.dataTransfer) {
+          event.dataTransfer.dropEffect = 'move';
+        }
+      });
+      item.addEventListener('drop', event => {
+        event.preventDefault();
+        const from = this.dragIndex;
+        this.dragIndex = null;
+        if (from !== null && from !== index) {
+          this.handlers.onMove(from, index);
+        }
+      });
+      item.addEventListener('dragend', () => {
+        this.dragIndex = null;
+      });
+
+      const select = document.createElement('button');
+      select.type = 'button';
+      select.textContent = `${index + 1}. ${step.stepId}${step.found ? '' : ' (not on this page)'}`;
+      select.setAttribute('aria-current', index === selectedIndex ? 'true' : 'false');
+      Object.assign(select.style, {
+        flex: '1',
+        background: 'none',
+        border: 'none',
+        color: 'inherit',
+        cursor: 'pointer',
+        textAlign: 'left',
+        padding: '0',
+        font: 'inherit',
+        opacity: step.found ? '1' : '0.6'
+      });
+      select.addEventListener('click', () => this.handlers.onSelect(index));
+
+      // Buttons for moving without dragging, e.g. from the keyboard
+      const moveUp = this._createButton('↑', () => this.handlers.onMove(index, index - 1));
+      moveUp.setAttribute('aria-label', `Move step ${index + 1} up`);
+      moveUp.disabled = index === 0;
+      const moveDown = this._createButton('↓', () => this.handlers.onMove(index, index + 1));
+      moveDown.setAttribute('aria-label', `Move step ${index + 1} down`);
+      moveDown.disabled = index === steps.length - 1;
+      [moveUp, moveDown].forEach(button => {
+        Object.assign(button.style, { padding: '2px 6px', fontSize: '11px', opacity: button.disabled ? '0.4' : '1' });
+      });
+
+      item.append(select, moveUp, moveDown);
+      this.list.appendChild(item);
+    });
+  }
+
+  /**
+   * Show the form for the selected step. Only called when another step is selected
+   * or an option is switched on or off, so fields being edited keep their focus.
+   * @param {Object} values - Current values of the step's options
+   */
+  renderForm(values) {
+    this.form.innerHTML = '';
+
+    this._addSection('Tooltip');
+    this._addField('Title', 'tooltip.title', values.tooltip.title, 'text');
+    this._addField('Content', 'tooltip.content', values.tooltip.content, 'textarea');
+    this._addField('Position', 'tooltip.position', values.tooltip.position, ['', 'top', 'right', 'bottom', 'left']);
+    this._addRow([
+      ['Offset X', 'tooltip.offsetX', values.tooltip.offsetX],
+      ['Offset Y', 'tooltip.offsetY', values.tooltip.offsetY]
+    ]);
+
+    this._addToggle('Spotlight', 'spotlight', !!values.spotlight);
+    if (values.spotlight) {
+      this._addRow([['Padding', 'spotlight.padding', values.spotlight.padding]]);
+    }
+
+    this._addToggle('Highlight', 'highlight', !!values.highlight);
+    if (values.highlight) {
+      this._addField('Color', 'highlight.color', values.highlight.color, 'text');
+      this._addRow([['Padding', 'highlight.padding', values.highlight.padding]]);
+      this._addToggle('Animate', 'highlight.animate', values.highlight.animate !== false);
+    }
+  }
+
+  /**
+   * Add a section heading to the form
+   * @param {string} text - Heading text
+   * @private
+   */
+  _addSection(text) {
+    const heading = document.createElement('div');
+    heading.textContent = text;
+    Object.assign(heading.style, { fontWeight: '600', marginTop: '4px' });
+    this.form.appendChild(heading);
+  }
+
+  /**
+   * Add a labelled text field, textarea or select to the form
+   * @param {string} text - Label text
+   * @param {string} field - Field passed to onChange, e.g. 'tooltip.title'
+   * @param {string|undefined} value - Current value
+   * @param {'text'|'textarea'|Array<string>} type - Field type, or the options of a select
+   * @param {HTMLElement} [parent] - Element to add the field to (default: the form)
+   * @private
+   */
+  _addField(text, field, value, type, parent = this.form) {
+    const label = document.createElement('label');
+    Object.assign(label.style, { display: 'flex', flexDirection: 'column', gap: '2px', flex: '1' });
+    label.appendChild(document.createTextNode(text));
+
+    let input;
+    if (Array.isArray(type)) {
+      input = document.createElement('select');
+      type.forEach(optionValue => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = optionValue || 'default';
+        input.appendChild(option);
+      });
+    } else if (type === 'textarea') {
+      input = document.createElement('textarea');
+      input.rows = 3;
+      input.style.resize = 'vertical';
+    } else {
+      input = document.createElement('input');
+      input.type = type;
+    }
+
+    Object.assign(input.style, FIELD_STYLE);
+    input.value = value === undefined || value === null ? '' : String(value);
+    input.addEventListener(Array.isArray(type) ? 'change' : 'input', () => {
+      if (type === 'number') {
+        this.handlers.onChange(field, input.value === '' ? undefined : Number(input.value));
+      } else {
+        this.handlers.onChange(field, input.value);
+      }
+    });
+
+    label.appendChild(input);
+    parent.appendChild(label);
+  }
+
+  /**
+   * Add number fields side by side
+   * @param {Array<[string, string, number|undefined]>} fields - Label, field and value of each number field
+   * @private
+   */
+  _addRow(fields) {
+    const row = document.createElement('div');
+    Object.assign(row.style, { display: 'flex', gap: '6px' });
+    fields.forEach(([text, field, value]) => this._addField(text, field, value, 'number', row));
+    this.form.appendChild(row);
+  }
+
+  /**
+   * Add a checkbox to the form
+   * @param {string} text - Label text
+   * @param {string} field - Field passed to onChange
+   * @param {boolean} checked - Whether the checkbox is checked
+   * @private
+   */
+  _addToggle(text, field, checked) {
+    const label = document.createElement('label');
+    Object.assign(label.style, { display: 'flex', alignItems: 'center', gap: '6px', marginTop: '4px' });
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => this.handlers.onChange(field, input.checked));
+
+    label.append(input, document.createTextNode(text));
+    this.form.appendChild(label);
+  }
+
+  /**
+   * Show a status message, e.g. the result of saving
+   * @param {string} message - Message to show
+   */
+  showStatus(message) {
+    this.status.textContent = message;
+  }
+
+  /**
+   * Remove the panel from the DOM
+   */
+  destroy() {
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+  }
+}
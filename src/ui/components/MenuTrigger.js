@@ -5,7 +5,8 @@ export class MenuTrigger {
             text: config.text || '',
             onClick: config.onClick || (() => { }),
             primaryColor: config.primaryColor || '#FFFFFF',
-            className: config.className || 'sable-menu-trigger'
+            className: config.className || 'sable-menu-trigger',
+            icon: config.icon || null // Element shown instead of the sparkles icon
         };
         this.element = this.createElement();
     }
@@ -43,13 +44,17 @@ export class MenuTrigger {
 
         // Add AI magic sparkles icon matching the screenshot
         const icon = document.createElement('div');
-        icon.innerHTML = `
+        if (this.config.icon) {
+            icon.appendChild(this.config.icon);
+        } else {
+            icon.innerHTML = `
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
               <path d="M6 6L7 4L8 6L10 7L8 8L7 10L6 8L4 7L6 6Z" fill="${this.config.primaryColor}"/>
               <path d="M14 14L15.5 11L17 14L20 15.5L17 17L15.5 20L14 17L11 15.5L14 14Z" fill="${this.config.primaryColor}"/>
               <path d="M16 4L17 2L18 4L20 5L18 6L17 8L16 6L14 5L16 4Z" fill="${this.config.primaryColor}"/>
           </svg>
       `;
+        }
         Object.assign(icon.style, {
             display: 'flex',
             alignItems: 'center',
@@ -0,0 +1,62 @@
+/**
+ * Progress Ring Component
+ * A circular progress indicator drawn with SVG
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export class ProgressRing {
+  /**
+   * @param {Object} [options] - Ring options
+   * @param {number} [options.size=18] - Width and height in pixels
+   * @param {number} [options.strokeWidth=3] - Thickness of the ring in pixels
+   * @param {string} [options.color='#FFFFFF'] - Color of the completed part
+   * @param {string} [options.trackColor='rgba(255, 255, 255, 0.25)'] - Color of the remaining part
+   */
+  constructor({ size = 18, strokeWidth = 3, color = '#FFFFFF', trackColor = 'rgba(255, 255, 255, 0.25)' } = {}) {
+    const radius = (size - strokeWidth) / 2;
+    this.circumference = 2 * Math.PI * radius;
+
+    this.element = document.createElementNS(SVG_NS, 'svg');
+    this.element.setAttribute('width', String(size));
+    this.element.setAttribute('height', String(size));
+    this.element.setAttribute('viewBox', `0 0 ${size} ${size}`);
+    this.element.setAttribute('role', 'img');
+
+    const createCircle = stroke => {
+      const circle = document.createElementNS(SVG_NS, 'circle');
+      circle.setAttribute('cx', String(size / 2));
+      circle.setAttribute('cy', String(size / 2));
+      circle.setAttribute('r', String(radius));
+      circle.setAttribute('fill', 'none');
+      circle.setAttribute('stroke', stroke);
+      circle.setAttribute('stroke-width', String(strokeWidth));
+      return circle;
+    };
+
+    const track = createCircle(trackColor);
+
+    // Starts at the top and fills clockwise
+    this.progress = createCircle(color);
+    this.progress.setAttribute('stroke-linecap', 'round');
+    this.progress.setAttribute('stroke-dasharray', String(this.circumference));
+    this.progress.setAttribute('transform', `rotate(-90 ${size / 2} ${size / 2})`);
+    this.progress.style.transition = 'stroke-dashoffset 0.3s ease';
+
+    this.element.append(track, this.progress);
+    this.update(0, 0);
+  }
+
+  /**
+   * Show how many of the items are done
+   * @param {number} completed - Number of completed items
+   * @param {number} total - Number of items
+   */
+  update(completed, total) {
+    const fraction = total > 0 ? Math.min(completed / total, 1) : 0;
+    this.progress.setAttribute('stroke-dashoffset', String(this.circumference * (1 - fraction)));
+    // Hide the dot the round line cap leaves when nothing is done
+    this.progress.style.opacity = fraction > 0 ? '1' : '0';
+    this.element.setAttribute('aria-label', `${completed} of ${total} done`);
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * Recorder Panel Component
+ * A fixed panel listing the steps captured by the walkthrough recorder,
+ * where the author writes each step's tooltip and exports the steps
+ */
+
+const PANEL_ID = 'sable-recorder-panel';
+
+const BUTTON_STYLE = {
+  background: 'rgba(255, 255, 255, 0.12)',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '6px',
+  color: '#FFFFFF',
+  cursor: 'pointer',
+  fontSize: '12px',
+  padding: '6px 10px',
+  fontFamily: 'inherit'
+};
+
+export class RecorderPanel {
+  /**
+   * @param {Object} handlers - Panel callbacks
+   * @param {Function} handlers.onTooltipChange - Called with (index, text) as a tooltip is edited
+   * @param {Function} handlers.onRemove - Called with the index of a step to remove
+   * @param {Function} handlers.onTogglePause - Called when capture is paused or resumed
+   * @param {Function} handlers.onCopy - Called when the steps should be copied as JSON
+   * @param {Function} handlers.onStop - Called when recording should stop
+   */
+  constructor(handlers) {
+    this.handlers = handlers;
+
+    this.panel = document.createElement('div');
+    this.panel.id = PANEL_ID;
+    this.panel.setAttribute('role', 'region');
+    this.panel.setAttribute('aria-label', 'Walkthrough recorder');
+
+    Object.assign(this.panel.style, {
+      position: 'fixed',
+      right: '20px',
+      bottom: '20px',
+      zIndex: '2147483647',
+      width: '320px',
+      maxHeight: '60vh',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      padding: '12px',
+      background: 'rgba(0, 0, 0, 0.85)',
+      borderRadius: '12px',
+      border: '1px solid rgba(255, 255, 255, 0.2)',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.5)',
+      backdropFilter: 'blur(8px)',
+      color: '#FFFFFF',
+      fontSize: '13px',
+      fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+    });
+
+    // Header with the recording state
+    this.status = document.createElement('div');
+    this.status.style.fontWeight = '600';
+    this.status.setAttribute('aria-live', 'polite');
+    this.panel.appendChild(this.status);
+
+    // Captured steps
+    this.list = document.createElement('ol');
+    Object.assign(this.list.style, {
+      margin: '0',
+      padding: '0',
+      listStyle: 'none',
+      overflowY: 'auto',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px'
+    });
+    this.panel.appendChild(this.list);
+
+    // Controls
+    const controls = document.createElement('div');
+    Object.assign(controls.style, { display: 'flex', gap: '6px', justifyContent: 'flex-end' });
+
+    this.pauseButton = this._createButton('Pause', () => this.handlers.onTogglePause());
+    this.copyButton = this._createButton('Copy JSON', () => this.handlers.onCopy());
+    const stopButton = this._createButton('Stop', () => this.handlers.onStop());
+    controls.append(this.pauseButton, this.copyButton, stopButton);
+    this.panel.appendChild(controls);
+
+    // The steps as JSON, shown when they can't be copied to the clipboard
+    this.exportField = null;
+
+    if (document.body) {
+      document.body.appendChild(this.panel);
+    }
+  }
+
+  /**
+   * Create a panel button
+   * @param {string} text - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    Object.assign(button.style, BUTTON_STYLE);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Show the captured steps. Only called when steps are added or removed, so
+   * tooltips being edited keep their focus.
+   * @param {Array<{stepId: string, description: string, tooltip: string}>} steps - Captured steps
+   * @param {boolean} paused - Whether capture is paused
+   */
+  render(steps, paused) {
+    this.status.textContent = paused
+      ? `Recording paused (${steps.length} ${steps.length === 1 ? 'step' : 'steps'})`
+      : `Recording… ${steps.length === 0 ? 'click or type on the page' : `${steps.length} ${steps.length === 1 ? 'step' : 'steps'}`}`;
+    this.pauseButton.textContent = paused ? 'Resume' : 'Pause';
+
+    this.list.innerHTML = '';
+    steps.forEach((step, index) => {
+      const item = document.createElement('li');
+      Object.assign(item.style, { display: 'flex', flexDirection: 'column', gap: '4px' });
+
+      const header = document.createElement('div');
+      Object.assign(header.style, { display: 'flex', justifyContent: 'space-between', gap: '6px', opacity: '0.8' });
+
+      const description = document.createElement('span');
+      description.textContent = `${index + 1}. ${step.description}`;
+      description.title = step.stepId;
+
+      const removeButton = this._createButton('Remove', () => this.handlers.onRemove(index));
+      removeButton.setAttribute('aria-label', `Remove step ${index + 1}`);
+      Object.assign(removeButton.style, { padding: '2px 6px', fontSize: '11px' });
+
+      header.append(description, removeButton);
+
+      const tooltip = document.createElement('textarea');
+      tooltip.rows = 2;
+      tooltip.value = step.tooltip;
+      tooltip.setAttribute('aria-label', `Tooltip for step ${index + 1}`);
+      Object.assign(tooltip.style, {
+        width: '100%',
+        boxSizing: 'border-box',
+        resize: 'vertical',
+        background: 'rgba(255, 255, 255, 0.08)',
+        border: '1px solid rgba(255, 255, 255, 0.2)',
+        borderRadius: '6px',
+        color: '#FFFFFF',
+        padding: '6px',
+        font: 'inherit'
+      });
+      tooltip.addEventListener('input', () => this.handlers.onTooltipChange(index, tooltip.value));
+
+      item.append(header, tooltip);
+      this.list.appendChild(item);
+    });
+
+    this.list.scrollTop = this.list.scrollHeight;
+  }
+
+  /**
+   * Briefly confirm that the steps were copied, or show them selected for the
+   * author to copy by hand when the clipboard isn't available
+   * @param {boolean} copied - Whether copying succeeded
+   * @param {string} json - The steps as JSON
+   */
+  showCopied(copied, json) {
+    this.copyButton.textContent = copied ? 'Copied!' : 'Copy below';
+    setTimeout(() => {
+      this.copyButton.textContent = 'Copy JSON';
+    }, 1500);
+
+    if (copied) {
+      if (this.exportField) {
+        this.exportField.remove();
+        this.exportField = null;
+      }
+      return;
+    }
+
+    if (!this.exportField) {
+      this.exportField = document.createElement('textarea');
+      this.exportField.readOnly = true;
+      this.exportField.rows = 6;
+      this.exportField.setAttribute('aria-label', 'Recorded steps as JSON');
+      Object.assign(this.exportField.style, {
+        width: '100%',
+        boxSizing: 'border-box',
+        resize: 'vertical',
+        background: 'rgba(255, 255, 255, 0.08)',
+        border: '1px solid rgba(255, 255, 255, 0.2)',
+        borderRadius: '6px',
+        color: '#FFFFFF',
+        padding: '6px',
+        fontFamily: 'monospace',
+        fontSize: '11px'
+      });
+      this.panel.appendChild(this.exportField);
+    }
+    this.exportField.value = json;
+    this.exportField.focus();
+    this.exportField.select();
+  }
+
+  /**
+   * Whether an event happened inside the panel
+   * @param {Event} event - DOM event
+   * @returns {boolean}
+   */
+  containsEvent(event) {
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+    return path.includes(this.panel) || this.panel.contains(event.target);
+  }
+
+  /**
+   * Remove the panel from the DOM
+   */
+  destroy() {
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+  }
+}
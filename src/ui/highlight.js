@@ -7,10 +7,10 @@ import { getElementPosition, isElementInViewport, createPositionObserver, remove
 const HIGHLIGHT_CLASS = 'sable-highlight';
 const HIGHLIGHT_ANIMATION_CLASS = 'sable-highlight-animation';
 
-// Track active highlight, observer and delayed positioning task
-let activeHighlight = null;
-let activeHighlightObserverId = null;
-let activeHighlightDelayedTaskId = null;
+// Track active highlights, observers and delayed positioning tasks
+let activeHighlights = [];
+let activeHighlightObserverIds = [];
+let activeHighlightDelayedTaskIds = [];
 
 /**
  * Create and inject the necessary CSS for highlighting
@@ -62,14 +62,53 @@ function injectHighlightStyles() {
  * @param {boolean} options.animate - Whether to animate the highlight
  * @param {number} options.offsetX - Horizontal offset in pixels
  * @param {number} options.offsetY - Vertical offset in pixels
+ * @param {boolean} options.scrollIntoView - Whether to scroll the element into view (default: true);
+ *   off when the caller has already scrolled it
  * @returns {Element} The created highlight element
  */
 export function highlightElement(element, options = {}) {
   if (!element) return null;
 
+  return highlightElements([element], options)[0];
+}
+
+/**
+ * Highlight several elements at once, replacing any existing highlights.
+ * The first element is scrolled into view if needed, unless `options.scrollIntoView` is false.
+ * @param {Array<Element>} elements - Elements to highlight
+ * @param {Object} options - Highlight options (see highlightElement)
+ * @returns {Array<Element>} The created highlight elements
+ */
+export function highlightElements(elements, options = {}) {
+  const targets = elements.filter(Boolean);
+  if (targets.length === 0) return [];
+
   // Inject styles if not already done
   injectHighlightStyles();
 
+  // Remove any existing highlights
+  removeHighlight();
+
+  const highlights = targets.map(element => createHighlight(element, options));
+
+  // Scroll element into view if needed
+  if (options.scrollIntoView !== false && !isElementInViewport(targets[0])) {
+    targets[0].scrollIntoView({
+      behavior: 'smooth',
+      block: 'center'
+    });
+  }
+
+  return highlights;
+}
+
+/**
+ * Create a highlight for one element and keep it aligned with the element
+ * @param {Element} element - Element to highlight
+ * @param {Object} options - Highlight options (see highlightElement)
+ * @returns {Element} The created highlight element
+ */
+function createHighlight(element, options) {
   // Default options
   const {
     animate = true,
@@ -77,9 +116,6 @@ export function highlightElement(element, options = {}) {
     color = '#3498db'
   } = options;
 
-  // Remove any existing highlight
-  removeHighlight();
-
   // Get element position and dimensions using unified positioning utility
   const position = getElementPosition(element, padding);
 
@@ -105,8 +141,8 @@ export function highlightElement(element, options = {}) {
   // Add to DOM
   document.body.appendChild(highlightEl);
 
-  // Store reference to active highlight
-  activeHighlight = highlightEl;
+  // Track the highlight for removal
+  activeHighlights.push(highlightEl);
 
   // Create a position observer to keep the highlight aligned with the element
   const updateHighlightPosition = (targetElement, uiElement) => {
@@ -120,51 +156,39 @@ export function highlightElement(element, options = {}) {
     uiElement.style.height = `${newPosition.height}px`;
   };
 
-  // Clean up any existing observer and delayed task
-  if (activeHighlightObserverId) {
-    removePositionObserver(activeHighlightObserverId);
-  }
-
   // Apply delayed positioning for better accuracy
-  if (activeHighlightDelayedTaskId) {
-    clearTimeout(activeHighlightDelayedTaskId);
+  const delayedTaskId = applyPositionWithDelay(element, highlightEl, updateHighlightPosition, 100);
+  if (delayedTaskId) {
+    activeHighlightDelayedTaskIds.push(delayedTaskId);
   }
-  activeHighlightDelayedTaskId = applyPositionWithDelay(element, highlightEl, updateHighlightPosition, 100);
 
   // Create new observer for continuous tracking
-  activeHighlightObserverId = createPositionObserver(element, highlightEl, updateHighlightPosition);
-
-  // Scroll element into view if needed
-  if (!isElementInViewport(element)) {
-    element.scrollIntoView({
-      behavior: 'smooth',
-      block: 'center'
-    });
+  const observerId = createPositionObserver(element, highlightEl, updateHighlightPosition);
+  if (observerId) {
+    activeHighlightObserverIds.push(observerId);
   }
 
   return highlightEl;
 }
 
 /**
- * Remove the active highlight
+ * Remove all active highlights
  */
 export function removeHighlight() {
-  if (activeHighlight && activeHighlight.parentNode) {
-    activeHighlight.parentNode.removeChild(activeHighlight);
-    activeHighlight = null;
-
-    // Clean up any active position observer
-    if (activeHighlightObserverId) {
-      removePositionObserver(activeHighlightObserverId);
-      activeHighlightObserverId = null;
+  activeHighlights.forEach(highlight => {
+    if (highlight.parentNode) {
+      highlight.parentNode.removeChild(highlight);
     }
+  });
+  activeHighlights = [];
 
-    // Clear any delayed positioning task
-    if (activeHighlightDelayedTaskId) {
-      clearTimeout(activeHighlightDelayedTaskId);
-      activeHighlightDelayedTaskId = null;
-    }
-  }
+  // Clean up any active position observers
+  activeHighlightObserverIds.forEach(id => removePositionObserver(id));
+  activeHighlightObserverIds = [];
+
+  // Clear any delayed positioning tasks
+  activeHighlightDelayedTaskIds.forEach(id => clearTimeout(id));
+  activeHighlightDelayedTaskIds = [];
 }
 
 // Using the unified positioning utilities from positioningUtils.js
@@ -3,16 +3,24 @@
  * This module creates a spotlight effect that darkens everything except the highlighted element
  */
 
-import { getElementPosition, isElementInViewport, createPositionObserver, removePositionObserver, applyPositionWithDelay } from '../utils/positioning.js';
+import { getElementPosition, getElementsPosition, isElementInViewport, createPositionObserver, removePositionObserver, applyPositionWithDelay } from '../utils/positioning.js';
 
 const SPOTLIGHT_CLASS = 'sable-spotlight';
 const SPOTLIGHT_CONTAINER_ID = 'sable-spotlight-container';
+const SPOTLIGHT_OVERLAY_CLASS = 'sable-spotlight-overlay';
+const SVG_NS = 'http://www.w3.org/2000/svg';
 
 // Keep track of active spotlights, observers and delayed positioning tasks
 let activeSpotlights = [];
 let activeObserverIds = [];
 let activeDelayedTasks = [];
 
+// Page content hidden from screen readers while a spotlight is shown, with its previous aria-hidden value
+let hiddenBackground = [];
+
+// Walkthrough UI that stays visible to screen readers
+const ACCESSIBLE_UI_IDS = ['sable-tooltip-container', SPOTLIGHT_CONTAINER_ID, 'sable-end-tour-button'];
+
 /**
  * Create and inject the necessary CSS for the spotlight
  */
@@ -34,6 +42,16 @@ function injectSpotlightStyles() {
       pointer-events: none;
       transition: all 0.3s ease;
     }
+    .${SPOTLIGHT_OVERLAY_CLASS} {
+      position: absolute;
+      top: 0;
+      left: 0;
+      z-index: 99997;
+      pointer-events: none;
+    }
+    .${SPOTLIGHT_OVERLAY_CLASS} .sable-spotlight-dim {
+      fill: rgba(0, 0, 0, 0.5);
+    }
   `;
   document.head.appendChild(styleElement);
 }
@@ -63,22 +81,162 @@ function getSpotlightContainer() {
 }
 
 /**
- * Create a spotlight effect around an element
- * @param {Element} element - Element to spotlight
+ * Get an element's ancestors, crossing shadow roots and frames
+ * @param {Element} element - The element
+ * @returns {Set<Element>} The element and its ancestors
+ */
+function getAncestors(element) {
+  const ancestors = new Set();
+  let current = element;
+
+  while (current) {
+    ancestors.add(current);
+    if (current.parentElement) {
+      current = current.parentElement;
+    } else {
+      const root = current.getRootNode ? current.getRootNode() : null;
+      if (root && root.host) {
+        current = root.host;
+      } else {
+        const view = current.ownerDocument && current.ownerDocument.defaultView;
+        current = view && view !== window ? view.frameElement : null;
+      }
+    }
+  }
+
+  return ancestors;
+}
+
+/**
+ * Hide everything but the walkthrough UI and the spotlighted elements from screen readers.
+ * Only the siblings of the elements' ancestors are hidden, so the elements stay reachable,
+ * e.g. for steps that advance when the user activates them.
+ * @param {Array<Element>} targets - Spotlighted elements
+ */
+function hideBackgroundFromScreenReaders(targets) {
+  const ancestors = new Set();
+  targets.forEach(target => getAncestors(target).forEach(element => ancestors.add(element)));
+
+  const hideChildren = parent => {
+    Array.from(parent.children).forEach(child => {
+      if (targets.includes(child) || ACCESSIBLE_UI_IDS.includes(child.id) || child.tagName === 'SCRIPT' || child.tagName === 'STYLE') {
+        return;
+      }
+      if (ancestors.has(child)) {
+        hideChildren(child);
+        return;
+      }
+      hiddenBackground.push({ element: child, ariaHidden: child.getAttribute('aria-hidden') });
+      child.setAttribute('aria-hidden', 'true');
+    });
+  };
+
+  hideChildren(document.body);
+}
+
+/**
+ * Restore the page content hidden by hideBackgroundFromScreenReaders()
+ */
+function restoreBackgroundForScreenReaders() {
+  hiddenBackground.forEach(({ element, ariaHidden }) => {
+    if (ariaHidden === null) {
+      element.removeAttribute('aria-hidden');
+    } else {
+      element.setAttribute('aria-hidden', ariaHidden);
+    }
+  });
+  hiddenBackground = [];
+}
+
+/**
+ * Create an overlay that darkens the page except for one hole per element.
+ * A single box-shadowed hole can't be used since each shadow would cover the other holes.
+ * @param {number} holeCount - Number of holes
+ * @returns {SVGSVGElement} The overlay element
+ */
+function createHoleOverlay(holeCount) {
+  const maskId = `sable-spotlight-mask-${Date.now()}`;
+
+  const overlay = document.createElementNS(SVG_NS, 'svg');
+  overlay.setAttribute('class', SPOTLIGHT_OVERLAY_CLASS);
+
+  const mask = document.createElementNS(SVG_NS, 'mask');
+  mask.setAttribute('id', maskId);
+
+  const visibleArea = document.createElementNS(SVG_NS, 'rect');
+  visibleArea.setAttribute('width', '100%');
+  visibleArea.setAttribute('height', '100%');
+  visibleArea.setAttribute('fill', 'white');
+  mask.appendChild(visibleArea);
+
+  for (let i = 0; i < holeCount; i++) {
+    const hole = document.createElementNS(SVG_NS, 'rect');
+    hole.setAttribute('class', 'sable-spotlight-hole');
+    hole.setAttribute('rx', '4');
+    hole.setAttribute('fill', 'black');
+    mask.appendChild(hole);
+  }
+
+  const defs = document.createElementNS(SVG_NS, 'defs');
+  defs.appendChild(mask);
+  overlay.appendChild(defs);
+
+  const dim = document.createElementNS(SVG_NS, 'rect');
+  dim.setAttribute('class', 'sable-spotlight-dim');
+  dim.setAttribute('width', '100%');
+  dim.setAttribute('height', '100%');
+  dim.setAttribute('mask', `url(#${maskId})`);
+  overlay.appendChild(dim);
+
+  return overlay;
+}
+
+/**
+ * Size a hole overlay to the document and move its holes over the elements
+ * @param {SVGSVGElement} overlay - Overlay created by createHoleOverlay
+ * @param {Array<Element>} elements - Spotlighted elements, one per hole
+ * @param {number} padding - Padding around each element in pixels
+ * @param {Object} offsets - Manual offsets ({ offsetX, offsetY })
+ */
+function positionHoles(overlay, elements, padding, offsets) {
+  const root = document.documentElement;
+  overlay.setAttribute('width', `${Math.max(root.scrollWidth, document.body.scrollWidth)}`);
+  overlay.setAttribute('height', `${Math.max(root.scrollHeight, document.body.scrollHeight)}`);
+
+  const holes = overlay.querySelectorAll('.sable-spotlight-hole');
+  elements.forEach((element, index) => {
+    const position = getElementPosition(element, padding, offsets);
+    if (!position || !holes[index]) return;
+
+    holes[index].setAttribute('x', `${position.left}`);
+    holes[index].setAttribute('y', `${position.top}`);
+    holes[index].setAttribute('width', `${position.width}`);
+    holes[index].setAttribute('height', `${position.height}`);
+  });
+}
+
+/**
+ * Create a spotlight effect around one or more elements
+ * @param {Element|Array<Element>} elements - Element or elements to spotlight; the first is scrolled into view if needed
  * @param {Object} options - Spotlight options
  * @param {number} options.padding - Padding around element in pixels
  * @param {number} options.opacity - Opacity of the overlay
  * @param {string} options.color - Color of the overlay
  * @param {number} options.offsetX - Horizontal offset in pixels
  * @param {number} options.offsetY - Vertical offset in pixels
+ * @param {'separate'|'union'} [options.mode='separate'] - With several elements, whether each gets its own
+ *   hole or they share one hole around all of them
  * @param {boolean} [options.animate=true] - Whether to animate the spotlight
  * @param {boolean} [options.closeOnClick=false] - Whether clicking outside the spotlight should remove it
  * @param {Function} [options.onClose] - Callback when spotlight is closed by clicking outside
- * @returns {HTMLElement} The created spotlight element
+ * @param {boolean} [options.scrollIntoView=true] - Whether to scroll the first element into view;
+ *   off when the caller has already scrolled it
+ * @returns {Element} The created spotlight element
  */
-export function createSpotlight(element, options = {}) {
+export function createSpotlight(elements, options = {}) {
   // Ensure we have a valid element
-  if (!element) return null;
+  const targets = (Array.isArray(elements) ? elements : [elements]).filter(Boolean);
+  if (targets.length === 0) return null;
 
   // Remove any existing spotlights
   removeSpotlights();
@@ -91,25 +249,44 @@ export function createSpotlight(element, options = {}) {
     animate = true,
     padding = 5,
     opacity = 0.5,
+    mode = 'separate',
     closeOnClick = false,
-    onClose = null
+    onClose = null,
+    scrollIntoView = true
   } = options;
+  const offsets = {
+    offsetX: options.offsetX || 0,
+    offsetY: options.offsetY || 0
+  };
 
-  // Get element position and dimensions using unified positioning utility
-  const position = getElementPosition(element, padding);
+  let spotlightEl;
+  let updateSpotlightPosition;
 
-  // Create the spotlight element
-  const spotlightEl = document.createElement('div');
-  spotlightEl.className = SPOTLIGHT_CLASS;
-  if (animate) {
-    spotlightEl.classList.add(`${SPOTLIGHT_CLASS}-animation`);
+  if (targets.length > 1 && mode === 'separate') {
+    // One hole per element
+    spotlightEl = createHoleOverlay(targets.length);
+    updateSpotlightPosition = (targetElement, uiElement) => {
+      positionHoles(uiElement, targets, padding, offsets);
+    };
+  } else {
+    // A single hole around the element, or around all of the elements
+    spotlightEl = document.createElement('div');
+    spotlightEl.className = SPOTLIGHT_CLASS;
+    if (animate) {
+      spotlightEl.classList.add(`${SPOTLIGHT_CLASS}-animation`);
+    }
+
+    updateSpotlightPosition = (targetElement, uiElement) => {
+      const newPosition = getElementsPosition(targets, padding, offsets);
+      uiElement.style.left = `${newPosition.left}px`;
+      uiElement.style.top = `${newPosition.top}px`;
+      uiElement.style.width = `${newPosition.width}px`;
+      uiElement.style.height = `${newPosition.height}px`;
+    };
   }
 
   // Position and size the spotlight
-  spotlightEl.style.left = `${position.left}px`;
-  spotlightEl.style.top = `${position.top}px`;
-  spotlightEl.style.width = `${position.width}px`;
-  spotlightEl.style.height = `${position.height}px`;
+  updateSpotlightPosition(targets[0], spotlightEl);
 
   // Add to DOM using the container
   const container = getSpotlightContainer();
@@ -118,35 +295,30 @@ export function createSpotlight(element, options = {}) {
   // Track this spotlight
   activeSpotlights.push(spotlightEl);
 
-  // Create a position observer to keep the spotlight aligned with the element
-  const updateSpotlightPosition = (targetElement, uiElement) => {
-    const newPosition = getElementPosition(targetElement, padding, {
-      offsetX: options.offsetX || 0,
-      offsetY: options.offsetY || 0
-    });
-    uiElement.style.left = `${newPosition.left}px`;
-    uiElement.style.top = `${newPosition.top}px`;
-    uiElement.style.width = `${newPosition.width}px`;
-    uiElement.style.height = `${newPosition.height}px`;
-  };
+  // The overlay is purely visual; hide the dimmed page from screen readers
+  spotlightEl.setAttribute('aria-hidden', 'true');
+  hideBackgroundFromScreenReaders(targets);
 
-  // Apply delayed positioning for better accuracy
-  const delayedTaskId = applyPositionWithDelay(element, spotlightEl, updateSpotlightPosition, 100);
-  if (delayedTaskId) {
-    activeDelayedTasks.push(delayedTaskId);
-  }
+  // Keep the spotlight aligned with each of the elements
+  targets.forEach(element => {
+    // Apply delayed positioning for better accuracy
+    const delayedTaskId = applyPositionWithDelay(element, spotlightEl, updateSpotlightPosition, 100);
+    if (delayedTaskId) {
+      activeDelayedTasks.push(delayedTaskId);
+    }
 
-  // Create position observer for continuous tracking
-  const observerId = createPositionObserver(element, spotlightEl, updateSpotlightPosition);
-  if (observerId) {
-    activeObserverIds.push(observerId);
-  }
+    // Create position observer for continuous tracking
+    const observerId = createPositionObserver(element, spotlightEl, updateSpotlightPosition);
+    if (observerId) {
+      activeObserverIds.push(observerId);
+    }
+  });
 
   // Add click handler to the document if needed
   if (closeOnClick) {
     const clickHandler = (e) => {
       // Only close if click is outside the spotlight area
-      if (!element.contains(e.target) && e.target !== element) {
+      if (!targets.some(element => element.contains(e.target))) {
         document.removeEventListener('click', clickHandler);
         removeSpotlights();
         if (onClose && typeof onClose === 'function') {
@@ -162,8 +334,8 @@ export function createSpotlight(element, options = {}) {
   }
 
   // Scroll element into view if needed
-  if (!isElementInViewport(element)) {
-    element.scrollIntoView({
+  if (scrollIntoView && !isElementInViewport(targets[0])) {
+    targets[0].scrollIntoView({
       behavior: 'smooth',
       block: 'center'
     });
@@ -191,6 +363,8 @@ export function removeSpotlights() {
   // Clear the arrays
   activeSpotlights.length = 0;
   activeObserverIds.length = 0;
+
+  restoreBackgroundForScreenReaders();
 }
 
 // Using the unified isElementInViewport from positioningUtils.js
@@ -3,7 +3,7 @@
  */
 
 import { isBrowser, safeWindow, safeDocument } from '../utils/browserAPI.js';
-import { getElementPosition, createPositionObserver, removePositionObserver, applyPositionWithDelay } from '../utils/positioning.js';
+import { getElementPosition, getElementRect, createPositionObserver, removePositionObserver, applyPositionWithDelay } from '../utils/positioning.js';
 
 const TOOLTIP_CLASS = 'sable-tooltip';
 const TOOLTIP_CONTAINER_ID = 'sable-tooltip-container';
@@ -12,6 +12,10 @@ const TOOLTIP_CONTAINER_ID = 'sable-tooltip-container';
 let activeTooltip = null;
 let activeTooltipObserverId = null;
 let activeTooltipDelayedTaskId = null;
+let activeTooltipKeyHandler = null;
+
+// Used to give each tooltip's title and content unique ids for ARIA references
+let tooltipIdCounter = 0;
 
 /**
  * Create and inject the necessary CSS for tooltips
@@ -101,6 +105,51 @@ function injectTooltipStyles() {
       background-color: rgba(225, 225, 225, 0.6);
     }
     
+    .${TOOLTIP_CLASS}-progress {
+      margin: 0 0 12px 0;
+      font-size: 12px;
+      color: rgba(255, 255, 255, 0.7);
+    }
+    
+    .${TOOLTIP_CLASS}-progress-dots {
+      display: flex;
+      gap: 6px;
+    }
+    
+    .${TOOLTIP_CLASS}-progress-dot {
+      width: 8px;
+      height: 8px;
+      padding: 0;
+      border: none;
+      border-radius: 50%;
+      background-color: rgba(255, 255, 255, 0.3);
+    }
+    
+    .${TOOLTIP_CLASS}-progress-dot-completed {
+      background-color: rgba(255, 255, 255, 0.7);
+    }
+    
+    .${TOOLTIP_CLASS}-progress-dot-current {
+      background-color: rgba(255, 255, 255, 1);
+    }
+    
+    button.${TOOLTIP_CLASS}-progress-dot {
+      cursor: pointer;
+    }
+    
+    .${TOOLTIP_CLASS}-progress-bar {
+      height: 4px;
+      border-radius: 2px;
+      background-color: rgba(255, 255, 255, 0.3);
+      overflow: hidden;
+    }
+    
+    .${TOOLTIP_CLASS}-progress-bar-fill {
+      height: 100%;
+      background-color: rgba(255, 255, 255, 1);
+      transition: width 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+    }
+    
     .${TOOLTIP_CLASS}-floating {
       position: fixed;
       top: 50%;
@@ -172,7 +221,7 @@ function calculateTooltipPosition(targetElement, tooltipElement, position = 'bot
   }
 
   // Get target and tooltip dimensions
-  const targetRect = targetElement.getBoundingClientRect();
+  const targetRect = getElementRect(targetElement);
   const tooltipRect = tooltipElement.getBoundingClientRect();
   const { left: scrollLeft, top: scrollTop } = safeWindow.getScrollPosition();
 
@@ -254,6 +303,39 @@ function calculateTooltipPosition(targetElement, tooltipElement, position = 'bot
   };
 }
 
+/**
+ * Build the progress indicator HTML
+ * @param {Object} progress - Progress options (see showTooltip)
+ * @returns {string} HTML for the progress indicator
+ */
+function renderProgress(progress) {
+  const label = (progress.label || 'Step {current} of {total}')
+    .replace('{current}', progress.current)
+    .replace('{total}', progress.total);
+
+  if (progress.style === 'dots') {
+    const dots = (progress.items || []).map((item, position) => {
+      const className = `${TOOLTIP_CLASS}-progress-dot ${TOOLTIP_CLASS}-progress-dot-${item.status}`;
+      if (item.status === 'completed' && progress.clickable && typeof item.onSelect === 'function') {
+        return `<button type="button" class="${className}" data-progress-position="${position}" aria-label="Go to step ${position + 1}"></button>`;
+      }
+      return `<span class="${className}"></span>`;
+    }).join('');
+    return `<div class="${TOOLTIP_CLASS}-progress ${TOOLTIP_CLASS}-progress-dots" role="group" aria-label="${label}">${dots}</div>`;
+  }
+
+  if (progress.style === 'bar') {
+    const percent = progress.total > 0 ? Math.round((progress.current / progress.total) * 100) : 0;
+    return `
+      <div class="${TOOLTIP_CLASS}-progress ${TOOLTIP_CLASS}-progress-bar" role="progressbar" aria-valuemin="1" aria-valuemax="${progress.total}" aria-valuenow="${progress.current}" aria-label="${label}">
+        <div class="${TOOLTIP_CLASS}-progress-bar-fill" style="width: ${percent}%"></div>
+      </div>
+    `;
+  }
+
+  return `<div class="${TOOLTIP_CLASS}-progress ${TOOLTIP_CLASS}-progress-text">${label}</div>`;
+}
+
 /**
  * Show a tooltip
  * @param {Element|null} targetElement - The element to attach the tooltip to (null for centered)
@@ -265,7 +347,21 @@ function calculateTooltipPosition(targetElement, tooltipElement, position = 'bot
  * @param {Object} options - Additional options
  * @param {string} [options.position='bottom'] - Preferred tooltip position
  * @param {Function} [options.onNext] - Callback when next button is clicked
+ * @param {Function} [options.onPrev] - Callback when previous button is clicked (button is only shown if provided)
+ * @param {string} [options.prevButtonText='Back'] - Text for the previous button
  * @param {Function} [options.onSkip] - Callback when skip button is clicked
+ * @param {Object} [options.progress] - Progress indicator to show above the buttons
+ * @param {'text'|'dots'|'bar'} [options.progress.style='text'] - How progress is displayed
+ * @param {number} options.progress.current - 1-based position of this step
+ * @param {number} options.progress.total - Number of steps
+ * @param {string} [options.progress.label='Step {current} of {total}'] - Progress text template
+ * @param {Array<{status: string, onSelect?: Function}>} [options.progress.items] - One entry per dot
+ * @param {boolean} [options.progress.clickable=true] - Whether completed dots can be clicked
+ * @param {Function} [options.onClose] - Callback when Escape is pressed
+ * @param {boolean} [options.modal=false] - Whether the rest of the page is hidden from screen readers (aria-modal)
+ * @param {boolean} [options.autoFocus=true] - Whether to move focus into the tooltip
+ * @param {Array<{text: string, onClick: Function, primary?: boolean}>} [options.buttons] - Buttons to show
+ *   instead of the navigation buttons
  * @returns {HTMLElement} The created tooltip element
  */
 export function showTooltip(targetElement, content, options = {}) {
@@ -291,30 +387,69 @@ export function showTooltip(targetElement, content, options = {}) {
     ? { content }
     : content;
 
+  // Dialog semantics, labelled by the title (or the content when there is no title)
+  tooltipIdCounter += 1;
+  const titleId = `${TOOLTIP_CLASS}-title-${tooltipIdCounter}`;
+  const contentId = `${TOOLTIP_CLASS}-content-${tooltipIdCounter}`;
+  tooltipEl.setAttribute('role', 'dialog');
+  tooltipEl.setAttribute('tabindex', '-1');
+  tooltipEl.setAttribute('aria-labelledby', tooltipContent.title ? titleId : contentId);
+  if (tooltipContent.title) {
+    tooltipEl.setAttribute('aria-describedby', contentId);
+  }
+  if (options.modal) {
+    tooltipEl.setAttribute('aria-modal', 'true');
+  }
+
   // Create tooltip HTML
   let tooltipHTML = '';
 
   if (tooltipContent.title) {
-    tooltipHTML += `<div class="${TOOLTIP_CLASS}-title">${tooltipContent.title}</div>`;
+    tooltipHTML += `<div id="${titleId}" class="${TOOLTIP_CLASS}-title">${tooltipContent.title}</div>`;
   }
 
-  tooltipHTML += `<div class="${TOOLTIP_CLASS}-content">${tooltipContent.content}</div>`;
+  tooltipHTML += `<div id="${contentId}" class="${TOOLTIP_CLASS}-content">${tooltipContent.content}</div>`;
+
+  if (options.progress) {
+    tooltipHTML += renderProgress(options.progress);
+  }
 
   tooltipHTML += `<div class="${TOOLTIP_CLASS}-buttons">`;
 
-  if (tooltipContent.skipButton) {
-    tooltipHTML += `
+  if (Array.isArray(options.buttons)) {
+    // Custom buttons replace the navigation buttons
+    options.buttons.forEach((button, index) => {
+      tooltipHTML += `
+      <button class="${TOOLTIP_CLASS}-button ${TOOLTIP_CLASS}-button-${button.primary ? 'primary' : 'secondary'} ${TOOLTIP_CLASS}-custom-button" data-button-index="${index}">
+        ${button.text}
+      </button>
+    `;
+    });
+  } else {
+    if (tooltipContent.skipButton) {
+      tooltipHTML += `
       <button class="${TOOLTIP_CLASS}-button ${TOOLTIP_CLASS}-button-secondary ${TOOLTIP_CLASS}-skip-button">
         ${tooltipContent.skipButton}
       </button>
     `;
-  }
+    }
+
+    if (typeof options.onPrev === 'function') {
+      tooltipHTML += `
+      <button class="${TOOLTIP_CLASS}-button ${TOOLTIP_CLASS}-button-secondary ${TOOLTIP_CLASS}-prev-button">
+        ${options.prevButtonText || 'Back'}
+      </button>
+    `;
+    }
 
-  tooltipHTML += `
+    tooltipHTML += `
     <button class="${TOOLTIP_CLASS}-button ${TOOLTIP_CLASS}-button-primary ${TOOLTIP_CLASS}-next-button">
       ${tooltipContent.nextButton || 'Next'}
     </button>
-  </div>`;
+  `;
+  }
+
+  tooltipHTML += `</div>`;
 
   // Set content
   tooltipEl.innerHTML += tooltipHTML;
@@ -362,6 +497,32 @@ export function showTooltip(targetElement, content, options = {}) {
     });
   }
 
+  const prevButton = tooltipEl.querySelector(`.${TOOLTIP_CLASS}-prev-button`);
+  if (prevButton) {
+    prevButton.addEventListener('click', () => {
+      options.onPrev();
+    });
+  }
+
+  tooltipEl.querySelectorAll(`button.${TOOLTIP_CLASS}-progress-dot`).forEach(dot => {
+    dot.addEventListener('click', () => {
+      const item = options.progress.items[Number(dot.getAttribute('data-progress-position'))];
+      if (item && typeof item.onSelect === 'function') {
+        item.onSelect();
+      }
+    });
+  });
+
+  const customButtons = Array.from(tooltipEl.querySelectorAll(`.${TOOLTIP_CLASS}-custom-button`));
+  customButtons.forEach(buttonEl => {
+    buttonEl.addEventListener('click', () => {
+      const button = options.buttons[Number(buttonEl.getAttribute('data-button-index'))];
+      if (button && typeof button.onClick === 'function') {
+        button.onClick();
+      }
+    });
+  });
+
   const skipButton = tooltipEl.querySelector(`.${TOOLTIP_CLASS}-skip-button`);
   if (skipButton) {
     skipButton.addEventListener('click', () => {
@@ -373,6 +534,46 @@ export function showTooltip(targetElement, content, options = {}) {
     });
   }
 
+  // Keyboard navigation: arrows and Enter move through the tour, Escape closes it.
+  // Arrows and Enter are only handled when focus is in the tooltip or nowhere in
+  // particular, so they keep working normally in the host app's own controls.
+  activeTooltipKeyHandler = (event) => {
+    if (event.defaultPrevented) return;
+
+    if (event.key === 'Escape') {
+      if (typeof options.onClose === 'function') {
+        event.preventDefault();
+        options.onClose();
+      }
+      return;
+    }
+
+    const target = event.target;
+    const focusInTooltip = tooltipEl.contains(target);
+    const focusOnPage = target === document.body || target === document.documentElement;
+    if (!focusInTooltip && !focusOnPage) return;
+
+    if (event.key === 'ArrowRight' || (event.key === 'Enter' && !(target instanceof HTMLButtonElement))) {
+      if (typeof options.onNext === 'function') {
+        event.preventDefault();
+        options.onNext();
+      }
+    } else if (event.key === 'ArrowLeft') {
+      if (typeof options.onPrev === 'function') {
+        event.preventDefault();
+        options.onPrev();
+      }
+    }
+  };
+  document.addEventListener('keydown', activeTooltipKeyHandler);
+
+  // Move focus into the tooltip, onto its primary button
+  if (options.autoFocus !== false) {
+    const primaryButton = customButtons.find(buttonEl => buttonEl.classList.contains(`${TOOLTIP_CLASS}-button-primary`));
+    const focusTarget = nextButton || primaryButton || customButtons[0] || tooltipEl;
+    focusTarget.focus({ preventScroll: true });
+  }
+
   // Store reference to active tooltip
   activeTooltip = tooltipEl;
 
@@ -383,6 +584,11 @@ export function showTooltip(targetElement, content, options = {}) {
  * Hide the currently active tooltip
  */
 export function hideTooltip() {
+  if (activeTooltipKeyHandler) {
+    document.removeEventListener('keydown', activeTooltipKeyHandler);
+    activeTooltipKeyHandler = null;
+  }
+
   if (activeTooltip && activeTooltip.parentNode) {
     activeTooltip.parentNode.removeChild(activeTooltip);
     activeTooltip = null;
@@ -0,0 +1,72 @@
+import {
+  startJourney,
+  getJourneyId,
+  logWalkthroughStart,
+  logTextAgentStart
+} from '../analytics.js';
+import { SableSmartLinks } from '../../index.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('journey IDs', () => {
+  let payloads;
+
+  beforeEach(() => {
+    payloads = [];
+    sessionStorage.clear();
+    global.fetch = jest.fn(async (url, options) => {
+      if (options && options.body) {
+        payloads.push({ url, ...JSON.parse(options.body) });
+      }
+      return { ok: true, text: async () => '', json: async () => ({ success: true, id: 'analytics-id' }) };
+    });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('instances added to a journey share its ID', () => {
+    const journeyId = startJourney('walkthrough-instance');
+    startJourney('agent-instance', journeyId);
+
+    expect(journeyId).toMatch(/^journey_/);
+    expect(getJourneyId('walkthrough-instance')).toBe(journeyId);
+    expect(getJourneyId('agent-instance')).toBe(journeyId);
+    expect(getJourneyId('unknown-instance')).toBeNull();
+  });
+
+  test('walkthrough and text agent payloads carry the journey ID', async () => {
+    const journeyId = startJourney('walkthrough-instance');
+    startJourney('agent-instance', journeyId);
+
+    await logWalkthroughStart('tour', 0, 'welcome', 'walkthrough-instance');
+    await logTextAgentStart('helper', 'hello', 'agent-instance');
+
+    expect(payloads).toHaveLength(2);
+    expect(payloads[0].url).toMatch(/\/api\/analytics\/walkthrough$/);
+    expect(payloads[1].url).toMatch(/\/api\/analytics\/text-agent$/);
+    expect(payloads.map(payload => payload.journeyId)).toEqual([journeyId, journeyId]);
+  });
+
+  test('a walkthrough and the text agent it starts are logged in one journey', async () => {
+    document.body.innerHTML = '';
+    const smartLinks = new SableSmartLinks({ walkthrough: { autoStart: false, stepDelay: 0 } });
+    smartLinks.registerWalkthrough('tour', [{ stepId: 'welcome', tooltip: 'Welcome' }], {
+      onComplete: { startTextAgent: 'helper' }
+    });
+    smartLinks.registerTextAgent('helper', [{ id: 'hello', text: 'Hello' }], false, true);
+
+    smartLinks.startWalkthrough('tour');
+    await wait(100);
+    smartLinks.nextWalkthroughStep();
+    await wait(100);
+
+    const journeyIds = new Set(payloads.filter(payload => payload.event).map(payload => payload.journeyId));
+    expect(payloads.some(payload => payload.agentId === 'helper')).toBe(true);
+    expect(journeyIds.size).toBe(1);
+    expect([...journeyIds][0]).toMatch(/^journey_/);
+
+    smartLinks.destroy();
+  });
+});
@@ -0,0 +1,54 @@
+import { findTarget, waitForTarget } from '../elementSelector.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('findTarget', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<ul><li class="item">One</li><li class="item">Two</li><li class="item">Three</li></ul>';
+  });
+
+  test('css strategies pick the match at index', () => {
+    expect(findTarget({ css: '.item', index: 1 }).element.textContent).toBe('Two');
+  });
+
+  test('xpath strategies pick the match at index', () => {
+    expect(findTarget({ xpath: '//li', index: 2 }).element.textContent).toBe('Three');
+    expect(findTarget({ xpath: '//li' }).element.textContent).toBe('One');
+  });
+
+  test('an index past the last match falls back to the next strategy', () => {
+    const result = findTarget([{ xpath: '//li', index: 5 }, { css: '.item' }]);
+    expect(result.strategyIndex).toBe(1);
+    expect(result.element.textContent).toBe('One');
+  });
+});
+
+describe('waitForTarget', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="clock">0</div>';
+  });
+
+  test('resolves once the target is added', async () => {
+    const pending = waitForTarget({ text: 'Save', selector: 'button' }, { timeout: 1000 });
+    document.body.insertAdjacentHTML('beforeend', '<button>Save</button>');
+
+    const match = await pending;
+    expect(match.element.tagName).toBe('BUTTON');
+  });
+
+  test('checks at most once per interval while the page keeps mutating', async () => {
+    const pending = waitForTarget({ text: 'Never shown' }, { timeout: 300 }).catch(error => error);
+    const querySelectorAll = jest.spyOn(document, 'querySelectorAll');
+    const clock = document.getElementById('clock');
+
+    for (let tick = 1; tick <= 20; tick++) {
+      clock.textContent = String(tick);
+      clock.className = `tick-${tick}`;
+      await wait(10);
+    }
+
+    expect(querySelectorAll.mock.calls.length).toBeLessThanOrEqual(5);
+    querySelectorAll.mockRestore();
+    expect(await pending).toBeInstanceOf(Error);
+  });
+});
@@ -38,6 +38,56 @@ const getOrCreateUserId = () => {
   return userId;
 };
 
+// Journey IDs by instance ID. Walkthroughs and text agents chained with onComplete/onEnd
+// share their journey ID, so a whole journey can be reconstructed server-side.
+// Only the most recent instances are kept, as instances resume across page loads.
+const JOURNEY_STORAGE_KEY = 'sable_analytics_journey_ids';
+const MAX_STORED_JOURNEYS = 20;
+let journeyIds = {};
+
+const readJourneyIds = () => {
+  if (!isBrowser) {
+    return journeyIds;
+  }
+
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(JOURNEY_STORAGE_KEY) || '{}');
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (e) {
+    // sessionStorage not available or corrupt, use the in-memory copy
+    return journeyIds;
+  }
+};
+
+// Start a journey for an instance, or add the instance to an existing journey
+export const startJourney = (instanceId, journeyId = null) => {
+  const id = journeyId || `journey_${Math.random().toString(36).substr(2, 9)}_${Date.now()}`;
+  if (!instanceId) {
+    return id;
+  }
+
+  const entries = Object.entries(readJourneyIds()).filter(([key]) => key !== instanceId);
+  entries.push([instanceId, id]);
+  journeyIds = Object.fromEntries(entries.slice(-MAX_STORED_JOURNEYS));
+
+  if (isBrowser) {
+    try {
+      sessionStorage.setItem(JOURNEY_STORAGE_KEY, JSON.stringify(journeyIds));
+    } catch (e) {
+      // sessionStorage not available, the in-memory copy still works for this page
+    }
+  }
+  return id;
+};
+
+// Journey ID of an instance, or null if it is not part of a journey
+export const getJourneyId = (instanceId) => {
+  if (!instanceId) {
+    return null;
+  }
+  return readJourneyIds()[instanceId] || null;
+};
+
 // Log text agent analytics event
 export const logTextAgentEvent = async (eventData) => {
   if (!isBrowser) {
@@ -67,6 +117,7 @@ export const logTextAgentEvent = async (eventData) => {
       instanceId,
       stepDuration,
       agentDuration,
+      journeyId: getJourneyId(instanceId),
       sessionId: getOrCreateSessionId(),
       userId: getOrCreateUserId(),
       metadata: {
@@ -252,6 +303,7 @@ export const logWalkthroughEvent = async (eventData) => {
       instanceId: instanceId || null,
       stepDuration: stepDuration !== undefined ? stepDuration : null,
       agentDuration: agentDuration !== undefined ? agentDuration : null,
+      journeyId: getJourneyId(instanceId),
       sessionId: getOrCreateSessionId(),
       userId: getOrCreateUserId(),
       metadata: {
@@ -363,6 +415,18 @@ export const logWalkthroughNext = (walkthroughId, stepIndex, stepId, instanceId
   });
 };
 
+export const logWalkthroughPrevious = (walkthroughId, stepIndex, stepId, instanceId = null, metadata = {}, agentDuration = null) => {
+  return logWalkthroughEvent({
+    event: 'previous',
+    walkthroughId,
+    stepIndex,
+    stepId,
+    instanceId,
+    agentDuration,
+    metadata
+  });
+};
+
 export const logWalkthroughEnd = (walkthroughId, stepIndex, stepId, instanceId = null, metadata = {}, agentDuration = null) => {
   return logWalkthroughEvent({
     event: 'end',
@@ -401,6 +465,20 @@ export const logWalkthroughStepError = (walkthroughId, stepIndex, stepId, stepSe
   });
 };
 
+// Logs the recovery prompt for a missing step element being shown ('shown') and
+// the user's choice ('retry', 'skip', 'navigate' or 'end'), as event 'recovery_<action>'
+export const logWalkthroughRecovery = (walkthroughId, stepIndex, stepId, action, instanceId = null, metadata = {}, agentDuration = null) => {
+  return logWalkthroughEvent({
+    event: `recovery_${action}`,
+    walkthroughId,
+    stepIndex,
+    stepId,
+    instanceId,
+    agentDuration,
+    metadata
+  });
+};
+
 // Utility functions for session and user management
 export const getCurrentSessionId = () => {
   return getOrCreateSessionId();
@@ -4,9 +4,376 @@
 
 import { isBrowser, safeDocument } from './browserAPI.js';
 
+// Separates the parts of a selector that pierce into iframes and shadow roots,
+// e.g. `iframe#billing >>> .plan-card` or `my-widget >>> button`
+const PIERCE_SEPARATOR = '>>>';
+
+// How often a target that reaches into iframes or shadow roots is looked for again,
+// since mutations there don't reach the observer on the top document (ms)
+const PIERCE_POLL_INTERVAL = 250;
+
+// Least time between looking for a target again after DOM mutations, since text and role
+// strategies scan the whole page and some pages mutate every frame (ms)
+const MUTATION_CHECK_INTERVAL = 100;
+
+// Keys that mark an object as a target strategy, in the order they take precedence
+const STRATEGY_KEYS = ['ancestor', 'css', 'xpath', 'data', 'role', 'text'];
+
+// Roles implied by common elements, for role strategies
+const IMPLICIT_ROLES = {
+  a: element => (element.hasAttribute('href') ? 'link' : null),
+  button: () => 'button',
+  nav: () => 'navigation',
+  main: () => 'main',
+  header: () => 'banner',
+  footer: () => 'contentinfo',
+  aside: () => 'complementary',
+  form: () => 'form',
+  dialog: () => 'dialog',
+  ul: () => 'list',
+  ol: () => 'list',
+  li: () => 'listitem',
+  table: () => 'table',
+  tr: () => 'row',
+  td: () => 'cell',
+  th: () => 'columnheader',
+  img: element => (element.getAttribute('alt') === '' ? 'presentation' : 'img'),
+  h1: () => 'heading',
+  h2: () => 'heading',
+  h3: () => 'heading',
+  h4: () => 'heading',
+  h5: () => 'heading',
+  h6: () => 'heading',
+  select: element => (element.multiple || element.size > 1 ? 'listbox' : 'combobox'),
+  option: () => 'option',
+  textarea: () => 'textbox',
+  input: element => {
+    const type = (element.getAttribute('type') || 'text').toLowerCase();
+    if (type === 'checkbox') return 'checkbox';
+    if (type === 'radio') return 'radio';
+    if (type === 'range') return 'slider';
+    if (type === 'number') return 'spinbutton';
+    if (type === 'search') return 'searchbox';
+    if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+    if (type === 'hidden') return null;
+    return 'textbox';
+  }
+};
+
+/**
+ * Collapse whitespace so text comparisons ignore formatting
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check text against a string or regular expression
+ * @param {string} text - Text of the element
+ * @param {string|RegExp} expected - Expected text
+ * @param {boolean} exact - Require the whole text to match a string
+ * @returns {boolean}
+ */
+function matchesText(text, expected, exact) {
+  const normalized = normalizeText(text);
+  if (expected instanceof RegExp) {
+    return expected.test(normalized);
+  }
+  const wanted = normalizeText(expected).toLowerCase();
+  return exact ? normalized.toLowerCase() === wanted : normalized.toLowerCase().includes(wanted);
+}
+
+/**
+ * Check whether an element is rendered and not hidden
+ * @param {Element} element - Element to check
+ * @returns {boolean}
+ */
+function isVisible(element) {
+  if (typeof element.checkVisibility === 'function') {
+    return element.checkVisibility();
+  }
+
+  for (let current = element; current && current.nodeType === 1; current = current.parentElement) {
+    if (current.hidden) return false;
+    const style = current.ownerDocument.defaultView.getComputedStyle(current);
+    if (style.display === 'none' || style.visibility === 'hidden') return false;
+  }
+  return true;
+}
+
+/**
+ * Get the ARIA role of an element, explicit or implied by its tag
+ * @param {Element} element - Element to check
+ * @returns {string|null}
+ */
+export function getRole(element) {
+  const explicitRole = element.getAttribute('role');
+  if (explicitRole) {
+    return explicitRole.trim().split(/\s+/)[0];
+  }
+  const implicitRole = IMPLICIT_ROLES[element.tagName.toLowerCase()];
+  return implicitRole ? implicitRole(element) : null;
+}
+
+/**
+ * Get the accessible name of an element (simplified accessible name computation)
+ * @param {Element} element - Element to name
+ * @returns {string}
+ */
+export function getAccessibleName(element) {
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const root = element.getRootNode();
+    const label = labelledBy.split(/\s+/)
+      .map(id => (typeof root.getElementById === 'function' ? root.getElementById(id) : null))
+      .filter(Boolean)
+      .map(labelElement => labelElement.textContent)
+      .join(' ');
+    if (normalizeText(label)) return normalizeText(label);
+  }
+
+  const ariaLabel = element.getAttribute('aria-label');
+  if (normalizeText(ariaLabel)) return normalizeText(ariaLabel);
+
+  if (element.labels && element.labels.length > 0) {
+    return normalizeText(Array.from(element.labels).map(label => label.textContent).join(' '));
+  }
+
+  const attributeName = element.getAttribute('alt') || element.getAttribute('title') || element.getAttribute('placeholder');
+  if (normalizeText(attributeName)) return normalizeText(attributeName);
+
+  return normalizeText(element.textContent);
+}
+
+/**
+ * Keep only the innermost elements, so a text match resolves to the element
+ * holding the text rather than every ancestor containing it
+ * @param {Array<Element>} elements - Matching elements in document order
+ * @returns {Array<Element>}
+ */
+function innermost(elements) {
+  return elements.filter(element => !elements.some(other => other !== element && element.contains(other)));
+}
+
+/**
+ * Whether a selector is an XPath expression
+ * @param {string} selector - Selector to check
+ * @returns {boolean}
+ */
+function isXPath(selector) {
+  return selector.startsWith('//') || selector.startsWith('(//');
+}
+
+/**
+ * Query elements by CSS selector or XPath within a single document or shadow root,
+ * without throwing on invalid selectors
+ * @param {string} selector - CSS selector or XPath
+ * @param {ParentNode} root - Document, shadow root or element to query within
+ * @returns {Array<Element>}
+ */
+function queryIn(selector, root) {
+  try {
+    if (!isXPath(selector)) {
+      return Array.from(root.querySelectorAll(selector));
+    }
+
+    const ownerDocument = root.nodeType === 9 ? root : root.ownerDocument;
+    const result = ownerDocument.evaluate(selector, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    const elements = [];
+    for (let i = 0; i < result.snapshotLength; i++) {
+      elements.push(result.snapshotItem(i));
+    }
+    return elements;
+  } catch (e) {
+    // Invalid selector
+    return [];
+  }
+}
+
+/**
+ * Get the document of a same-origin iframe, or the open shadow root of an element
+ * @param {Element} host - Iframe or shadow host
+ * @returns {Document|ShadowRoot|null}
+ */
+function getInnerRoot(host) {
+  if (host.tagName === 'IFRAME' || host.tagName === 'FRAME') {
+    try {
+      return host.contentDocument;
+    } catch (e) {
+      // Cross-origin frames can't be searched
+      return null;
+    }
+  }
+  return host.shadowRoot || null;
+}
+
+/**
+ * Query elements, following `>>>` into iframes and shadow roots.
+ * Each part is a CSS selector or XPath; every part but the last must match an
+ * iframe or an element with an open shadow root.
+ * @param {string} selector - Selector, e.g. `iframe#billing >>> .plan-card`
+ * @param {ParentNode} [root] - Node to query within
+ * @returns {Array<Element>}
+ */
+function queryAll(selector, root = document) {
+  const parts = selector.split(PIERCE_SEPARATOR).map(part => part.trim());
+  const last = parts.pop();
+
+  for (const part of parts) {
+    const host = queryIn(part, root)[0];
+    root = host ? getInnerRoot(host) : null;
+    if (!root) return [];
+  }
+
+  return queryIn(last, root);
+}
+
+/**
+ * Build a CSS selector from data-* attributes, e.g. `{ testid: 'save' }` to `[data-testid="save"]`
+ * @param {Object} data - Attribute names (with or without the data- prefix) and values; `true` matches any value
+ * @returns {string}
+ */
+function toDataSelector(data) {
+  return Object.entries(data)
+    .map(([name, value]) => {
+      const attribute = name.startsWith('data-') ? name : `data-${name}`;
+      return value === true ? `[${attribute}]` : `[${attribute}="${String(value).replace(/"/g, '\\"')}"]`;
+    })
+    .join('');
+}
+
+/**
+ * Find the element for a single strategy
+ * @param {Object} strategy - Strategy object (see findTarget)
+ * @returns {Element|null}
+ */
+function findByStrategy(strategy) {
+  const index = strategy.index || 0;
+
+  switch (getStrategyName(strategy)) {
+    case 'ancestor': {
+      const ancestor = findElement(strategy.ancestor);
+      return ancestor ? queryAll(strategy.selector || '*', ancestor)[index] || null : null;
+    }
+    case 'css':
+      return queryAll(strategy.css)[index] || null;
+    case 'xpath':
+      return queryAll(strategy.xpath)[index] || null;
+    case 'data':
+      return queryAll(toDataSelector(strategy.data))[index] || null;
+    case 'role':
+      return queryAll(strategy.selector || '*').filter(element =>
+        getRole(element) === strategy.role &&
+        (strategy.name === undefined || matchesText(getAccessibleName(element), strategy.name, strategy.exact !== false)) &&
+        isVisible(element)
+      )[index] || null;
+    case 'text':
+      return innermost(queryAll(strategy.selector || 'body *').filter(element =>
+        matchesText(element.textContent, strategy.text, strategy.exact !== false)
+      )).filter(isVisible)[index] || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether a value is a target strategy object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isStrategy(value) {
+  return !!value && typeof value === 'object' && !(value instanceof Element) &&
+    STRATEGY_KEYS.some(key => value[key] !== undefined);
+}
+
+/**
+ * Get the name of the strategy an entry of a target uses
+ * @param {string|Object} strategy - Selector string or strategy object
+ * @returns {string}
+ */
+function getStrategyName(strategy) {
+  if (typeof strategy === 'string') {
+    return isXPath(strategy.split(PIERCE_SEPARATOR).pop().trim()) ? 'xpath' : 'css';
+  }
+  return STRATEGY_KEYS.find(key => strategy[key] !== undefined);
+}
+
+/**
+ * Describe a target (or one of its strategies) as a single string, e.g. for logs and analytics
+ * @param {string|Object|Array} target - Selector, strategy object or list of them
+ * @returns {string}
+ */
+export function describeTarget(target) {
+  if (Array.isArray(target)) {
+    return target.map(describeTarget).join(' || ');
+  }
+  if (typeof target === 'string') {
+    return target;
+  }
+  if (!isStrategy(target)) {
+    return String(target);
+  }
+
+  const suffix = target.index ? `[${target.index}]` : '';
+  switch (getStrategyName(target)) {
+    case 'ancestor':
+      return `${describeTarget(target.ancestor)} >> ${target.selector || '*'}${suffix}`;
+    case 'data':
+      return toDataSelector(target.data) + suffix;
+    case 'role':
+      return `role=${target.role}${target.name !== undefined ? `[name="${target.name}"]` : ''}${suffix}`;
+    case 'text':
+      return `text=${target.text instanceof RegExp ? target.text : `"${target.text}"`}${suffix}`;
+    default:
+      return `${target.css || target.xpath}${suffix}`;
+  }
+}
+
+/**
+ * Find an element from a target, trying its strategies in priority order.
+ *
+ * A target is a selector string, a strategy object, or an array of them:
+ * - `{ css: '.plan-card' }`
+ * - `{ xpath: '//button[text()="Save"]' }`
+ * - `{ text: 'Create Team', selector: 'button', exact: true }` - visible text
+ * - `{ role: 'tab', name: 'Teams' }` - ARIA role and accessible name
+ * - `{ data: { testid: 'teams-tab' } }` - data-* attributes
+ * - `{ ancestor: 'nav[aria-label="Main"]', selector: 'a', index: 2 }` - position within a stable ancestor
+ *
+ * @param {string|Object|Array} target - Selector, strategy object or list of them
+ * @returns {{element: Element, strategy: string, strategyIndex: number, description: string}|null}
+ *   The element and the strategy that matched, or null if none did
+ */
+export function findTarget(target) {
+  if (!isBrowser) {
+    return null;
+  }
+
+  const strategies = Array.isArray(target) ? target : [target];
+
+  for (let i = 0; i < strategies.length; i++) {
+    const strategy = strategies[i];
+    const element = isStrategy(strategy) ? findByStrategy(strategy) : findElement(strategy);
+    if (element) {
+      return {
+        element,
+        strategy: isStrategy(strategy) || typeof strategy === 'string' ? getStrategyName(strategy) : 'custom',
+        strategyIndex: i,
+        description: describeTarget(strategy)
+      };
+    }
+  }
+
+  return null;
+}
+
 /**
  * Find an element in the DOM using various selector types
- * @param {string|Object} selector - CSS selector, XPath, or element object
+ * @param {string|Object|Array} selector - CSS selector, XPath, element object, or a target
+ *   with fallback strategies (see findTarget). Parts separated by `>>>` search inside
+ *   same-origin iframes and open shadow roots, e.g. `iframe#billing >>> .plan-card`.
  * @returns {Element|null} The found element or null if not found
  */
 export function findElement(selector) {
@@ -20,6 +387,17 @@ export function findElement(selector) {
     return null;
   }
 
+  // Targets with fallback strategies
+  if (Array.isArray(selector) || isStrategy(selector)) {
+    const match = findTarget(selector);
+    return match ? match.element : null;
+  }
+
+  // Selectors reaching into iframes and shadow roots
+  if (typeof selector === 'string' && selector.includes(PIERCE_SEPARATOR)) {
+    return queryAll(selector)[0] || null;
+  }
+
   // If selector is a string, try different selection methods
   if (typeof selector === 'string') {
     // Try as CSS selector first
@@ -33,20 +411,10 @@ export function findElement(selector) {
     }
 
     // Try as XPath if it starts with //
-    if (selector.startsWith('//') || selector.startsWith('(//')) {
-      try {
-        const result = document.evaluate(
-          selector,
-          safeDocument.documentElement,
-          null,
-          XPathResult.FIRST_ORDERED_NODE_TYPE,
-          null
-        );
-        if (result.singleNodeValue) {
-          return result.singleNodeValue;
-        }
-      } catch (e) {
-        // Invalid XPath, continue to other methods
+    if (isXPath(selector)) {
+      const element = queryIn(selector, document)[0];
+      if (element) {
+        return element;
       }
     }
 
@@ -60,7 +428,7 @@ export function findElement(selector) {
   }
 
   // If selector is an object with a custom finder function
-  if (typeof selector === 'object' && typeof selector.find === 'function') {
+  if (selector && typeof selector === 'object' && typeof selector.find === 'function') {
     return selector.find();
   }
 
@@ -69,30 +437,35 @@ export function findElement(selector) {
 }
 
 /**
- * Wait for an element to appear in the DOM (MutationObserver-based)
- * @param {string|Object} selector - CSS selector, XPath, or element object
+ * Wait for a target to appear in the DOM (MutationObserver-based), reporting
+ * which of its strategies matched
+ * @param {string|Object|Array} target - Selector, strategy object or list of them (see findTarget)
  * @param {Object} options - Options for waiting
  * @param {number} [options.timeout=10000] - Maximum time to wait in milliseconds
- * @returns {Promise<Element>} Promise resolving to the found element
+ * @returns {Promise<{element: Element, strategy: string, strategyIndex: number, description: string}>}
+ *   Promise resolving to the match
  */
-export function waitForElement(selector, options = {}) {
+export function waitForTarget(target, options = {}) {
   const { timeout = 10000 } = options;
 
   return new Promise((resolve, reject) => {
     // First try to find the element immediately
-    const element = findElement(selector);
-    if (element) {
-      resolve(element);
+    const match = findTarget(target);
+    if (match) {
+      resolve(match);
       return;
     }
 
-    const startTime = Date.now();
     let observer = null;
+    let pollId = null;
+    let checkId = null;
     let finished = false;
 
-    // Helper to clean up observer and timeout
+    // Helper to clean up observer, polling and timeout
     function cleanup() {
       if (observer) observer.disconnect();
+      if (pollId) clearInterval(pollId);
+      if (checkId) clearTimeout(checkId);
       if (timeoutId) clearTimeout(timeoutId);
       finished = true;
     }
@@ -100,16 +473,20 @@ export function waitForElement(selector, options = {}) {
     // Check for the element (used on each mutation)
     function check() {
       if (finished) return;
-      const el = findElement(selector);
-      if (el) {
+      const found = findTarget(target);
+      if (found) {
         cleanup();
-        resolve(el);
+        resolve(found);
       }
     }
 
-    // Set up MutationObserver
+    // Set up MutationObserver, batching bursts of mutations into one check
     observer = new MutationObserver(() => {
-      check();
+      if (checkId) return;
+      checkId = setTimeout(() => {
+        checkId = null;
+        check();
+      }, MUTATION_CHECK_INTERVAL);
     });
     if (safeDocument && safeDocument.body) {
       observer.observe(safeDocument.body, {
@@ -120,10 +497,15 @@ export function waitForElement(selector, options = {}) {
       });
     }
 
+    // Changes inside iframes and shadow roots aren't observed, so poll for those
+    if (describeTarget(target).includes(PIERCE_SEPARATOR)) {
+      pollId = setInterval(check, PIERCE_POLL_INTERVAL);
+    }
+
     // Also check on a timeout
     const timeoutId = setTimeout(() => {
       cleanup();
-      reject(new Error(`Element "${selector}" not found after ${timeout}ms`));
+      reject(new Error(`Element "${describeTarget(target)}" not found after ${timeout}ms`));
     }, timeout);
 
     // Initial check in case the element appears synchronously after setup
@@ -131,16 +513,24 @@ export function waitForElement(selector, options = {}) {
   });
 }
 
+/**
+ * Wait for an element to appear in the DOM (MutationObserver-based)
+ * @param {string|Object|Array} selector - CSS selector, XPath, element object, or a target
+ *   with fallback strategies (see findTarget)
+ * @param {Object} options - Options for waiting
+ * @param {number} [options.timeout=10000] - Maximum time to wait in milliseconds
+ * @returns {Promise<Element>} Promise resolving to the found element
+ */
+export function waitForElement(selector, options = {}) {
+  return waitForTarget(selector, options).then(match => match.element);
+}
+
 /**
  * Find multiple elements in the DOM
  * @param {string} selector - CSS selector
  * @returns {Array<Element>} Array of found elements
  */
 export function findElements(selector) {
-  try {
-    if (!isBrowser) return [];
-    return Array.from(safeDocument.querySelectorAll(selector));
-  } catch (e) {
-    return [];
-  }
+  if (!isBrowser) return [];
+  return queryAll(selector);
 }
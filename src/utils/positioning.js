@@ -4,6 +4,7 @@
  */
 
 import { isBrowser, safeWindow, safeDocument } from './browserAPI.js';
+import { findElement } from './elementSelector.js';
 
 // Track delayed positioning tasks
 const delayedPositioningTasks = new Map();
@@ -11,6 +12,66 @@ const delayedPositioningTasks = new Map();
 // Store references to active mutation observers
 const activeObservers = new Map();
 
+/**
+ * Get an element's bounding rect relative to the top-level viewport. Elements inside
+ * iframes report coordinates relative to their frame, so the offsets of each
+ * containing frame are added.
+ * @param {Element} element - DOM element to measure
+ * @returns {{left: number, top: number, right: number, bottom: number, width: number, height: number}}
+ */
+export function getElementRect(element) {
+  const rect = element.getBoundingClientRect();
+  let left = rect.left;
+  let top = rect.top;
+
+  try {
+    let view = element.ownerDocument.defaultView;
+    while (view && view !== window && view.frameElement) {
+      const frame = view.frameElement;
+      const frameRect = frame.getBoundingClientRect();
+      const frameStyle = frame.ownerDocument.defaultView.getComputedStyle(frame);
+
+      left += frameRect.left + frame.clientLeft + (parseFloat(frameStyle.paddingLeft) || 0);
+      top += frameRect.top + frame.clientTop + (parseFloat(frameStyle.paddingTop) || 0);
+      view = frame.ownerDocument.defaultView;
+    }
+  } catch (e) {
+    // A cross-origin parent frame can't be measured; use the offsets found so far
+  }
+
+  return {
+    left,
+    top,
+    right: left + rect.width,
+    bottom: top + rect.height,
+    width: rect.width,
+    height: rect.height
+  };
+}
+
+/**
+ * Get the shadow roots and iframe documents containing an element, innermost first
+ * @param {Element} element - DOM element
+ * @returns {Array<ShadowRoot|Document>}
+ */
+function getContainingRoots(element) {
+  const roots = [];
+
+  try {
+    let node = element;
+    while (node) {
+      const root = node.getRootNode();
+      if (root === node || root === document) break;
+      roots.push(root);
+      node = root.host || (root.defaultView && root.defaultView.frameElement);
+    }
+  } catch (e) {
+    // A cross-origin parent frame can't be reached
+  }
+
+  return roots;
+}
+
 /**
  * Get element position and dimensions with scroll offset and optional manual offsets
  * @param {Element} element - DOM element to get position for
@@ -23,7 +84,7 @@ const activeObservers = new Map();
 export function getElementPosition(element, padding = 0, options = {}) {
   if (!element || !isBrowser) return null;
 
-  const rect = element.getBoundingClientRect();
+  const rect = getElementRect(element);
   const { left: scrollLeft, top: scrollTop } = safeWindow.getScrollPosition();
   const offsetX = options.offsetX || 0;
   const offsetY = options.offsetY || 0;
@@ -40,6 +101,34 @@ export function getElementPosition(element, padding = 0, options = {}) {
   };
 }
 
+/**
+ * Get the bounding box around several elements, with the same options as getElementPosition
+ * @param {Array<Element>} elements - DOM elements to get the combined position for
+ * @param {number} padding - Optional padding to add around the combined box
+ * @param {Object} options - Additional positioning options (see getElementPosition)
+ * @returns {Object|null} Position and dimension information
+ */
+export function getElementsPosition(elements, padding = 0, options = {}) {
+  const positions = elements.map(element => getElementPosition(element, padding, options)).filter(Boolean);
+  if (positions.length === 0) return null;
+
+  const left = Math.min(...positions.map(position => position.left));
+  const top = Math.min(...positions.map(position => position.top));
+  const right = Math.max(...positions.map(position => position.right));
+  const bottom = Math.max(...positions.map(position => position.bottom));
+
+  return {
+    left,
+    top,
+    width: right - left,
+    height: bottom - top,
+    right,
+    bottom,
+    centerX: (left + right) / 2,
+    centerY: (top + bottom) / 2
+  };
+}
+
 /**
  * Check if an element is in the viewport
  * @param {Element} element - DOM element to check
@@ -48,7 +137,7 @@ export function getElementPosition(element, padding = 0, options = {}) {
 export function isElementInViewport(element) {
   if (!element || !isBrowser) return false;
 
-  const rect = element.getBoundingClientRect();
+  const rect = getElementRect(element);
   const { width: viewportWidth, height: viewportHeight } = safeWindow.getViewportDimensions();
 
   return (
@@ -59,6 +148,169 @@ export function isElementInViewport(element) {
   );
 }
 
+/**
+ * Check whether an element scrolls its content, e.g. a side panel with `overflow: auto`
+ * @param {Element} element - DOM element to check
+ * @returns {boolean}
+ */
+function isScrollContainer(element) {
+  const doc = element.ownerDocument;
+  // The page itself scrolls with the window
+  if (element === doc.documentElement || element === doc.body || element === doc.scrollingElement) {
+    return false;
+  }
+
+  const style = doc.defaultView.getComputedStyle(element);
+  const scrolls = overflow => /(auto|scroll|overlay)/.test(overflow);
+  return (scrolls(style.overflowY) && element.scrollHeight > element.clientHeight) ||
+    (scrolls(style.overflowX) && element.scrollWidth > element.clientWidth);
+}
+
+/**
+ * Get the scrollable elements containing an element, innermost first. Shadow roots and
+ * iframes are crossed, so a panel containing a frame counts too.
+ * @param {Element} element - DOM element
+ * @returns {Array<Element>}
+ */
+export function getScrollableAncestors(element) {
+  const ancestors = [];
+  if (!element || !isBrowser) return ancestors;
+
+  try {
+    let node = element;
+    while (node) {
+      let parent = node.parentElement;
+      if (!parent) {
+        const root = node.getRootNode();
+        parent = root.host || (root.defaultView && root.defaultView.frameElement) || null;
+      }
+      if (!parent) break;
+
+      if (isScrollContainer(parent)) {
+        ancestors.push(parent);
+      }
+      node = parent;
+    }
+  } catch (e) {
+    // A cross-origin parent frame can't be reached
+  }
+
+  return ancestors;
+}
+
+/**
+ * How far to scroll so that [start, end] is visible within [viewStart, viewEnd]
+ * @param {number} start - Start of the target
+ * @param {number} end - End of the target
+ * @param {number} viewStart - Start of the visible area
+ * @param {number} viewEnd - End of the visible area
+ * @param {'center'|'start'|'end'|'nearest'} block - Where to put a target that isn't visible
+ * @returns {number} Scroll distance, 0 if the target is already visible
+ */
+function getScrollDelta(start, end, viewStart, viewEnd, block) {
+  if (start >= viewStart && end <= viewEnd) return 0;
+
+  // A target larger than the visible area is aligned to its start
+  if (block === 'start' || end - start > viewEnd - viewStart) return start - viewStart;
+  if (block === 'end') return end - viewEnd;
+  if (block === 'nearest') return start < viewStart ? start - viewStart : end - viewEnd;
+  return (start + end) / 2 - (viewStart + viewEnd) / 2;
+}
+
+/**
+ * Resolve a top offset given as pixels or as the selector of a sticky header,
+ * whose bottom edge is then the top of the usable viewport
+ * @param {number|string} offsetTop - Offset in pixels, or a CSS selector
+ * @returns {number}
+ */
+function resolveOffsetTop(offsetTop) {
+  if (typeof offsetTop !== 'string') return offsetTop || 0;
+
+  const header = findElement(offsetTop);
+  return header ? Math.max(0, getElementRect(header).bottom) : 0;
+}
+
+/**
+ * Wait until an element stops moving, e.g. when a smooth scroll has finished
+ * @param {Element} element - DOM element to watch
+ * @param {number} timeout - Longest time to wait in milliseconds
+ * @returns {Promise<void>}
+ */
+function waitForScrollEnd(element, timeout) {
+  return new Promise(resolve => {
+    const startTime = Date.now();
+    let last = getElementRect(element);
+
+    const check = () => {
+      const rect = getElementRect(element);
+      if ((rect.top === last.top && rect.left === last.left) || Date.now() - startTime >= timeout) {
+        resolve();
+        return;
+      }
+      last = rect;
+      setTimeout(check, 50);
+    };
+
+    setTimeout(check, 50);
+  });
+}
+
+/**
+ * Scroll an element into view, scrolling its scrollable ancestors as well as the window.
+ * Nothing scrolls if the element is already visible.
+ * @param {Element} element - DOM element to bring into view
+ * @param {Object} options - Scroll options
+ * @param {number|string} options.offsetTop - Space to keep clear at the top of the viewport, e.g. for a
+ *   sticky header: pixels, or the header's selector to use its bottom edge (default: 0)
+ * @param {'smooth'|'auto'} options.behavior - Scroll behavior (default: 'smooth')
+ * @param {'center'|'start'|'end'|'nearest'} options.block - Where to put the element (default: 'center')
+ * @returns {Promise<boolean>} Resolves once scrolling has finished, with whether anything scrolled
+ */
+export async function scrollElementIntoView(element, options = {}) {
+  if (!element || !isBrowser) return false;
+
+  const behavior = options.behavior || 'smooth';
+  const block = options.block || 'center';
+
+  // Where the element will be once each scroll has been applied; smooth scrolls are still running
+  const target = getElementRect(element);
+  let scrolled = false;
+
+  const scrollBy = (scroller, top, left) => {
+    if (!top && !left) return;
+    scroller.scrollBy({ top, left, behavior });
+    target.top -= top;
+    target.bottom -= top;
+    target.left -= left;
+    target.right -= left;
+    scrolled = true;
+  };
+
+  // Innermost containers first, then the window
+  getScrollableAncestors(element).forEach(container => {
+    const rect = getElementRect(container);
+    const viewTop = rect.top + container.clientTop;
+    const viewLeft = rect.left + container.clientLeft;
+    scrollBy(
+      container,
+      getScrollDelta(target.top, target.bottom, viewTop, viewTop + container.clientHeight, block),
+      getScrollDelta(target.left, target.right, viewLeft, viewLeft + container.clientWidth, 'nearest')
+    );
+  });
+
+  const { width: viewportWidth, height: viewportHeight } = safeWindow.getViewportDimensions();
+  scrollBy(
+    window,
+    getScrollDelta(target.top, target.bottom, resolveOffsetTop(options.offsetTop), viewportHeight, block),
+    getScrollDelta(target.left, target.right, 0, viewportWidth, 'nearest')
+  );
+
+  if (scrolled && behavior === 'smooth') {
+    await waitForScrollEnd(element, 1000);
+  }
+  return scrolled;
+}
+
 /**
  * Create a mutation observer to watch for layout changes and update UI element positions
  * @param {Element} targetElement - Element to observe for position changes
@@ -153,6 +405,17 @@ export function createPositionObserver(targetElement, uiElement, updatePositionF
     });
   }
 
+  // The body observer doesn't see into shadow roots and iframes containing the target
+  const containingRoots = getContainingRoots(targetElement);
+  containingRoots.forEach(root => {
+    observer.observe(root, {
+      attributes: true,
+      childList: true,
+      subtree: true,
+      characterData: true
+    });
+  });
+
   // Apply delayed positioning to ensure accuracy after rendering
   applyPositionWithDelay(targetElement, uiElement, updatePositionFn, 50);
 
@@ -169,15 +432,52 @@ export function createPositionObserver(targetElement, uiElement, updatePositionF
   safeWindow.addEventListener('resize', handleViewportChange);
   safeWindow.addEventListener('scroll', handleViewportChange);
 
+  // Scrolling inside an iframe moves the target too
+  const frameWindows = containingRoots
+    .filter(root => root.defaultView)
+    .map(root => root.defaultView);
+  frameWindows.forEach(frameWindow => {
+    frameWindow.addEventListener('resize', handleViewportChange);
+    frameWindow.addEventListener('scroll', handleViewportChange);
+  });
+
+  // As does scrolling a panel the target is in; element scroll events don't reach the window
+  const scrollContainers = getScrollableAncestors(targetElement);
+  scrollContainers.forEach(container => {
+    container.addEventListener('scroll', handleViewportChange, { passive: true });
+  });
+
   // Store event listeners for cleanup
   activeObservers.set(`${observerId}_events`, {
     resize: handleViewportChange,
-    scroll: handleViewportChange
+    scroll: handleViewportChange,
+    frameWindows,
+    scrollContainers
   });
 
   return observerId;
 }
 
+/**
+ * Remove the resize and scroll listeners of a position observer
+ * @param {Object} events - Stored listeners
+ */
+function removeViewportListeners(events) {
+  safeWindow.removeEventListener('resize', events.resize);
+  safeWindow.removeEventListener('scroll', events.scroll);
+  events.frameWindows.forEach(frameWindow => {
+    try {
+      frameWindow.removeEventListener('resize', events.resize);
+      frameWindow.removeEventListener('scroll', events.scroll);
+    } catch (e) {
+      // The frame may have been removed
+    }
+  });
+  events.scrollContainers.forEach(container => {
+    container.removeEventListener('scroll', events.scroll);
+  });
+}
+
 /**
  * Remove a position observer
  * @param {string} observerId - ID of the observer to remove
@@ -195,8 +495,7 @@ export function removePositionObserver(observerId) {
   // Remove event listeners
   const events = activeObservers.get(`${observerId}_events`);
   if (events) {
-    safeWindow.removeEventListener('resize', events.resize);
-    safeWindow.removeEventListener('scroll', events.scroll);
+    removeViewportListeners(events);
     activeObservers.delete(`${observerId}_events`);
   }
 }
@@ -210,8 +509,7 @@ export function cleanupAllPositionObservers() {
   activeObservers.forEach((value, key) => {
     if (key.includes('_events')) {
       // Handle event listeners
-      safeWindow.removeEventListener('resize', value.resize);
-      safeWindow.removeEventListener('scroll', value.scroll);
+      removeViewportListeners(value);
     } else if (value.disconnect) {
       // Handle mutation observers
       value.disconnect();
@@ -0,0 +1,95 @@
+/**
+ * Responsive step variants
+ * Walkthrough and text agent steps can carry a `responsive` map from breakpoint to
+ * overrides, e.g. `{ '<768': { tooltip: { position: 'bottom' } } }`
+ */
+
+import { isBrowser } from './browserAPI.js';
+
+// Width breakpoints such as '<768', '>=1024' or '<=480px'
+const WIDTH_BREAKPOINT = /^(<=|>=|<|>)\s*(\d+(?:\.\d+)?)(?:px)?$/;
+
+// Option objects whose overrides are merged into the step's own options; other fields are replaced
+const MERGED_OPTIONS = ['tooltip', 'highlight', 'spotlight', 'scroll', 'targetElement'];
+
+/**
+ * Check whether a breakpoint matches the current viewport
+ * @param {string} breakpoint - A width breakpoint like '<768' or '>=1024', or a media query
+ *   like '(orientation: portrait)'
+ * @returns {boolean}
+ */
+export function matchesBreakpoint(breakpoint) {
+  if (!isBrowser) return false;
+
+  const match = WIDTH_BREAKPOINT.exec(breakpoint.trim());
+  if (match) {
+    const width = window.innerWidth;
+    const value = Number(match[2]);
+    switch (match[1]) {
+      case '<': return width < value;
+      case '<=': return width <= value;
+      case '>': return width > value;
+      default: return width >= value;
+    }
+  }
+
+  try {
+    return typeof window.matchMedia === 'function' && window.matchMedia(breakpoint).matches;
+  } catch (e) {
+    // Not a valid media query
+    return false;
+  }
+}
+
+/**
+ * Get the breakpoints of a `responsive` map that match the current viewport, in declaration order
+ * @param {Object} [responsive] - Map from breakpoint to overrides
+ * @returns {Array<string>}
+ */
+export function getMatchingBreakpoints(responsive) {
+  if (!responsive || typeof responsive !== 'object') return [];
+  return Object.keys(responsive).filter(matchesBreakpoint);
+}
+
+/**
+ * Apply one set of overrides to a step
+ * @param {Object} step - Step without its `responsive` map
+ * @param {Object} overrides - Overrides for a matching breakpoint
+ * @returns {Object} A new step
+ */
+function applyOverrides(step, overrides) {
+  const resolved = { ...step };
+
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    const current = resolved[key];
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+
+    if (MERGED_OPTIONS.includes(key) && isObject && current && typeof current === 'object') {
+      resolved[key] = { ...current, ...value };
+    } else if (key === 'tooltip' && isObject && typeof current === 'string') {
+      // A tooltip given as text keeps its text when only its options are overridden
+      resolved[key] = { content: current, ...value };
+    } else {
+      resolved[key] = value;
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Get the variant of a step for the current viewport. Overrides of every matching breakpoint
+ * are applied in declaration order, so later ones win. `skip: true` in an override means
+ * the step should be skipped at that size.
+ * @param {Object} step - Step definition, possibly with a `responsive` map
+ * @returns {Object} The step itself if it has no `responsive` map, otherwise a resolved copy without it
+ */
+export function resolveResponsive(step) {
+  if (!step || !step.responsive) return step;
+
+  const { responsive, ...base } = step;
+  return getMatchingBreakpoints(responsive).reduce(
+    (resolved, breakpoint) => applyOverrides(resolved, responsive[breakpoint]),
+    base
+  );
+}
@@ -0,0 +1,208 @@
+/**
+ * Selector Generator
+ * Builds targets for recorded elements that survive re-renders and releases,
+ * preferring ids, data-* attributes and text over generated class names
+ */
+
+import { findTarget, getRole, getAccessibleName } from './elementSelector.js';
+
+// data-* attributes meant for tests and tooling, in order of preference
+const STABLE_DATA_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa', 'data-sable'];
+
+// Other attributes that usually identify an element, in order of preference
+const IDENTIFYING_ATTRIBUTES = ['name', 'aria-label', 'placeholder', 'title'];
+
+// Roles whose accessible name identifies an element well
+const NAMED_ROLES = ['button', 'link', 'tab', 'menuitem', 'checkbox', 'radio', 'switch', 'option', 'textbox', 'combobox', 'treeitem'];
+
+// Elements that take a typed or selected value
+const FIELD_TAGS = ['INPUT', 'SELECT', 'TEXTAREA'];
+
+// Longest text or accessible name used to find an element
+const MAX_TEXT_LENGTH = 40;
+
+// Ids and classes generated by frameworks and build tools, which change between releases
+const GENERATED_NAME_PATTERNS = [
+  /^(css|sc|jsx|emotion|styled|svelte)-/i, // CSS-in-JS, e.g. css-grjyxi
+  /__[\w-]{5,}$/, // CSS modules hash suffix, e.g. Button_root__3xk2a
+  /\d{3,}/, // Counters, e.g. ember1234
+  /:/, // React useId, e.g. :r1:
+  /^(?=.*\d)(?=.*[a-z])[a-z\d]{6,}$/i // Random tokens, e.g. a1b2c3
+];
+
+/**
+ * Whether an id or class name looks generated
+ * @param {string} name - Id or class name
+ * @returns {boolean}
+ */
+function isGeneratedName(name) {
+  return GENERATED_NAME_PATTERNS.some(pattern => pattern.test(name));
+}
+
+/**
+ * Escape a value for use in a CSS selector
+ * @param {string} value - Identifier or attribute value
+ * @returns {string}
+ */
+function escapeCss(value) {
+  if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') {
+    return CSS.escape(value);
+  }
+  return value.replace(/([^\w-])/g, '\\$1').replace(/^(\d)/, '\\3$1 ');
+}
+
+/**
+ * Whether a CSS selector matches only the given element within a root
+ * @param {string} selector - CSS selector
+ * @param {Document|ShadowRoot} root - Document or shadow root to search
+ * @param {Element} element - Element the selector should match
+ * @returns {boolean}
+ */
+function isUnique(selector, root, element) {
+  try {
+    const matches = root.querySelectorAll(selector);
+    return matches.length === 1 && matches[0] === element;
+  } catch (e) {
+    // Invalid selector
+    return false;
+  }
+}
+
+/**
+ * Get a unique CSS selector built from an element's id, attributes or classes
+ * @param {Element} element - Element to select
+ * @param {Document|ShadowRoot} root - Document or shadow root the selector applies to
+ * @returns {string|null} The selector, or null if the element has nothing stable to select it by
+ */
+function getStableSelector(element, root) {
+  const tag = element.tagName.toLowerCase();
+  const candidates = [];
+
+  if (element.id && !isGeneratedName(element.id)) {
+    candidates.push(`#${escapeCss(element.id)}`);
+  }
+
+  [...STABLE_DATA_ATTRIBUTES, ...IDENTIFYING_ATTRIBUTES].forEach(attribute => {
+    const value = element.getAttribute(attribute);
+    if (value && value.length <= MAX_TEXT_LENGTH * 2) {
+      candidates.push(`${tag}[${attribute}="${value.replace(/["\\]/g, '\\$&')}"]`);
+    }
+  });
+
+  const classes = Array.from(element.classList).filter(name => !isGeneratedName(name));
+  if (classes.length > 0) {
+    candidates.push(`${tag}${classes.map(name => `.${escapeCss(name)}`).join('')}`);
+  }
+
+  return candidates.find(selector => isUnique(selector, root, element)) || null;
+}
+
+/**
+ * Get a CSS selector for an element from its position below the nearest ancestor
+ * with a stable selector (or the root)
+ * @param {Element} element - Element to select
+ * @param {Document|ShadowRoot} root - Document or shadow root the selector applies to
+ * @returns {string}
+ */
+function getPathSelector(element, root) {
+  const parts = [];
+  let current = element;
+
+  while (current) {
+    const stableSelector = current !== element ? getStableSelector(current, root) : null;
+    if (stableSelector) {
+      parts.unshift(stableSelector);
+      break;
+    }
+
+    const tag = current.tagName.toLowerCase();
+    if (tag === 'body' || tag === 'html') {
+      parts.unshift(tag);
+      break;
+    }
+
+    const parent = current.parentElement;
+    const sameTagSiblings = parent
+      ? Array.from(parent.children).filter(sibling => sibling.tagName === current.tagName)
+      : [];
+    parts.unshift(sameTagSiblings.length > 1 ? `${tag}:nth-of-type(${sameTagSiblings.indexOf(current) + 1})` : tag);
+    current = parent;
+  }
+
+  return parts.join(' > ');
+}
+
+/**
+ * Get the CSS selector of an element, reaching into shadow roots with `>>>`
+ * @param {Element} element - Element to select
+ * @returns {string}
+ */
+function getCssSelector(element) {
+  const root = element.getRootNode();
+  const selector = getStableSelector(element, root) || getPathSelector(element, root);
+
+  if (root.host) {
+    return `${getCssSelector(root.host)} >>> ${selector}`;
+  }
+  return selector;
+}
+
+/**
+ * Get a label for an element, e.g. for a default tooltip
+ * @param {Element} element - Element to describe
+ * @returns {string} The element's accessible name (shortened), or its tag name
+ */
+export function getElementLabel(element) {
+  let name = getAccessibleName(element);
+
+  // A field's text is its options or value, so fields without a label go by their name attribute
+  const text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+  if (FIELD_TAGS.includes(element.tagName) && (!name || name === text)) {
+    name = element.getAttribute('name');
+  }
+
+  if (!name) return element.tagName.toLowerCase();
+  return name.length > MAX_TEXT_LENGTH ? `${name.slice(0, MAX_TEXT_LENGTH - 1)}…` : name;
+}
+
+/**
+ * Generate the way a walkthrough step should find an element.
+ * Elements with a stable id, data-* attribute, identifying attribute or class get a `selector`.
+ * Others get a `target` that finds them by role and name or by text, falling back to
+ * their position in the page.
+ * @param {Element} element - Element to target
+ * @returns {{selector: string}|{target: Array<string|Object>}}
+ */
+export function generateTarget(element) {
+  const root = element.getRootNode();
+  const stableSelector = getStableSelector(element, root);
+
+  // Role and text lookups only search the document
+  if (stableSelector || root.host) {
+    return { selector: getCssSelector(element) };
+  }
+
+  const strategies = [];
+  const matches = strategy => {
+    const match = findTarget(strategy);
+    return !!match && match.element === element;
+  };
+
+  const role = getRole(element);
+  const name = getAccessibleName(element);
+  if (role && NAMED_ROLES.includes(role) && name && name.length <= MAX_TEXT_LENGTH && matches({ role, name })) {
+    strategies.push({ role, name });
+  }
+
+  const text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+  const textStrategy = { text, selector: element.tagName.toLowerCase() };
+  if (strategies.length === 0 && text && text.length <= MAX_TEXT_LENGTH && matches(textStrategy)) {
+    strategies.push(textStrategy);
+  }
+
+  const pathSelector = getPathSelector(element, root);
+  if (strategies.length === 0) {
+    return { selector: pathSelector };
+  }
+  return { target: [...strategies, pathSelector] };
+}
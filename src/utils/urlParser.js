@@ -46,3 +46,18 @@ export function getUrlParameter(paramName, defaultValue = null) {
     ? params[paramName]
     : defaultValue;
 }
+
+/**
+ * Remove query parameters from the current URL without reloading or adding a history entry
+ * @param {...string} paramNames - Names of the parameters to remove
+ */
+export function removeUrlParameters(...paramNames) {
+  if (!safeWindow.location.href) return;
+
+  const url = new URL(safeWindow.location.href);
+  const present = paramNames.filter(paramName => url.searchParams.has(paramName));
+  if (present.length === 0) return;
+
+  present.forEach(paramName => url.searchParams.delete(paramName));
+  safeWindow.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
+}